@@ -1,20 +1,58 @@
 const express = require("express");
 const cors = require("cors");
-const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+const { ObjectId } = require("mongodb");
+const jwt = require("jsonwebtoken");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const dns = require("dns");
+const net = require("net");
+const { EventEmitter, once } = require("events");
+const { valuesEqual } = require("./storage/values");
+const {
+  createMongoStorage,
+  createMemoryStorage,
+} = require("./storage/repositories");
 require("dotenv").config();
 
 const app = express();
 const port = process.env.PORT || 5000;
 
-app.use(cors());
-app.use(express.json());
+// Vercel's proxy puts the client address in X-Forwarded-For (used by rate limiting)
+if (process.env.VERCEL) {
+  app.set("trust proxy", 1);
+}
+
+app.use(
+  cors({
+    exposedHeaders: ["X-Total-Count", "X-Next-Cursor", "X-Request-Id", "ETag"],
+  })
+);
+
+// Request ids tie error responses to server logs
+app.use((req, res, next) => {
+  const incomingId = req.header("x-request-id");
+  req.id =
+    incomingId && /^[\w.-]{1,100}$/.test(incomingId)
+      ? incomingId
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
+// /movies/import streams and parses its own (possibly large) body
+const jsonParser = express.json();
+app.use((req, res, next) =>
+  req.path === "/movies/import" ? next() : jsonParser(req, res, next)
+);
 
 // Health check route - no DB connection needed
 app.get("/", (req, res) => {
   res.send("MovieMaster Pro Server is running");
 });
 
-// Middleware to ensure MongoDB connection before handling requests (skip for health check)
+// Readiness: requests wait until storage is connected and indexed (skip for health check)
 app.use(async (req, res, next) => {
   // Skip connection check for root path
   if (req.path === "/") {
@@ -22,997 +60,7476 @@ app.use(async (req, res, next) => {
   }
 
   try {
-    await ensureConnection();
-    next();
+    await ensureStorageReady();
   } catch (error) {
     console.error("Connection error in middleware:", error);
-    res.status(500).json({
-      message: "Database connection failed",
-      error: process.env.VERCEL
-        ? "Check MONGODB_URI in Vercel environment variables"
-        : error.message,
-    });
+    throw new UnavailableError(
+      "Database connection failed",
+      process.env.VERCEL
+        ? { hint: "Check MONGODB_URI in Vercel environment variables" }
+        : undefined
+    );
   }
+  next();
 });
 
-// Very light "auth": pass logged-in email via 'x-user-email' header
-function requireAuth(req, res, next) {
-  const userEmail = req.header("x-user-email");
-  if (!userEmail) {
-    return res
-      .status(401)
-      .send({ message: "Unauthorized: missing x-user-email" });
+// Typed API errors - thrown from routes and rendered by errorHandler
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
   }
-  req.userEmail = userEmail;
-  next();
 }
 
-// Global collections - will be initialized in bootstrap
-let moviesCollection = null;
-let usersCollection = null;
-let watchlistCollection = null;
-let countersCollection = null;
-let client = null;
-let isConnected = false;
-
-const uri = process.env.MONGODB_URI;
-if (!uri) {
-  console.error("Missing MONGODB_URI in environment");
-  if (!process.env.VERCEL) {
-    console.error(
-      "Please create a .env file in the server directory with MONGODB_URI=your_connection_string"
-    );
-    process.exit(1);
-  } else {
-    console.error("MONGODB_URI must be set in Vercel environment variables");
+class BadRequestError extends ApiError {
+  constructor(message, details) {
+    super(400, "bad_request", message, details);
   }
 }
 
-// Initialize MongoDB client if URI is available
-if (uri) {
-  client = new MongoClient(uri, {
-    serverApi: {
-      version: ServerApiVersion.v1,
-      strict: true,
-      deprecationErrors: true,
-    },
-  });
+class ForbiddenError extends ApiError {
+  constructor(message = "Forbidden", details) {
+    super(403, "forbidden", message, details);
+  }
 }
 
-// Helper to ensure MongoDB connection
-async function ensureConnection() {
-  if (isConnected && moviesCollection) {
-    return;
+class NotFoundError extends ApiError {
+  constructor(message = "Not found", details) {
+    super(404, "not_found", message, details);
   }
+}
 
-  if (!client) {
-    throw new Error(
-      "MongoDB client not initialized. MONGODB_URI environment variable is missing. Please set it in Vercel dashboard under Settings > Environment Variables."
-    );
+class ConflictError extends ApiError {
+  constructor(message = "Resource already exists", details) {
+    super(409, "conflict", message, details);
   }
+}
 
-  try {
-    // Check if already connected
-    if (!isConnected) {
-      await client.connect();
-      isConnected = true;
-    }
+class PreconditionFailedError extends ApiError {
+  constructor(message = "Precondition failed", details) {
+    super(412, "precondition_failed", message, details);
+  }
+}
 
-    // Initialize collections if not already done
-    if (!moviesCollection) {
-      const database = client.db("MovieMaster");
-      moviesCollection = database.collection("movies");
-      usersCollection = database.collection("users");
-      watchlistCollection = database.collection("watchlists");
-      countersCollection = database.collection("counters");
-    }
-  } catch (error) {
-    console.error("Failed to connect to MongoDB:", error.message);
-    isConnected = false; // Reset connection state on error
-    throw error;
+// details is the list of { field, message } errors
+class ValidationError extends ApiError {
+  constructor(details, message = "Validation failed") {
+    super(422, "validation_failed", message, details);
   }
 }
 
-// Helper function to get next movie ID
-async function getNextMovieId(countersCollection, moviesCollection) {
-  const result = await countersCollection.findOneAndUpdate(
-    { _id: "movieId" },
-    { $inc: { sequence_value: 1 } },
-    { upsert: true, returnDocument: "after" }
-  );
+class UnavailableError extends ApiError {
+  constructor(message = "Service temporarily unavailable", details) {
+    super(503, "unavailable", message, details);
+  }
+}
 
-  const doc = result?.value;
-  if (doc && typeof doc.sequence_value === "number") {
-    return doc.sequence_value;
+// Maps driver and body-parser failures onto typed errors; anything else becomes a 500
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error?.code === 11000) {
+    return new ConflictError("Resource already exists", {
+      keyValue: error.keyValue,
+    });
+  }
+  if (error?.code === 121) {
+    return new ValidationError([], "Document failed database validation");
+  }
+  if (
+    /^Mongo(Network|ServerSelection|NotConnected|Topology)/.test(
+      error?.name || ""
+    )
+  ) {
+    return new UnavailableError("Database temporarily unavailable");
+  }
+  if (error?.name === "BSONError") {
+    return new BadRequestError("Invalid identifier");
   }
+  if (error?.type === "entity.parse.failed") {
+    return new BadRequestError("Request body is not valid JSON");
+  }
+  if (error?.type === "entity.too.large") {
+    return new ApiError(413, "payload_too_large", "Request body is too large");
+  }
+  return new ApiError(500, "internal_error", "Internal server error");
+}
+
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+}
 
-  // If value is missing (older driver versions), fetch directly
-  const counterDoc = await countersCollection.findOne({ _id: "movieId" });
-  if (counterDoc && typeof counterDoc.sequence_value === "number") {
-    return counterDoc.sequence_value;
+// Renders every error as { error: { code, message, details, requestId } }
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
   }
 
-  // Initialize counter manually if somehow missing
-  const [highestMovie] = await moviesCollection
-    .find({ id: { $type: "number" } })
-    .sort({ id: -1 })
-    .limit(1)
-    .toArray();
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    console.error(
+      `[${req.id}] ${req.method} ${req.originalUrl} failed:`,
+      error
+    );
+  }
+  if (apiError.status === 401) {
+    res.set(
+      "WWW-Authenticate",
+      apiError.code === "missing_token"
+        ? "Bearer"
+        : 'Bearer error="invalid_token"'
+    );
+  }
 
-  const fallbackId =
-    highestMovie && typeof highestMovie.id === "number"
-      ? highestMovie.id + 1
-      : 1;
+  const body = {
+    code: apiError.code,
+    message: apiError.message,
+    requestId: req.id,
+  };
+  if (apiError.details !== undefined) {
+    body.details = apiError.details;
+  }
+  res.status(apiError.status).send({ error: body });
+}
 
-  await countersCollection.updateOne(
-    { _id: "movieId" },
-    { $set: { sequence_value: fallbackId } },
-    { upsert: true }
+// Auth configuration
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "";
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "1h";
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || "7d";
+const TOKEN_ISSUER = "moviemaster-pro";
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || "";
+const FIREBASE_PUBLIC_KEYS_PATH = process.env.FIREBASE_PUBLIC_KEYS_PATH || "";
+// Legacy mode keeps accepting the 'x-user-email' header while clients migrate
+const AUTH_LEGACY_HEADER = process.env.AUTH_LEGACY_HEADER === "true";
+
+if (!ACCESS_TOKEN_SECRET) {
+  console.warn(
+    "⚠️ ACCESS_TOKEN_SECRET is not set. Bearer tokens cannot be issued or verified."
+  );
+}
+if (AUTH_LEGACY_HEADER) {
+  console.warn(
+    "⚠️ AUTH_LEGACY_HEADER is enabled: 'x-user-email' is trusted without verification."
   );
-  return fallbackId;
 }
 
-// Helper function to convert movie document to use integer ID
-function convertMovieToIntegerId(movie) {
-  if (!movie) return null;
+// Firebase public keys ({ kid: PEM certificate }) are read from disk once
+let firebasePublicKeys = null;
+function loadFirebasePublicKeys() {
+  if (firebasePublicKeys) {
+    return firebasePublicKeys;
+  }
+  if (!FIREBASE_PUBLIC_KEYS_PATH || !FIREBASE_PROJECT_ID) {
+    return null;
+  }
 
   try {
-    let id = movie.id || movie._id;
+    const raw = fs.readFileSync(
+      path.resolve(FIREBASE_PUBLIC_KEYS_PATH),
+      "utf8"
+    );
+    firebasePublicKeys = JSON.parse(raw);
+  } catch (error) {
+    console.error("Failed to load Firebase public keys:", error.message);
+    firebasePublicKeys = null;
+  }
+  return firebasePublicKeys;
+}
 
-    if (typeof id === "number" && !isNaN(id)) {
-      return {
-        ...movie,
-        _id: id,
-        id: id,
-      };
-    }
+class AuthError extends ApiError {
+  constructor(status, code, message) {
+    super(status, code, message);
+  }
+}
 
-    // If _id is ObjectId object, convert to integer
-    if (typeof id === "object" && id && id.toString) {
-      // If movie already has an id field that's a number, use it
-      if (movie.id && typeof movie.id === "number") {
-        id = movie.id;
-      } else {
-        // Convert ObjectId to integer using last 8 hex chars
-        const idStr = id.toString();
-        id = parseInt(idStr.slice(-8), 16);
-        if (isNaN(id) || id <= 0) {
-          id = 1; // Default fallback
-        }
-      }
-    } else if (typeof id === "string") {
-      // Try to parse as integer
-      const parsed = parseInt(id, 10);
-      if (!isNaN(parsed) && parsed > 0) {
-        id = parsed;
-      } else {
-        // If it's an ObjectId string, convert it
-        if (id.length === 24) {
-          id = parseInt(id.slice(-8), 16);
-          if (isNaN(id) || id <= 0) {
-            id = 1;
-          }
-        } else {
-          id = 1; // Default fallback
-        }
-      }
-    } else if (typeof id !== "number") {
-      id = 1; // Default fallback
+function normalizeEmail(email) {
+  return String(email ?? "")
+    .trim()
+    .toLowerCase();
+}
+
+function getBearerToken(req) {
+  const header = req.header("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  if (!scheme || scheme.toLowerCase() !== "bearer" || !token) {
+    return null;
+  }
+  return token.trim();
+}
+
+function mapJwtError(error) {
+  if (error instanceof AuthError) {
+    return error;
+  }
+  if (error?.name === "TokenExpiredError") {
+    return new AuthError(401, "token_expired", "Unauthorized: token expired");
+  }
+  return new AuthError(401, "invalid_token", "Unauthorized: invalid token");
+}
+
+function issueTokens(user) {
+  if (!ACCESS_TOKEN_SECRET) {
+    throw new AuthError(
+      500,
+      "auth_not_configured",
+      "Token signing is not configured on the server"
+    );
+  }
+
+  const email = normalizeEmail(user.email);
+  const claims = { email, uid: user.uid || undefined };
+
+  const accessToken = jwt.sign(
+    { ...claims, type: "access" },
+    ACCESS_TOKEN_SECRET,
+    {
+      algorithm: "HS256",
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      issuer: TOKEN_ISSUER,
+      subject: email,
+    }
+  );
+  const refreshToken = jwt.sign(
+    { ...claims, type: "refresh" },
+    ACCESS_TOKEN_SECRET,
+    {
+      algorithm: "HS256",
+      expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+      issuer: TOKEN_ISSUER,
+      subject: email,
     }
+  );
 
-    // Ensure id is a positive integer
-    id = Math.max(1, Math.floor(Number(id)) || 1);
+  const { exp } = jwt.decode(accessToken);
+  return {
+    tokenType: "Bearer",
+    accessToken,
+    refreshToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000),
+  };
+}
 
-    return {
-      ...movie,
-      _id: id,
-      id: id,
-    };
+function verifyAppToken(token, expectedType) {
+  if (!ACCESS_TOKEN_SECRET) {
+    throw new AuthError(
+      500,
+      "auth_not_configured",
+      "Token verification is not configured on the server"
+    );
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, ACCESS_TOKEN_SECRET, {
+      algorithms: ["HS256"],
+      issuer: TOKEN_ISSUER,
+    });
   } catch (error) {
-    console.warn("Error converting movie ID:", error, movie);
-    // Return with default ID of 1
-    return {
-      ...movie,
-      _id: 1,
-      id: 1,
-    };
+    throw mapJwtError(error);
+  }
+
+  if (payload.type !== expectedType || !payload.email) {
+    throw new AuthError(401, "invalid_token", "Unauthorized: wrong token type");
   }
+  return payload;
 }
 
-async function findMovieByIdentifier(moviesCollection, idParam) {
-  if (!idParam) {
-    return null;
+function verifyFirebaseIdToken(token) {
+  const keys = loadFirebasePublicKeys();
+  if (!keys) {
+    throw new AuthError(
+      401,
+      "invalid_token",
+      "Unauthorized: Firebase verification is not configured"
+    );
   }
 
-  const identifier = String(idParam).trim();
-  if (!identifier) {
-    return null;
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded?.header?.kid ? keys[decoded.header.kid] : null;
+  if (!key) {
+    throw new AuthError(
+      401,
+      "invalid_token",
+      "Unauthorized: unknown signing key"
+    );
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, key, {
+      algorithms: ["RS256"],
+      audience: FIREBASE_PROJECT_ID,
+      issuer: `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`,
+    });
+  } catch (error) {
+    throw mapJwtError(error);
   }
 
-  let movie = null;
+  if (!payload.email) {
+    throw new AuthError(
+      403,
+      "email_required",
+      "Forbidden: Firebase account has no email address"
+    );
+  }
+  // Anyone can sign up with someone else's address until they prove they own it
+  if (payload.email_verified !== true) {
+    throw new AuthError(
+      403,
+      "email_not_verified",
+      "Forbidden: Firebase email address is not verified"
+    );
+  }
+  return { ...payload, uid: payload.user_id || payload.sub };
+}
 
-  const numericId = parseInt(identifier, 10);
-  if (!Number.isNaN(numericId) && numericId > 0) {
-    movie =
-      (await moviesCollection.findOne({ id: numericId })) ||
-      (await moviesCollection.findOne({ _id: numericId }));
+// Verifies either one of our HS256 access tokens or a Firebase ID token
+function verifyAccessToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new AuthError(401, "invalid_token", "Unauthorized: malformed token");
   }
+  if (decoded.header.alg === "RS256") {
+    return verifyFirebaseIdToken(token);
+  }
+  return verifyAppToken(token, "access");
+}
 
-  if (!movie && ObjectId.isValid(identifier)) {
+// Roles, lowest to highest privilege
+const ROLES = ["user", "moderator", "admin"];
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+function getRoleRank(role) {
+  const rank = ROLES.indexOf(role);
+  return rank === -1 ? 0 : rank;
+}
+
+// Auth: requires 'Authorization: Bearer <token>' (or 'x-user-email' in legacy mode)
+async function requireAuth(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    const legacyEmail = AUTH_LEGACY_HEADER
+      ? normalizeEmail(req.header("x-user-email"))
+      : "";
+    if (!legacyEmail) {
+      throw new AuthError(
+        401,
+        "missing_token",
+        "Unauthorized: missing bearer token"
+      );
+    }
+    await authenticateAs(req, legacyEmail, "legacy-header");
+  } else {
+    let payload;
     try {
-      movie = await moviesCollection.findOne({ _id: new ObjectId(identifier) });
+      payload = verifyAccessToken(token);
     } catch (error) {
-      console.error("ObjectId conversion error:", error);
+      throw mapJwtError(error);
     }
+    await authenticateAs(req, payload.email, "bearer", payload);
   }
 
-  if (!movie) {
-    movie =
-      (await moviesCollection.findOne({ _id: identifier })) ||
-      (await moviesCollection.findOne({ id: identifier }));
+  next();
+}
+
+// Sign-up auth: new users have no API token yet, so besides everything requireAuth
+// accepts, a Firebase ID token may be sent as `idToken` in the body
+async function requireSignUpAuth(req, res, next) {
+  const idToken = req.body?.idToken;
+  if (getBearerToken(req) || !idToken) {
+    return requireAuth(req, res, next);
   }
 
-  return movie;
+  const payload = verifyFirebaseIdToken(idToken);
+  await authenticateAs(req, payload.email, "firebase-id-token", payload);
+  next();
 }
 
-function buildWatchlistIdentifierCandidates(idParam) {
-  const identifier = String(idParam ?? "").trim();
-  const numericId = parseInt(identifier, 10);
+// Every auth method ends here, so req.userEmail is always trimmed and lower-cased
+async function authenticateAs(req, email, method, payload) {
+  req.userEmail = normalizeEmail(email);
+  req.authMethod = method;
+  if (payload) {
+    req.auth = payload;
+  }
+
+  const user = await userRepository.findByEmail(req.userEmail);
+  if (user?.banned) {
+    throw new AuthError(403, "account_banned", "Forbidden: account is banned");
+  }
+  req.user = user;
+  req.userRole = ROLES.includes(user?.role) ? user.role : "user";
+}
 
-  const numericCandidates = new Set();
-  const keyCandidates = new Set();
+// Role check, to be used after requireAuth: requireRole("moderator") also admits admins
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (getRoleRank(req.userRole) < getRoleRank(minimumRole)) {
+      throw new AuthError(
+        403,
+        "insufficient_role",
+        `Forbidden: requires ${minimumRole} role`
+      );
+    }
+    next();
+  };
+}
+
+// Lower-cased emails of banned users, used to hide their movies from listings
+async function getBannedUserEmails() {
+  const users = await userRepository
+    .find({ banned: true })
+    .project({ email: 1 })
+    .toArray();
+  return users.map((user) => String(user.email).toLowerCase());
+}
 
-  if (!Number.isNaN(numericId) && numericId > 0) {
-    numericCandidates.add(numericId);
-    keyCandidates.add(String(numericId));
+// Rate limiting - a token bucket per policy and client (the signed-in user, else the
+// IP). A bucket holds up to `burst` tokens and refills at `limit` per `windowMs`;
+// each request spends one. Override a policy with RATE_LIMIT_<NAME>=limit/seconds/burst,
+// e.g. RATE_LIMIT_MOVIE_WRITE=60/60/20.
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+const RATE_LIMIT_STORE = (
+  process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? "mongodb" : "memory")
+)
+  .trim()
+  .toLowerCase();
+
+const RATE_LIMIT_POLICIES = {
+  auth: { limit: 20, windowMs: 60 * 1000, burst: 10 },
+  movieWrite: { limit: 30, windowMs: 60 * 1000, burst: 10 },
+  movieImport: { limit: 5, windowMs: 60 * 60 * 1000, burst: 2 },
+  reviewWrite: { limit: 20, windowMs: 60 * 1000, burst: 5 },
+  watchlistWrite: { limit: 60, windowMs: 60 * 1000, burst: 20 },
+  shareLink: { limit: 20, windowMs: 60 * 60 * 1000, burst: 5 },
+  dataExport: { limit: 3, windowMs: 60 * 60 * 1000, burst: 2 },
+  webhookWrite: { limit: 30, windowMs: 60 * 1000, burst: 10 },
+  follow: { limit: 30, windowMs: 60 * 1000, burst: 10 },
+};
+
+for (const [name, policy] of Object.entries(RATE_LIMIT_POLICIES)) {
+  const envName = `RATE_LIMIT_${name.replace(/[A-Z]/g, "_$&").toUpperCase()}`;
+  const [limit, seconds, burst] = (process.env[envName] || "")
+    .split("/")
+    .map(Number);
+  if (limit > 0 && seconds > 0) {
+    policy.limit = limit;
+    policy.windowMs = seconds * 1000;
+    policy.burst = burst > 0 ? burst : limit;
   }
+}
 
-  if (identifier) {
-    keyCandidates.add(identifier);
+class RateLimitError extends ApiError {
+  constructor(retryAfterSeconds) {
+    super(429, "rate_limited", "Too many requests, slow down", {
+      retryAfter: retryAfterSeconds,
+    });
   }
+}
 
+// Tops the bucket up for the time since its last write, then tries to spend a token
+function takeRateLimitToken(bucket, policy, now) {
+  const refillPerMs = policy.limit / policy.windowMs;
+  const available = bucket
+    ? Math.min(
+        policy.burst,
+        bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs
+      )
+    : policy.burst;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
   return {
-    numericCandidates: Array.from(numericCandidates),
-    keyCandidates: Array.from(keyCandidates),
+    allowed,
+    tokens,
+    retryAfterMs: allowed ? 0 : (1 - tokens) / refillPerMs,
+    resetMs: (policy.burst - tokens) / refillPerMs,
   };
 }
 
-async function bootstrap() {
-  try {
-    if (!uri || !client) {
-      console.error(
-        "⚠️ MongoDB URI not configured. Routes will fail until MONGODB_URI is set."
-      );
-      // Still set up routes, but they'll fail with proper error messages
-    } else {
-      console.log("🔌 Connecting to MongoDB...");
-      try {
-        await ensureConnection();
-        console.log("✅ Connected to MongoDB!");
-      } catch (connError) {
-        console.error("❌ Failed to connect to MongoDB:", connError.message);
-        // Continue to set up routes - they'll handle connection errors via middleware
+// Per-process buckets; each serverless instance would count separately
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async consume(key, policy, now = Date.now()) {
+    const result = takeRateLimitToken(this.buckets.get(key), policy, now);
+    if (result.allowed) {
+      this.buckets.set(key, {
+        tokens: result.tokens,
+        updatedAt: now,
+        expiresAt: now + result.resetMs,
+      });
+      if (this.buckets.size > 10000) {
+        this.sweep(now);
       }
     }
+    return result;
+  }
 
-    // Create indexes if collections are initialized
-    if (watchlistCollection) {
-      try {
-        await watchlistCollection.createIndex(
-          { userEmail: 1, movieKey: 1 },
-          { unique: true }
-        );
-        await watchlistCollection.createIndex({ userEmail: 1, createdAt: -1 });
-      } catch (indexError) {
-        console.warn(
-          "Warning: failed to create watchlist indexes",
-          indexError?.message || indexError
-        );
-      }
+  // Full buckets carry no state, so they can be dropped
+  sweep(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.expiresAt <= now) this.buckets.delete(key);
     }
+  }
+}
 
-    // User management APIs
-    app.post("/users/create-or-update", async (req, res) => {
+// Shared buckets in the rate_limits collection. Writes are compare-and-set on the
+// bucket that was read, so concurrent instances cannot spend the same token twice.
+class MongoRateLimitStore {
+  async consume(key, policy, now = Date.now()) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const bucket = await rateLimitRepository.findOne({ _id: key });
+      const result = takeRateLimitToken(bucket, policy, now);
+      if (!result.allowed) {
+        return result;
+      }
+
+      const fields = {
+        tokens: result.tokens,
+        updatedAt: now,
+        expiresAt: new Date(now + result.resetMs),
+      };
       try {
-        const { email, displayName, photoURL, uid } = req.body;
-        if (!email) {
-          return res.status(400).send({ message: "Email is required" });
+        if (!bucket) {
+          await rateLimitRepository.insertOne({ _id: key, ...fields });
+          return result;
         }
-
-        // Check if user exists
-        const existingUser = await usersCollection.findOne({ email: email });
-
-        if (existingUser) {
-          // Update existing user
-          const result = await usersCollection.updateOne(
-            { email: email },
-            {
-              $set: {
-                displayName: displayName || existingUser.displayName,
-                photoURL: photoURL || existingUser.photoURL,
-                uid: uid || existingUser.uid,
-                lastLoginAt: new Date(),
-                updatedAt: new Date(),
-              },
-            }
-          );
-          res.send({
-            message: "User updated",
-            user: { ...existingUser, ...req.body },
-          });
-        } else {
-          // Create new user
-          const newUser = {
-            email: email,
-            displayName: displayName || "",
-            photoURL: photoURL || "",
-            uid: uid || "",
-            createdAt: new Date(),
-            lastLoginAt: new Date(),
-          };
-          const result = await usersCollection.insertOne(newUser);
-          res.status(201).send({ message: "User created", user: newUser });
+        const write = await rateLimitRepository.updateOne(
+          { _id: key, tokens: bucket.tokens, updatedAt: bucket.updatedAt },
+          { $set: fields }
+        );
+        if (write.matchedCount) {
+          return result;
         }
       } catch (error) {
-        console.error("Error creating/updating user:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to save user" });
+        if (error?.code !== 11000) throw error;
       }
-    });
+      now = Date.now();
+    }
+    throw new Error(`Rate limit bucket ${key} is too contended`);
+  }
+}
 
-    app.get("/users/check/:email", async (req, res) => {
-      try {
-        const email = decodeURIComponent(req.params.email);
-        const user = await usersCollection.findOne({ email: email });
-        res.send({ exists: !!user });
-      } catch (error) {
-        console.error("Error checking user:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to check user" });
-      }
-    });
+const rateLimitStore =
+  RATE_LIMIT_STORE === "mongodb"
+    ? new MongoRateLimitStore()
+    : new MemoryRateLimitStore();
+
+// Use after requireAuth on authenticated routes so the bucket follows the user
+function rateLimit(policyName) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) {
+      return next();
+    }
 
-    // Movies: list (public)
-    app.get("/movies", async (req, res) => {
-      try {
-        const { genre, search, sortBy } = req.query;
-        const query = {};
+    const client = req.userEmail ? `user:${req.userEmail}` : `ip:${req.ip}`;
+    let result;
+    try {
+      result = await rateLimitStore.consume(`${policyName}:${client}`, policy);
+    } catch (error) {
+      // Fail open: an unavailable store should not take the API down with it
+      console.warn("Rate limit check failed:", error?.message || error);
+      return next();
+    }
 
-        if (genre && genre !== "All") {
-          query.genre = genre;
-        }
+    res.set({
+      "RateLimit-Policy": `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)};burst=${policy.burst}`,
+      "RateLimit-Limit": String(policy.burst),
+      "RateLimit-Remaining": String(Math.floor(result.tokens)),
+      "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+    });
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.set("Retry-After", String(retryAfter));
+      throw new RateLimitError(retryAfter);
+    }
+    next();
+  };
+}
 
-        if (search) {
-          query.$or = [
-            { title: { $regex: search, $options: "i" } },
-            { director: { $regex: search, $options: "i" } },
-            { cast: { $regex: search, $options: "i" } },
-          ];
-        }
+// Repositories - set once storage connects
+let movieRepository = null;
+let userRepository = null;
+let watchlistRepository = null;
+let counterRepository = null;
+let reviewRepository = null;
+let watchlistListRepository = null;
+let shareLinkRepository = null;
+let movieRevisionRepository = null;
+let rateLimitRepository = null;
+let featuredSlotRepository = null;
+let featuredRotationRepository = null;
+let exportJobRepository = null;
+let exportChunkRepository = null;
+let followRepository = null;
+let activityRepository = null;
+let webhookRepository = null;
+let webhookDeliveryRepository = null;
+
+// STORAGE_DRIVER=memory runs without MongoDB; data lives until the process exits
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || "mongodb")
+  .trim()
+  .toLowerCase();
+let storage = null;
+
+if (STORAGE_DRIVER === "memory") {
+  storage = createMemoryStorage();
+} else if (STORAGE_DRIVER !== "mongodb") {
+  console.error(
+    `Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected "mongodb" or "memory")`
+  );
+  process.exit(1);
+} else if (!process.env.MONGODB_URI) {
+  console.error("Missing MONGODB_URI in environment");
+  if (!process.env.VERCEL) {
+    console.error(
+      "Please create a .env file in the server directory with MONGODB_URI=your_connection_string, or set STORAGE_DRIVER=memory to run without MongoDB"
+    );
+    process.exit(1);
+  } else {
+    console.error("MONGODB_URI must be set in Vercel environment variables");
+  }
+} else {
+  storage = createMongoStorage(process.env.MONGODB_URI);
+}
+// Integration tests seed documents the API cannot create through storage.connect()
+app.locals.storage = storage;
 
-        const sort = {};
-        if (sortBy === "rating") sort.rating = -1;
-        else if (sortBy === "year") sort.releaseYear = -1;
-        else if (sortBy === "title") sort.title = 1;
+// Helper to ensure storage is connected and repositories are set
+async function ensureConnection() {
+  if (movieRepository) {
+    return;
+  }
 
-        const movies = await moviesCollection.find(query).sort(sort).toArray();
+  if (!storage) {
+    throw new Error(
+      "MongoDB client not initialized. MONGODB_URI environment variable is missing. Please set it in Vercel dashboard under Settings > Environment Variables."
+    );
+  }
 
-        // Convert all movies to use integer IDs
-        const convertedMovies = movies
-          .map(convertMovieToIntegerId)
-          .filter((m) => m !== null);
+  try {
+    const repositories = await storage.connect();
+    movieRepository = repositories.movies;
+    userRepository = repositories.users;
+    watchlistRepository = repositories.watchlists;
+    counterRepository = repositories.counters;
+    reviewRepository = repositories.reviews;
+    watchlistListRepository = repositories.watchlistLists;
+    shareLinkRepository = repositories.shareLinks;
+    movieRevisionRepository = repositories.movieRevisions;
+    rateLimitRepository = repositories.rateLimits;
+    featuredSlotRepository = repositories.featuredSlots;
+    featuredRotationRepository = repositories.featuredRotations;
+    exportJobRepository = repositories.exportJobs;
+    exportChunkRepository = repositories.exportChunks;
+    followRepository = repositories.follows;
+    activityRepository = repositories.activities;
+    webhookRepository = repositories.webhooks;
+    webhookDeliveryRepository = repositories.webhookDeliveries;
+  } catch (error) {
+    console.error(`Failed to connect to ${storage.name}:`, error.message);
+    throw error;
+  }
+}
+
+// Helper function to get next movie ID.
+// With count > 1 a block of IDs is reserved and the last one is returned.
+async function getNextMovieId(count = 1) {
+  const nextId = await counterRepository.increment("movieId", count);
+  if (nextId !== null) {
+    return nextId;
+  }
+
+  // Initialize counter manually if somehow missing; trashed movies keep their ids
+  const [highestMovie] = await movieRepository
+    .withDeleted()
+    .find({ id: { $type: "number" } })
+    .sort({ id: -1 })
+    .limit(1)
+    .toArray();
+
+  const fallbackId =
+    highestMovie && typeof highestMovie.id === "number"
+      ? highestMovie.id + count
+      : count;
+
+  await counterRepository.set("movieId", fallbackId);
+  return fallbackId;
+}
+
+// Exposes a movie's canonical numeric id as both _id and id. Movies that predate
+// numeric ids keep their stored identifier until `npm run migrate:movie-ids` runs.
+function convertMovieToIntegerId(movie) {
+  if (!movie) return null;
+
+  const id = typeof movie.id === "number" ? movie.id : String(movie._id);
+  return {
+    ...movie,
+    _id: id,
+    id: id,
+  };
+}
+
+// Reviews, watchlist entries, revisions and featured slots point at movies by numeric
+// id, so a movie from before the id migration can be read and edited but not linked
+function requireNumericMovieId(movie) {
+  if (typeof movie.id !== "number") {
+    throw new ConflictError(
+      "Movie has no numeric id yet; run the movie id migration first"
+    );
+  }
+  return movie.id;
+}
+
+// Query matching a movie document by its primary identifier
+function getMovieQuery(movie) {
+  return movie.id ? { id: movie.id } : { _id: movie._id };
+}
+
+// Optimistic concurrency - every write to a movie bumps `version` (documents that
+// predate it count as version 0) and the ETag carries the version
+function getMovieETag(movie) {
+  return `"${movie.version || 0}"`;
+}
+
+// Only matches while the movie is still at the version that was read
+function getVersionedMovieQuery(movie) {
+  return { ...getMovieQuery(movie), version: movie.version ?? null };
+}
+
+// Throws 412 when the client's If-Match does not name the current version
+function checkMovieIfMatch(req, movie) {
+  const ifMatch = req.get("If-Match");
+  if (!ifMatch) {
+    return;
+  }
+  const tags = ifMatch.split(",").map((tag) => tag.trim());
+  if (!tags.includes("*") && !tags.includes(getMovieETag(movie))) {
+    throw new PreconditionFailedError("Movie has been modified", {
+      currentVersion: movie.version || 0,
+    });
+  }
+}
+
+// A versioned write that matched nothing lost the race to another writer
+function assertVersionMatched(result, movie) {
+  if (result.matchedCount === 0) {
+    throw new PreconditionFailedError("Movie has been modified", {
+      expectedVersion: movie.version || 0,
+    });
+  }
+}
+
+// Recomputes communityRating/reviewCount on the movie from its reviews
+async function refreshMovieReviewStats(movie) {
+  const movieId = requireNumericMovieId(movie);
+  const [stats] = await reviewRepository
+    .aggregate([
+      { $match: { movieId } },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: "$rating" },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  const communityRating = stats ? Math.round(stats.average * 10) / 10 : null;
+  const reviewCount = stats ? stats.count : 0;
+
+  await movieRepository.updateOne(getMovieQuery(movie), {
+    $set: { communityRating, reviewCount },
+  });
+  invalidateCatalogCache();
+  return { communityRating, reviewCount };
+}
+
+// Movie schema - drives request validation and the collection's $jsonSchema validator
+const MOVIE_GENRES = [
+  "Action",
+  "Adventure",
+  "Animation",
+  "Biography",
+  "Comedy",
+  "Crime",
+  "Documentary",
+  "Drama",
+  "Family",
+  "Fantasy",
+  "History",
+  "Horror",
+  "Music",
+  "Musical",
+  "Mystery",
+  "Romance",
+  "Sci-Fi",
+  "Sport",
+  "Thriller",
+  "War",
+  "Western",
+];
+const MIN_RELEASE_YEAR = 1888;
+const MAX_RELEASE_YEAR = new Date().getFullYear() + 5;
+
+const MOVIE_SCHEMA = {
+  title: { type: "string", required: true, maxLength: 200 },
+  genre: { type: "string", enum: MOVIE_GENRES },
+  releaseYear: {
+    type: "integer",
+    min: MIN_RELEASE_YEAR,
+    max: MAX_RELEASE_YEAR,
+  },
+  director: { type: "string", maxLength: 200 },
+  cast: { type: "stringOrArray", maxLength: 2000 },
+  rating: { type: "number", min: 0, max: 10 },
+  duration: { type: "integer", exclusiveMin: 0, max: 1000 },
+  plotSummary: { type: "string", maxLength: 5000 },
+  posterUrl: { type: "url", maxLength: 2048 },
+  language: { type: "string", maxLength: 100 },
+  country: { type: "string", maxLength: 100 },
+};
+
+// Fields the server manages; clients often echo them back, so they are dropped silently
+const SERVER_MANAGED_MOVIE_FIELDS = [
+  "_id",
+  "id",
+  "addedBy",
+  "createdAt",
+  "updatedAt",
+  "communityRating",
+  "reviewCount",
+  "legacyIds",
+  "deletedAt",
+  "deletedBy",
+  "version",
+];
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "")
+  );
+}
+
+function validateSchemaField(field, rule, raw) {
+  switch (rule.type) {
+    case "string": {
+      if (typeof raw !== "string") {
+        return { error: "must be a string" };
+      }
+      const value = raw.trim();
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.enum) {
+        const match = rule.enum.find(
+          (option) => option.toLowerCase() === value.toLowerCase()
+        );
+        if (!match) {
+          return { error: `must be one of: ${rule.enum.join(", ")}` };
+        }
+        return { value: match };
+      }
+      return { value };
+    }
+    case "integer":
+    case "number": {
+      const value = typeof raw === "string" ? Number(raw.trim()) : raw;
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: "must be a number" };
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        return { error: "must be a whole number" };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+      }
+      if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+        return { error: `must be greater than ${rule.exclusiveMin}` };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+      }
+      return { value };
+    }
+    case "boolean": {
+      if (raw === true || raw === "true") return { value: true };
+      if (raw === false || raw === "false") return { value: false };
+      return { error: "must be true or false" };
+    }
+    case "date": {
+      const value =
+        typeof raw === "string" || typeof raw === "number"
+          ? new Date(raw)
+          : null;
+      if (!value || Number.isNaN(value.getTime())) {
+        return { error: "must be an ISO date" };
+      }
+      return { value };
+    }
+    case "url": {
+      if (typeof raw !== "string") {
+        return { error: "must be a URL" };
+      }
+      const value = raw.trim();
+      let parsed;
+      try {
+        parsed = new URL(value);
+      } catch {
+        return { error: "must be a valid URL" };
+      }
+      if (!["http:", "https:"].includes(parsed.protocol)) {
+        return { error: "must be an http(s) URL" };
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      return { value };
+    }
+    case "array": {
+      if (!Array.isArray(raw)) {
+        return { error: "must be an array" };
+      }
+      if (rule.maxItems && raw.length > rule.maxItems) {
+        return { error: `must have at most ${rule.maxItems} items` };
+      }
+      const value = [];
+      for (const item of raw) {
+        const result = validateSchemaField(field, rule.items, item);
+        if (result.error) {
+          return { error: `items ${result.error}` };
+        }
+        if (!value.includes(result.value)) value.push(result.value);
+      }
+      return { value };
+    }
+    case "stringOrArray": {
+      if (typeof raw === "string") {
+        return validateSchemaField(field, { ...rule, type: "string" }, raw);
+      }
+      if (!Array.isArray(raw) || raw.some((item) => typeof item !== "string")) {
+        return { error: "must be a string or an array of strings" };
+      }
+      const value = raw.map((item) => item.trim()).filter(Boolean);
+      if (rule.maxLength && value.join(", ").length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      return { value };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+// Validates a create (partial=false) or update (partial=true) payload against a schema.
+// Returns { value, errors } where errors is [{ field, message }].
+function validateDocument(
+  schema,
+  input,
+  { partial = false, ignoredFields = [] } = {}
+) {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {
+      value,
+      errors: [{ field: null, message: "Body must be a JSON object" }],
+    };
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!(field in input) || isBlank(input[field])) {
+      if (rule.required && (!partial || field in input)) {
+        errors.push({ field, message: "is required" });
+      } else if (partial && field in input) {
+        // Blank values in an update clear the field
+        value[field] = null;
+      }
+      continue;
+    }
+
+    const result = validateSchemaField(field, rule, input[field]);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  // Updates only accept whitelisted fields
+  if (partial) {
+    for (const field of Object.keys(input)) {
+      if (!(field in schema) && !ignoredFields.includes(field)) {
+        errors.push({ field, message: "is not an updatable field" });
+      }
+    }
+  }
+
+  return { value, errors };
+}
+
+function validateMovie(input, { partial = false } = {}) {
+  return validateDocument(MOVIE_SCHEMA, input, {
+    partial,
+    ignoredFields: SERVER_MANAGED_MOVIE_FIELDS,
+  });
+}
+
+// Review payloads for POST/PUT /movies/:id/reviews
+const REVIEW_SCHEMA = {
+  rating: { type: "number", required: true, min: 0, max: 10 },
+  comment: { type: "string", maxLength: 5000 },
+};
+
+// Splits a validated update into $set / $unset so cleared fields are removed
+function buildFieldUpdate(value) {
+  const $set = {};
+  const $unset = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (fieldValue === null) $unset[field] = "";
+    else $set[field] = fieldValue;
+  }
+  return { $set, $unset };
+}
+
+function buildMovieJsonSchema() {
+  const properties = {};
+  for (const [field, rule] of Object.entries(MOVIE_SCHEMA)) {
+    const property = {};
+    if (rule.type === "string" || rule.type === "url") {
+      property.bsonType = "string";
+      if (rule.maxLength) property.maxLength = rule.maxLength;
+      if (rule.enum) property.enum = rule.enum;
+      if (rule.type === "url") property.pattern = "^https?://";
+    } else if (rule.type === "integer" || rule.type === "number") {
+      property.bsonType = rule.type === "integer" ? ["int", "long"] : "number";
+      if (rule.min !== undefined) property.minimum = rule.min;
+      if (rule.exclusiveMin !== undefined) {
+        property.minimum = rule.exclusiveMin;
+        property.exclusiveMinimum = true;
+      }
+      if (rule.max !== undefined) property.maximum = rule.max;
+    } else if (rule.type === "stringOrArray") {
+      property.bsonType = ["string", "array"];
+      property.items = { bsonType: "string" };
+    }
+    properties[field] = property;
+  }
+
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      required: Object.keys(MOVIE_SCHEMA).filter(
+        (field) => MOVIE_SCHEMA[field].required
+      ),
+      properties,
+    },
+  };
+}
+
+async function installMovieValidator() {
+  await storage.setValidator("movies", buildMovieJsonSchema());
+}
+
+// Movie listing - pagination, filtering, sorting and projection for GET /movies
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Public sort keys -> document fields; every one is backed by a { field, _id } index
+const SORTABLE_MOVIE_FIELDS = {
+  title: "title",
+  rating: "rating",
+  year: "releaseYear",
+  releaseYear: "releaseYear",
+  duration: "duration",
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  communityRating: "communityRating",
+  reviewCount: "reviewCount",
+};
+
+// Legacy sortBy values and their implied direction
+const LEGACY_SORT_DIRECTIONS = { rating: -1, year: -1, title: 1 };
+
+const PROJECTABLE_MOVIE_FIELDS = [
+  ...Object.keys(MOVIE_SCHEMA),
+  "addedBy",
+  "createdAt",
+  "updatedAt",
+  "communityRating",
+  "reviewCount",
+];
+
+const RANGE_FILTERS = {
+  minRating: { field: "rating", op: "$gte" },
+  maxRating: { field: "rating", op: "$lte" },
+  yearFrom: { field: "releaseYear", op: "$gte" },
+  yearTo: { field: "releaseYear", op: "$lte" },
+  minDuration: { field: "duration", op: "$gte" },
+  maxDuration: { field: "duration", op: "$lte" },
+};
+
+// Accepts repeated (?genre=a&genre=b) and comma-separated (?genre=a,b) values
+function parseListParam(raw) {
+  const values = Array.isArray(raw) ? raw : [raw];
+  return values
+    .flatMap((value) => String(value ?? "").split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+// Cursor values are tagged so ObjectIds and Dates survive the JSON round trip
+function encodeCursorValue(value) {
+  if (value instanceof ObjectId) return { $oid: value.toHexString() };
+  if (value instanceof Date) return { $date: value.toISOString() };
+  return value === undefined ? null : value;
+}
+
+function decodeCursorValue(value) {
+  if (value && typeof value === "object") {
+    if (value.$oid && ObjectId.isValid(value.$oid)) {
+      return new ObjectId(value.$oid);
+    }
+    if (value.$date) return new Date(value.$date);
+  }
+  return value;
+}
+
+function encodeMovieCursor(movie, sortField, direction) {
+  const payload = {
+    f: sortField,
+    d: direction,
+    v: encodeCursorValue(movie[sortField]),
+    id: encodeCursorValue(movie._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeMovieCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      !payload ||
+      typeof payload.f !== "string" ||
+      ![1, -1].includes(payload.d)
+    ) {
+      return null;
+    }
+    return {
+      sortField: payload.f,
+      direction: payload.d,
+      value: decodeCursorValue(payload.v),
+      id: decodeCursorValue(payload.id),
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Keyset condition for "documents after the cursor" in { sortField, _id } order.
+// Missing values sort first ascending and last descending, as MongoDB orders null.
+function buildCursorCondition({ sortField, direction, value, id }) {
+  const cmp = direction === 1 ? "$gt" : "$lt";
+  if (value === null || value === undefined) {
+    const sameValue = { [sortField]: null, _id: { [cmp]: id } };
+    return direction === 1
+      ? { $or: [sameValue, { [sortField]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const conditions = [
+    { [sortField]: { [cmp]: value } },
+    { [sortField]: value, _id: { [cmp]: id } },
+  ];
+  if (direction === -1) {
+    conditions.push({ [sortField]: null });
+  }
+  return { $or: conditions };
+}
+
+// Translates GET /movies query params into a MongoDB query plan.
+// Returns { errors } when any parameter is invalid.
+function parseMovieListQuery(params) {
+  const errors = [];
+  const conditions = [];
+
+  const genres = parseListParam(params.genre).filter(
+    (genre) => genre !== "All"
+  );
+  if (genres.length) {
+    conditions.push({ genre: { $in: genres } });
+  }
+
+  for (const field of ["language", "country"]) {
+    const values = parseListParam(params[field]);
+    if (values.length) {
+      conditions.push({ [field]: { $in: values } });
+    }
+  }
+
+  const ranges = {};
+  for (const [param, { field, op }] of Object.entries(RANGE_FILTERS)) {
+    if (isBlank(params[param])) continue;
+    const value = Number(params[param]);
+    if (!Number.isFinite(value)) {
+      errors.push({ field: param, message: "must be a number" });
+      continue;
+    }
+    ranges[field] = { ...ranges[field], [op]: value };
+  }
+  for (const [field, range] of Object.entries(ranges)) {
+    conditions.push({ [field]: range });
+  }
+
+  // Sorting: ?sort=-rating, ?sort=title&order=asc, or the legacy ?sortBy=rating
+  let sortKey = params.sort || params.sortBy || "createdAt";
+  let direction = null;
+  if (typeof sortKey === "string" && sortKey.startsWith("-")) {
+    sortKey = sortKey.slice(1);
+    direction = -1;
+  }
+  const sortField = SORTABLE_MOVIE_FIELDS[sortKey];
+  if (!sortField) {
+    errors.push({
+      field: "sort",
+      message: `must be one of: ${Object.keys(SORTABLE_MOVIE_FIELDS).join(", ")}`,
+    });
+  }
+  if (params.order === "asc") direction = 1;
+  else if (params.order === "desc") direction = -1;
+  else if (params.order) {
+    errors.push({ field: "order", message: "must be asc or desc" });
+  }
+  if (direction === null) {
+    direction = LEGACY_SORT_DIRECTIONS[sortKey] ?? -1;
+  }
+
+  let projection = null;
+  const fields = parseListParam(params.fields);
+  if (fields.length) {
+    const unknown = fields.filter(
+      (field) => !PROJECTABLE_MOVIE_FIELDS.includes(field)
+    );
+    if (unknown.length) {
+      errors.push({
+        field: "fields",
+        message: `unknown fields: ${unknown.join(", ")}`,
+      });
+    }
+    // id/_id identify the movie and the sort field is needed to build the next cursor
+    projection = { _id: 1, id: 1 };
+    for (const field of [...fields, sortField]) {
+      if (field) projection[field] = 1;
+    }
+  }
+
+  const paginated =
+    params.page !== undefined ||
+    params.limit !== undefined ||
+    params.cursor !== undefined;
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE)
+  );
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+
+  let cursor = null;
+  if (params.cursor) {
+    cursor = decodeMovieCursor(params.cursor);
+    if (
+      !cursor ||
+      cursor.sortField !== sortField ||
+      cursor.direction !== direction
+    ) {
+      errors.push({
+        field: "cursor",
+        message: "is invalid or does not match the requested sort",
+      });
+    }
+  }
+
+  return {
+    errors,
+    conditions,
+    sortField,
+    direction,
+    sort: { [sortField]: direction, _id: direction },
+    projection,
+    paginated,
+    limit,
+    page,
+    cursor,
+  };
+}
+
+// Search - text index weights, fuzzy fallback and autocomplete
+const MOVIE_TEXT_INDEX_WEIGHTS = {
+  title: 10,
+  director: 5,
+  cast: 3,
+  plotSummary: 1,
+};
+const TITLE_INDEX_TTL_MS = 5 * 60 * 1000;
+const SNIPPET_RADIUS = 60;
+// Fewer text matches than this on the first page adds fuzzy title matches
+const FUZZY_SEARCH_MIN_RESULTS = 5;
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function normalizeSearchText(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tokenizeSearchQuery(query) {
+  return [
+    ...new Set(
+      normalizeSearchText(query)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((term) => term.length > 1)
+    ),
+  ];
+}
+
+// Levenshtein distance, giving up early once it exceeds maxDistance
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Wraps matched terms in <mark>, returning a short HTML-escaped snippet per field
+function buildHighlights(movie, terms) {
+  if (!terms.length) {
+    return [];
+  }
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join("|")})`, "gi");
+  const highlights = [];
+
+  for (const field of Object.keys(MOVIE_TEXT_INDEX_WEIGHTS)) {
+    const raw = Array.isArray(movie[field])
+      ? movie[field].join(", ")
+      : movie[field];
+    if (typeof raw !== "string" || !raw) continue;
+
+    pattern.lastIndex = 0;
+    const match = pattern.exec(raw);
+    if (!match) continue;
+
+    const start = Math.max(0, match.index - SNIPPET_RADIUS);
+    const end = Math.min(
+      raw.length,
+      match.index + match[0].length + SNIPPET_RADIUS
+    );
+    const excerpt = raw.slice(start, end);
+    const snippet = excerpt
+      .split(pattern)
+      .map((part, i) =>
+        i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+      )
+      .join("");
+
+    highlights.push({
+      field,
+      snippet: `${start > 0 ? "…" : ""}${snippet}${end < raw.length ? "…" : ""}`,
+    });
+  }
+  return highlights;
+}
+
+// In-process title index used by the fuzzy fallback and /movies/suggest
+let titleIndexCache = null;
+
+function invalidateTitleIndex() {
+  titleIndexCache = null;
+}
+
+async function getTitleIndex() {
+  if (titleIndexCache && titleIndexCache.expiresAt > Date.now()) {
+    return titleIndexCache.entries;
+  }
+
+  const bannedEmails = await getBannedUserEmails();
+  const movies = await movieRepository
+    .find(bannedEmails.length ? { addedBy: { $nin: bannedEmails } } : {})
+    .project({
+      _id: 1,
+      id: 1,
+      title: 1,
+      rating: 1,
+      releaseYear: 1,
+      posterUrl: 1,
+    })
+    .toArray();
+
+  const entries = movies
+    .filter((movie) => typeof movie.title === "string" && movie.title.trim())
+    .map((movie) => ({
+      movie,
+      normalizedTitle: normalizeSearchText(movie.title),
+    }))
+    .sort(
+      (a, b) => (Number(b.movie.rating) || 0) - (Number(a.movie.rating) || 0)
+    );
+
+  titleIndexCache = { entries, expiresAt: Date.now() + TITLE_INDEX_TTL_MS };
+  return entries;
+}
+
+// Closest titles by edit distance, comparing against the whole title and its same-length prefix
+async function findFuzzyTitleMatches(query, limit) {
+  const normalizedQuery = normalizeSearchText(query);
+  if (normalizedQuery.length < 3) {
+    return [];
+  }
+  const maxDistance = Math.max(1, Math.floor(normalizedQuery.length / 4));
+  const entries = await getTitleIndex();
+
+  // The query is compared with the whole title and, from each word of it, with
+  // that word, the rest of the title and a stretch as long as the query, so
+  // "matrx" finds "The Matrix" and "dark knigt" finds "The Dark Knight Rises"
+  const matches = [];
+  for (const entry of entries) {
+    const title = entry.normalizedTitle;
+    const candidates = [title];
+    for (const word of title.matchAll(/\S+/g)) {
+      const rest = title.slice(word.index);
+      candidates.push(word[0], rest, rest.slice(0, normalizedQuery.length));
+    }
+    const distance = Math.min(
+      ...candidates.map((candidate) =>
+        editDistance(normalizedQuery, candidate, maxDistance)
+      )
+    );
+    if (distance <= maxDistance) {
+      matches.push({ entry, distance });
+    }
+  }
+
+  return matches
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ entry, distance }) => ({
+      movie: entry.movie,
+      score: Number((1 - distance / normalizedQuery.length).toFixed(3)),
+    }));
+}
+
+// Response cache - public catalog responses kept in process for a short TTL and keyed by
+// path plus sorted query params. Hits skip the database; the CDN may hold responses for
+// the same TTL (s-maxage), while browsers always revalidate with the weak ETag.
+const parsedResponseCacheTtl = parseInt(
+  process.env.RESPONSE_CACHE_TTL_SECONDS,
+  10
+);
+const RESPONSE_CACHE_TTL_SECONDS =
+  Number.isFinite(parsedResponseCacheTtl) && parsedResponseCacheTtl >= 0
+    ? parsedResponseCacheTtl
+    : 60;
+const RESPONSE_CACHE_MAX_ENTRIES = 500;
+const CACHED_RESPONSE_HEADERS = ["x-total-count", "x-next-cursor"];
+const responseCache = new Map();
+
+// Any catalog write drops every cached response along with the title index
+function invalidateCatalogCache() {
+  invalidateTitleIndex();
+  responseCache.clear();
+}
+
+function getResponseCacheKey(req) {
+  const params = new URLSearchParams(req.originalUrl.split("?")[1] || "");
+  params.sort();
+  return `${req.path}?${params}`;
+}
+
+function createWeakETag(body) {
+  const hash = crypto.createHash("sha1").update(body).digest("base64url");
+  return `W/"${hash}"`;
+}
+
+// Only 200 responses are stored. Express answers If-None-Match with 304 from the ETag.
+function cacheResponse(req, res, next) {
+  if (!RESPONSE_CACHE_TTL_SECONDS) {
+    return next();
+  }
+
+  const cacheControl = `public, max-age=0, s-maxage=${RESPONSE_CACHE_TTL_SECONDS}, stale-while-revalidate=${RESPONSE_CACHE_TTL_SECONDS}`;
+  const key = getResponseCacheKey(req);
+  const cached = responseCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return res
+      .set({
+        ...cached.headers,
+        "Cache-Control": cacheControl,
+        ETag: cached.etag,
+        "X-Cache": "HIT",
+      })
+      .type("json")
+      .send(cached.body);
+  }
+  responseCache.delete(key);
+
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    res.send = send;
+    if (res.statusCode !== 200 || typeof body !== "object" || !body) {
+      return send(body);
+    }
+
+    const json = JSON.stringify(body);
+    const headers = {};
+    for (const name of CACHED_RESPONSE_HEADERS) {
+      if (res.get(name) !== undefined) headers[name] = res.get(name);
+    }
+    const etag = createWeakETag(json);
+    if (responseCache.size >= RESPONSE_CACHE_MAX_ENTRIES) {
+      responseCache.delete(responseCache.keys().next().value);
+    }
+    responseCache.set(key, {
+      body: json,
+      etag,
+      headers,
+      expiresAt: Date.now() + RESPONSE_CACHE_TTL_SECONDS * 1000,
+    });
+    return res
+      .set({ "Cache-Control": cacheControl, ETag: etag, "X-Cache": "MISS" })
+      .type("json")
+      .send(json);
+  };
+  next();
+}
+
+// Real-time events - mutation routes publish to an in-process bus that GET /events
+// streams as Server-Sent Events. Catalog events go to every client, watchlist events to
+// the list's owner and collaborators. Recent events stay in a replay buffer so a client
+// reconnecting with Last-Event-ID misses nothing; ids carry a per-process stream id, so
+// an id from another instance (or before a restart) gets a "reset" event instead.
+// With EVENTS_CHANGE_STREAMS=true the movie and watchlist events come from MongoDB
+// change streams instead, so every instance sees every write (needs a replica set).
+const EVENT_STREAM_ID = crypto.randomBytes(4).toString("hex");
+const EVENT_REPLAY_BUFFER_SIZE = 500;
+const EVENT_REPLAY_MS = 5 * 60 * 1000;
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const EVENT_RETRY_MS = 5000;
+const EVENTS_CHANGE_STREAMS = process.env.EVENTS_CHANGE_STREAMS === "true";
+
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(0);
+const eventReplayBuffer = [];
+let eventSequence = 0;
+let changeStreams = [];
+
+// audience: lower-cased emails allowed to see the event; omitted means everyone.
+// key identifies the change across instances (a change stream's resume token).
+function publishEvent(type, data, { audience = null, key = null } = {}) {
+  const event = {
+    id: `${EVENT_STREAM_ID}-${++eventSequence}`,
+    sequence: eventSequence,
+    key: key || `${EVENT_STREAM_ID}-${eventSequence}`,
+    type,
+    data,
+    audience,
+    createdAt: Date.now(),
+  };
+  eventReplayBuffer.push(event);
+  while (
+    eventReplayBuffer.length > EVENT_REPLAY_BUFFER_SIZE ||
+    eventReplayBuffer[0].createdAt < event.createdAt - EVENT_REPLAY_MS
+  ) {
+    eventReplayBuffer.shift();
+  }
+  eventBus.emit("event", event);
+}
+
+function canReceiveEvent(event, userEmail) {
+  return !event.audience || event.audience.includes(userEmail);
+}
+
+// Events after lastEventId, or null when they are no longer (or never were) buffered
+function getEventsSince(lastEventId) {
+  const separator = lastEventId.lastIndexOf("-");
+  const streamId = lastEventId.slice(0, separator);
+  const sequence = Number(lastEventId.slice(separator + 1));
+  if (streamId !== EVENT_STREAM_ID || !Number.isInteger(sequence)) {
+    return null;
+  }
+  const oldest = eventReplayBuffer[0]?.sequence ?? eventSequence + 1;
+  if (sequence > eventSequence || sequence < oldest - 1) {
+    return null;
+  }
+  return eventReplayBuffer.filter((event) => event.sequence > sequence);
+}
+
+function formatServerSentEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function toMovieEventData(movie) {
+  const converted = convertMovieToIntegerId(movie);
+  return { id: converted.id, movie: converted };
+}
+
+// Route-side publishers; they stand down while change streams are the source
+function publishMovieEvent(type, movie) {
+  if (changeStreams.length) {
+    return;
+  }
+  publishEvent(
+    type,
+    type === "movie.deleted"
+      ? { id: convertMovieToIntegerId(movie).id }
+      : toMovieEventData(movie)
+  );
+}
+
+function getWatchlistAudience(list) {
+  return [list.userEmail, ...(list.collaborators || [])];
+}
+
+function publishWatchlistEvent(list, action, data = {}, audience = null) {
+  if (changeStreams.length) {
+    return;
+  }
+  publishEvent(
+    "watchlist.updated",
+    { listId: list._id, action, ...data },
+    { audience: audience || getWatchlistAudience(list) }
+  );
+}
+
+async function handleMovieChange(change) {
+  invalidateCatalogCache();
+  const options = { key: change._id._data };
+  const movie = change.fullDocument;
+  const before = change.fullDocumentBeforeChange;
+  if (change.operationType === "delete") {
+    // Purging a trashed movie was already announced when it was trashed
+    if (!before?.deletedAt) {
+      publishEvent("movie.deleted", { id: change.documentKey._id }, options);
+    }
+    return;
+  }
+  if (!movie) {
+    return;
+  }
+  const updatedFields = change.updateDescription?.updatedFields || {};
+  const removedFields = change.updateDescription?.removedFields || [];
+  if (change.operationType === "insert") {
+    publishEvent("movie.created", toMovieEventData(movie), options);
+  } else if (movie.deletedAt) {
+    if ("deletedAt" in updatedFields) {
+      publishEvent("movie.deleted", { id: movie.id ?? movie._id }, options);
+    }
+  } else if (removedFields.includes("deletedAt")) {
+    publishEvent("movie.created", toMovieEventData(movie), options);
+  } else {
+    publishEvent("movie.updated", toMovieEventData(movie), options);
+  }
+}
+
+// Deletes only carry the removed document when the collection records pre-images
+async function handleWatchlistEntryChange(change) {
+  const entry = change.fullDocument || change.fullDocumentBeforeChange;
+  if (!entry?.listId) {
+    return;
+  }
+  const list = await watchlistListRepository.findOne({ _id: entry.listId });
+  const action = {
+    insert: "entry.added",
+    delete: "entry.removed",
+  }[change.operationType];
+  publishEvent(
+    "watchlist.updated",
+    {
+      listId: entry.listId,
+      action: action || "entry.updated",
+      movieId: entry.movieId,
+    },
+    {
+      audience: list ? getWatchlistAudience(list) : [entry.userEmail],
+      key: change._id._data,
+    }
+  );
+}
+
+async function handleWatchlistListChange(change) {
+  const list = change.fullDocument || change.fullDocumentBeforeChange;
+  if (!list) {
+    return;
+  }
+  // Collaborators who were just removed still hear about it
+  const audience = [
+    ...new Set([
+      ...getWatchlistAudience(list),
+      ...(change.fullDocumentBeforeChange?.collaborators || []),
+    ]),
+  ];
+  const action = {
+    insert: "list.created",
+    delete: "list.deleted",
+  }[change.operationType];
+  publishEvent(
+    "watchlist.updated",
+    { listId: list._id, action: action || "list.updated" },
+    { audience, key: change._id._data }
+  );
+}
+
+function stopChangeStreams() {
+  for (const stream of changeStreams) {
+    stream.close().catch(() => {});
+  }
+  changeStreams = [];
+}
+
+// Falls back to route-side events if the deployment cannot open change streams
+function startChangeStreams() {
+  if (!storage.watch) {
+    console.warn(
+      `Warning: EVENTS_CHANGE_STREAMS needs MongoDB; ${storage.name} publishes events in process`
+    );
+    return;
+  }
+  changeStreams = [
+    ["movies", handleMovieChange],
+    ["watchlists", handleWatchlistEntryChange],
+    ["watchlist_lists", handleWatchlistListChange],
+  ].map(([collectionName, handleChange]) => {
+    const stream = storage.watch(collectionName, [], {
+      fullDocument: "updateLookup",
+      fullDocumentBeforeChange: "whenAvailable",
+    });
+    stream.on("change", (change) =>
+      handleChange(change).catch((error) =>
+        console.warn(
+          `Warning: failed to publish a ${collectionName} change`,
+          error?.message || error
+        )
+      )
+    );
+    stream.on("error", (error) => {
+      if (!changeStreams.length) {
+        return;
+      }
+      console.warn(
+        "Warning: change streams stopped; publishing events in process",
+        error?.message || error
+      );
+      stopChangeStreams();
+    });
+    return stream;
+  });
+}
+
+// Webhooks - users register endpoints for bus events. Each matching event becomes a
+// delivery document; a worker claims due deliveries, POSTs them signed with the
+// webhook's secret and reschedules failures with exponential backoff. A unique
+// (webhookId, eventKey) index stops instances that share change streams from queueing
+// the same event twice.
+const WEBHOOK_EVENTS = [
+  "movie.created",
+  "movie.updated",
+  "movie.deleted",
+  "watchlist.updated",
+];
+const MAX_WEBHOOKS_PER_USER = 10;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_LEASE_MS = 60 * 1000;
+const WEBHOOK_POLL_INTERVAL_MS = 10 * 1000;
+const WEBHOOK_BATCH_SIZE = 50;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const WEBHOOK_RESPONSE_BODY_LIMIT = 1000;
+const WEBHOOK_DELIVERY_STATUSES = [
+  "pending",
+  "delivering",
+  "succeeded",
+  "failed",
+];
+// Local receivers (localhost, private networks) are refused unless this is set
+const WEBHOOK_ALLOW_PRIVATE_URLS =
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+const WEBHOOK_SCHEMA = {
+  url: { type: "url", required: true, maxLength: 2048 },
+  events: {
+    type: "array",
+    required: true,
+    items: { type: "string", enum: WEBHOOK_EVENTS },
+    maxItems: WEBHOOK_EVENTS.length,
+  },
+  description: { type: "string", maxLength: 200 },
+  active: { type: "boolean" },
+};
+
+function toWebhook(webhook) {
+  const { secret, ...fields } = webhook;
+  return fields;
+}
+
+// Stripe-style header: the timestamp is signed with the body to stop replays
+function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224
+    );
+  }
+  const lower = address.toLowerCase();
+  return (
+    lower === "::" ||
+    lower === "::1" ||
+    /^f[cd]/.test(lower) ||
+    /^fe[89ab]/.test(lower)
+  );
+}
+
+// Checked again before every attempt, since DNS can change after registration
+async function findPrivateWebhookAddress(url) {
+  if (WEBHOOK_ALLOW_PRIVATE_URLS) {
+    return null;
+  }
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (hostname === "localhost" || hostname.endsWith(".localhost")) {
+    return hostname;
+  }
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true });
+  return (
+    addresses.find(({ address }) => isPrivateAddress(address))?.address || null
+  );
+}
+
+// Validation error for a webhook URL the server may not call, or null
+async function checkWebhookUrl(url) {
+  try {
+    const privateAddress = await findPrivateWebhookAddress(url);
+    return privateAddress
+      ? {
+          field: "url",
+          message: `must not point to a private address (${privateAddress})`,
+        }
+      : null;
+  } catch {
+    return { field: "url", message: "host could not be resolved" };
+  }
+}
+
+// The webhook's owner or an admin
+async function findAccessibleWebhook(req, webhookId) {
+  if (!ObjectId.isValid(String(webhookId))) {
+    return null;
+  }
+  const filter = { _id: new ObjectId(String(webhookId)) };
+  if (getRoleRank(req.userRole) < getRoleRank("admin")) {
+    filter.userEmail = req.userEmail;
+  }
+  return webhookRepository.findOne(filter);
+}
+
+function getWebhookRetryDelay(attemptCount) {
+  return WEBHOOK_RETRY_BASE_MS * 2 ** (attemptCount - 1);
+}
+
+async function insertWebhookDelivery(webhook, payload, fields = {}) {
+  const now = new Date();
+  const delivery = {
+    webhookId: webhook._id,
+    userEmail: webhook.userEmail,
+    eventKey: payload.id,
+    eventType: payload.type,
+    payload,
+    status: "pending",
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now,
+    // Redeliveries set this to true, which keeps them out of the unique event index
+    redelivery: false,
+    ...fields,
+  };
+  try {
+    const result = await webhookDeliveryRepository.insertOne(delivery);
+    return { ...delivery, _id: result.insertedId };
+  } catch (error) {
+    // Another instance already queued this event
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+// Watchlist events only reach webhooks whose owner may see them
+async function enqueueWebhookDeliveries(event) {
+  if (!webhookRepository || !WEBHOOK_EVENTS.includes(event.type)) {
+    return;
+  }
+  const webhooks = await webhookRepository
+    .find({ active: true, events: event.type })
+    .toArray();
+  const payload = {
+    id: event.key,
+    type: event.type,
+    createdAt: new Date(event.createdAt),
+    data: event.data,
+  };
+  let queued = 0;
+  for (const webhook of webhooks) {
+    if (canReceiveEvent(event, webhook.userEmail)) {
+      if (await insertWebhookDelivery(webhook, payload)) queued++;
+    }
+  }
+  if (queued) {
+    startWebhookWorker();
+  }
+}
+
+async function attemptWebhookDelivery(delivery) {
+  const webhook = await webhookRepository.findOne({ _id: delivery.webhookId });
+  const attempt = { at: new Date(), responseStatus: null, error: null };
+  if (!webhook || !webhook.active) {
+    attempt.error = "Webhook is disabled or deleted";
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(attempt.at.getTime() / 1000);
+    try {
+      const privateAddress = await findPrivateWebhookAddress(webhook.url);
+      if (privateAddress) {
+        throw new Error(
+          `URL resolves to a private address (${privateAddress})`
+        );
+      }
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "MovieMaster-Webhooks/1",
+          "X-MovieMaster-Event": delivery.eventType,
+          "X-MovieMaster-Delivery": String(delivery._id),
+          "X-MovieMaster-Signature": signWebhookPayload(
+            webhook.secret,
+            timestamp,
+            body
+          ),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      attempt.responseStatus = response.status;
+      attempt.responseBody = (await response.text()).slice(
+        0,
+        WEBHOOK_RESPONSE_BODY_LIMIT
+      );
+      if (!response.ok) {
+        attempt.error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error?.message || String(error);
+    }
+  }
+  attempt.durationMs = Date.now() - attempt.at.getTime();
+
+  const attemptCount = delivery.attemptCount + 1;
+  const retry =
+    attempt.error && webhook?.active && attemptCount < WEBHOOK_MAX_ATTEMPTS;
+  await webhookDeliveryRepository.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status: !attempt.error ? "succeeded" : retry ? "pending" : "failed",
+        attemptCount,
+        nextAttemptAt: retry
+          ? new Date(Date.now() + getWebhookRetryDelay(attemptCount))
+          : null,
+        lastError: attempt.error,
+        responseStatus: attempt.responseStatus,
+        updatedAt: new Date(),
+      },
+      $push: { attempts: attempt },
+      $unset: { leaseExpiresAt: "" },
+    }
+  );
+}
+
+// Works through due deliveries one at a time; a delivery whose worker died is
+// claimable again once its lease runs out
+let webhookWorker = null;
+let webhookWorkerRequested = false;
+
+async function processWebhookDeliveries() {
+  let processed = 0;
+  while (processed < WEBHOOK_BATCH_SIZE) {
+    const now = new Date();
+    const delivery = await webhookDeliveryRepository.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "delivering", leaseExpiresAt: { $lt: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "delivering",
+          leaseExpiresAt: new Date(now.getTime() + WEBHOOK_LEASE_MS),
+        },
+      },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+    if (!delivery) {
+      break;
+    }
+    await attemptWebhookDelivery(delivery);
+    processed++;
+  }
+  return processed;
+}
+
+// A request made during a pass runs another pass, so nothing queued meanwhile waits
+function startWebhookWorker() {
+  if (webhookWorker) {
+    webhookWorkerRequested = true;
+    return webhookWorker;
+  }
+  webhookWorkerRequested = false;
+  webhookWorker = processWebhookDeliveries()
+    .catch((error) =>
+      console.warn("Warning: webhook delivery failed", error?.message || error)
+    )
+    .finally(() => {
+      webhookWorker = null;
+      if (webhookWorkerRequested) startWebhookWorker();
+    });
+  return webhookWorker;
+}
+
+eventBus.on("event", (event) => {
+  enqueueWebhookDeliveries(event).catch((error) =>
+    console.warn(
+      `Warning: failed to queue webhooks for ${event.type}`,
+      error?.message || error
+    )
+  );
+});
+
+// Watchlists - named lists per user; entries stay in the "watchlists" collection with a listId
+const DEFAULT_WATCHLIST_NAME = "My Watchlist";
+const MAX_WATCHLISTS_PER_USER = 50;
+
+const WATCHLIST_VISIBILITIES = ["private", "public"];
+
+const WATCHLIST_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 100 },
+  visibility: { type: "string", enum: WATCHLIST_VISIBILITIES },
+};
+
+const MAX_WATCHLIST_COLLABORATORS = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const WATCHLIST_ENTRY_SCHEMA = {
+  note: { type: "string", maxLength: 1000 },
+  watched: { type: "boolean" },
+  personalRating: { type: "number", min: 0, max: 10 },
+};
+
+function buildMovieSnapshot(converted) {
+  return {
+    id: converted.id,
+    _id: converted._id,
+    title: converted.title,
+    posterUrl: converted.posterUrl,
+    genre: converted.genre,
+    releaseYear: converted.releaseYear,
+    rating: converted.rating,
+  };
+}
+
+// Canonical movie id for a watchlist route parameter; entries outlive deleted
+// movies, so this resolves without loading the movie itself
+async function resolveWatchlistMovieId(idParam) {
+  const identifier = String(idParam ?? "").trim();
+  if (/^\d+$/.test(identifier)) {
+    return Number(identifier);
+  }
+  return identifier ? movieRepository.resolveAlias(identifier) : null;
+}
+
+// Moves a user's pre-list entries into their default list, newest first
+async function migrateLegacyWatchlistEntries(list) {
+  const legacyEntries = await watchlistRepository
+    .find({ userEmail: list.userEmail, listId: { $exists: false } })
+    .sort({ createdAt: -1 })
+    .toArray();
+  if (!legacyEntries.length) {
+    return 0;
+  }
+
+  const [first] = await watchlistRepository
+    .find({ listId: list._id })
+    .sort({ position: 1 })
+    .limit(1)
+    .toArray();
+  const startPosition = first ? first.position - legacyEntries.length : 0;
+
+  await watchlistRepository.bulkWrite(
+    legacyEntries.map((entry, index) => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: {
+          $set: {
+            listId: list._id,
+            position: startPosition + index,
+            watched: false,
+          },
+        },
+      },
+    }))
+  );
+  return legacyEntries.length;
+}
+
+// Returns the user's default list, creating it (and migrating legacy entries) on first use
+async function getDefaultWatchlist(userEmail) {
+  const existing = await watchlistListRepository.findOne({
+    userEmail,
+    isDefault: true,
+  });
+  if (existing) {
+    return existing;
+  }
+
+  const now = new Date();
+  try {
+    await watchlistListRepository.updateOne(
+      { userEmail, isDefault: true },
+      {
+        $setOnInsert: {
+          userEmail,
+          name: DEFAULT_WATCHLIST_NAME,
+          isDefault: true,
+          createdAt: now,
+          updatedAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code !== 11000) throw error;
+  }
+
+  const list = await watchlistListRepository.findOne({
+    userEmail,
+    isDefault: true,
+  });
+  await migrateLegacyWatchlistEntries(list);
+  return list;
+}
+
+async function findUserWatchlist(userEmail, listId) {
+  if (!ObjectId.isValid(String(listId))) {
+    return null;
+  }
+  return watchlistListRepository.findOne({
+    _id: new ObjectId(String(listId)),
+    userEmail,
+  });
+}
+
+// Like findUserWatchlist, but also admits invited collaborators (list.access says which)
+async function findAccessibleWatchlist(userEmail, listId) {
+  if (!ObjectId.isValid(String(listId))) {
+    return null;
+  }
+  const list = await watchlistListRepository.findOne({
+    _id: new ObjectId(String(listId)),
+    $or: [{ userEmail }, { collaborators: userEmail }],
+  });
+  if (!list) {
+    return null;
+  }
+  return {
+    ...list,
+    access: list.userEmail === userEmail ? "owner" : "collaborator",
+  };
+}
+
+// Adds a movie at the top of a list; returns { entry, alreadyExists }
+async function addMovieToWatchlist(list, converted, fields = {}) {
+  const movieKey = String(requireNumericMovieId(converted));
+  const existing = await watchlistRepository.findOne({
+    listId: list._id,
+    movieKey,
+  });
+  if (existing) {
+    return { entry: existing, alreadyExists: true };
+  }
+
+  const [first] = await watchlistRepository
+    .find({ listId: list._id })
+    .sort({ position: 1 })
+    .limit(1)
+    .toArray();
+
+  const now = new Date();
+  const entry = {
+    userEmail: list.userEmail,
+    listId: list._id,
+    movieId: converted.id,
+    movieKey,
+    position: first ? first.position - 1 : 0,
+    note: fields.note || "",
+    watched: !!fields.watched,
+    addedBy: fields.addedBy || list.userEmail,
+    createdAt: now,
+    movieSnapshot: buildMovieSnapshot(converted),
+  };
+  if (entry.watched) {
+    entry.watchedAt = now;
+  }
+  if (typeof fields.personalRating === "number") {
+    entry.personalRating = fields.personalRating;
+  }
+
+  try {
+    await watchlistRepository.insertOne(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return { entry, alreadyExists: true };
+    }
+    throw error;
+  }
+  await watchlistListRepository.updateOne(
+    { _id: list._id },
+    { $set: { updatedAt: now } }
+  );
+  publishWatchlistEvent(list, "entry.added", { movieId: entry.movieId });
+  return { entry, alreadyExists: false };
+}
+
+// Joins entries with their movies; deleted movies fall back to the stored snapshot
+async function resolveWatchlistEntries(watchlistEntries) {
+  const movieIds = [
+    ...new Set(
+      watchlistEntries
+        .map((entry) => entry.movieId)
+        .filter((movieId) => Number.isInteger(movieId) && movieId > 0)
+    ),
+  ];
+  const moviesFromDb = movieIds.length
+    ? await movieRepository.find({ id: { $in: movieIds } }).toArray()
+    : [];
+
+  const convertedMap = new Map();
+  for (const movie of moviesFromDb) {
+    const converted = convertMovieToIntegerId(movie);
+    convertedMap.set(String(converted.id), converted);
+  }
+
+  return watchlistEntries
+    .map((entry) => {
+      const movie = convertedMap.get(String(entry.movieId));
+
+      const entryFields = {
+        watchlistedAt: entry.createdAt,
+        listId: entry.listId,
+        position: entry.position,
+        note: entry.note || "",
+        watched: !!entry.watched,
+        watchedAt: entry.watchedAt || null,
+        personalRating: entry.personalRating ?? null,
+      };
+
+      if (!movie) {
+        return entry.movieSnapshot
+          ? {
+              ...entry.movieSnapshot,
+              _id: entry.movieKey || entry.movieId,
+              id: entry.movieKey || entry.movieId,
+              ...entryFields,
+              isMissing: true,
+            }
+          : null;
+      }
+
+      return {
+        ...movie,
+        ...entryFields,
+      };
+    })
+    .filter(Boolean);
+}
+
+// Reads ?watched=true|false into an entry filter
+function buildWatchedFilter(watched) {
+  if (watched === "true") return { watched: true };
+  if (watched === "false") return { watched: { $ne: true } };
+  return {};
+}
+
+// Share links - unguessable tokens for a watchlist or a user's collection.
+// Only a SHA-256 hash of each token is stored; the raw token is shown once at creation.
+function generateShareToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function hashShareToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function createShareLink({ userEmail, type, listId = null }) {
+  const token = generateShareToken();
+  const link = {
+    tokenHash: hashShareToken(token),
+    tokenPreview: token.slice(0, 6),
+    userEmail,
+    type,
+    listId,
+    createdAt: new Date(),
+    revokedAt: null,
+  };
+  const result = await shareLinkRepository.insertOne(link);
+  const { tokenHash, ...publicLink } = link;
+  return {
+    ...publicLink,
+    _id: result.insertedId,
+    token,
+    url: `/shared/${token}`,
+  };
+}
+
+// Public owner details for shared pages - never the email address
+async function getPublicOwner(userEmail) {
+  const owner = await userRepository.findByEmail(userEmail);
+  if (!owner || owner.banned) {
+    return null;
+  }
+  return {
+    displayName: owner.displayName || "",
+    photoURL: owner.photoURL || "",
+  };
+}
+
+// Movie content for shared pages - who added a movie or an entry stays private
+const SHARED_MOVIE_FIELDS = [
+  "_id",
+  "id",
+  ...Object.keys(MOVIE_SCHEMA),
+  "communityRating",
+  "reviewCount",
+];
+
+function toSharedMovie(movie) {
+  return Object.fromEntries(
+    SHARED_MOVIE_FIELDS.filter((field) => field in movie).map((field) => [
+      field,
+      movie[field],
+    ])
+  );
+}
+
+async function buildSharedWatchlist(list) {
+  const owner = await getPublicOwner(list.userEmail);
+  if (!owner) {
+    return null;
+  }
+  const entries = await watchlistRepository.findListEntries(list._id);
+  const resolved = await resolveWatchlistEntries(entries);
+
+  return {
+    type: "watchlist",
+    id: list._id,
+    name: list.name,
+    owner,
+    updatedAt: list.updatedAt,
+    // Personal notes and ratings stay private
+    entries: resolved.map((entry) => ({
+      ...toSharedMovie(entry),
+      watchlistedAt: entry.watchlistedAt,
+      position: entry.position,
+      watched: entry.watched,
+      watchedAt: entry.watchedAt,
+      ...(entry.isMissing && { isMissing: true }),
+    })),
+  };
+}
+
+async function buildSharedCollection(userEmail) {
+  const owner = await getPublicOwner(userEmail);
+  if (!owner) {
+    return null;
+  }
+  const movies = await movieRepository
+    .find({ addedBy: userEmail })
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  return {
+    type: "collection",
+    owner,
+    movies: movies.map((movie) =>
+      toSharedMovie(convertMovieToIntegerId(movie))
+    ),
+  };
+}
+
+// Follows and activity feed - users follow each other by user id. Activities are
+// recorded only for the event types the actor publishes, one document per actor,
+// event type and movie: a repeat moves the existing activity to the top.
+const ACTIVITY_TYPES = ["movie.added", "movie.updated", "movie.watchlisted"];
+const DEFAULT_PUBLISHED_ACTIVITIES = ["movie.added", "movie.updated"];
+// Field changes within this window are merged into one "updated" activity
+const ACTIVITY_MERGE_WINDOW_MS = 60 * 60 * 1000;
+
+function getPublishedActivities(user) {
+  return Array.isArray(user?.publishedActivities)
+    ? user.publishedActivities
+    : DEFAULT_PUBLISHED_ACTIVITIES;
+}
+
+function toUserSummary(user) {
+  return {
+    id: user._id,
+    displayName: user.displayName || "",
+    photoURL: user.photoURL || "",
+  };
+}
+
+// Best effort: a failed activity write never fails the request that caused it
+async function recordActivity(actorEmail, type, movie, { fields } = {}) {
+  try {
+    const actor = await userRepository.findByEmail(actorEmail);
+    if (!actor || !getPublishedActivities(actor).includes(type)) {
+      return;
+    }
+    const converted = convertMovieToIntegerId(movie);
+    const key = {
+      actor: String(actorEmail).toLowerCase(),
+      type,
+      movieId: converted.id,
+    };
+    const now = new Date();
+    const $set = { movie: buildMovieSnapshot(converted), occurredAt: now };
+    if (fields) {
+      const existing = await activityRepository.findOne(key);
+      const recent =
+        existing && now - existing.occurredAt < ACTIVITY_MERGE_WINDOW_MS;
+      $set.fields = recent
+        ? [...new Set([...(existing.fields || []), ...fields])]
+        : fields;
+    }
+    await activityRepository.updateOne(
+      key,
+      { $set, $setOnInsert: { createdAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.warn(
+      `Warning: failed to record ${type} activity`,
+      error?.message || error
+    );
+  }
+}
+
+// One page of activity from followed users, newest first. Each followee's current
+// publishedActivities applies, so unpublishing an event type also hides its history;
+// watchlist activity is recorded only for entries added to a public default watchlist
+// and shows only while that list is still public.
+// Activities for the same event and movie are grouped in the query, so each shows
+// once across all pages, with every actor, at the time of its latest activity.
+async function getFeed(user, { cursor, limit }) {
+  const follows = await followRepository
+    .find({ followerId: user._id })
+    .project({ followeeId: 1 })
+    .toArray();
+  const followees = follows.length
+    ? await userRepository
+        .find({
+          _id: { $in: follows.map((follow) => follow.followeeId) },
+          banned: { $ne: true },
+        })
+        .toArray()
+    : [];
+  const actors = new Map(
+    followees.map((followee) => [
+      String(followee.email).toLowerCase(),
+      followee,
+    ])
+  );
+  const publicWatchlists = actors.size
+    ? await watchlistListRepository
+        .aggregate([
+          {
+            $match: {
+              userEmail: { $in: [...actors.keys()] },
+              isDefault: true,
+              visibility: "public",
+            },
+          },
+          { $group: { _id: "$userEmail" } },
+        ])
+        .toArray()
+    : [];
+  const publicWatchlistOwners = new Set(
+    publicWatchlists.map((owner) => owner._id)
+  );
+
+  const conditions = ACTIVITY_TYPES.map((type) => ({
+    type,
+    actor: {
+      $in: [...actors]
+        .filter(
+          ([email, followee]) =>
+            getPublishedActivities(followee).includes(type) &&
+            (type !== "movie.watchlisted" || publicWatchlistOwners.has(email))
+        )
+        .map(([email]) => email),
+    },
+  })).filter((condition) => condition.actor.$in.length);
+  if (!conditions.length) {
+    return { activities: [], next: null };
+  }
+
+  const found = await activityRepository
+    .aggregate([
+      { $match: { $or: conditions } },
+      { $sort: { occurredAt: -1, _id: -1 } },
+      {
+        $group: {
+          _id: { type: "$type", movieId: "$movieId" },
+          activity: { $first: "$$ROOT" },
+          actors: { $push: "$actor" },
+        },
+      },
+      { $set: { _id: "$activity._id", occurredAt: "$activity.occurredAt" } },
+      ...(cursor ? [{ $match: buildCursorCondition(cursor) }] : []),
+      { $sort: { occurredAt: -1, _id: -1 } },
+      { $limit: limit + 1 },
+    ])
+    .toArray();
+  const page = found.slice(0, limit);
+  const next =
+    found.length > limit
+      ? encodeMovieCursor(page[page.length - 1], "occurredAt", -1)
+      : null;
+
+  // Movies since deleted or trashed drop out; the rest show their current details
+  const movies = await movieRepository
+    .find({
+      id: { $in: [...new Set(page.map((group) => group.activity.movieId))] },
+    })
+    .toArray();
+  const moviesById = new Map(movies.map((movie) => [movie.id, movie]));
+
+  const activities = [];
+  for (const { activity, actors: actorEmails } of page) {
+    const movie = moviesById.get(activity.movieId);
+    if (!movie) {
+      continue;
+    }
+    const item = {
+      id: activity._id,
+      type: activity.type,
+      actors: actorEmails.map((email) => toUserSummary(actors.get(email))),
+      movie: buildMovieSnapshot(convertMovieToIntegerId(movie)),
+      occurredAt: activity.occurredAt,
+    };
+    if (activity.fields) {
+      item.fields = activity.fields;
+    }
+    activities.push(item);
+  }
+  return { activities, next };
+}
+
+// Followers or followed users ("followerId" / "followeeId" names the other side)
+async function listFollowUsers(user, { side, page, limit }) {
+  const ownSide = side === "followerId" ? "followeeId" : "followerId";
+  const [follows, total] = await Promise.all([
+    followRepository
+      .find({ [ownSide]: user._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    followRepository.countDocuments({ [ownSide]: user._id }),
+  ]);
+  const users = await userRepository
+    .find({ _id: { $in: follows.map((follow) => follow[side]) } })
+    .toArray();
+  const usersById = new Map(users.map((other) => [String(other._id), other]));
+
+  return {
+    users: follows
+      .map((follow) => {
+        const other = usersById.get(String(follow[side]));
+        return other && !other.banned
+          ? { ...toUserSummary(other), followedAt: follow.createdAt }
+          : null;
+      })
+      .filter(Boolean),
+    total,
+    page,
+    limit,
+  };
+}
+
+// User profiles - editable fields on the user document. Public profiles are looked up
+// by the user's id and never expose the email address.
+const CONTENT_RATINGS = ["G", "PG", "PG-13", "R", "NC-17"];
+const ACCOUNT_MOVIE_ACTIONS = ["anonymize", "delete"];
+
+const USER_PROFILE_SCHEMA = {
+  displayName: { type: "string", maxLength: 100 },
+  photoURL: { type: "url", maxLength: 2048 },
+  bio: { type: "string", maxLength: 1000 },
+  favouriteGenres: {
+    type: "array",
+    items: { type: "string", enum: MOVIE_GENRES },
+    maxItems: 10,
+  },
+  preferredLanguage: { type: "string", maxLength: 100 },
+  contentRatingLimit: { type: "string", enum: CONTENT_RATINGS },
+  publishedActivities: {
+    type: "array",
+    items: { type: "string", enum: ACTIVITY_TYPES },
+    maxItems: ACTIVITY_TYPES.length,
+  },
+};
+
+function toOwnProfile(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    displayName: user.displayName || "",
+    photoURL: user.photoURL || "",
+    bio: user.bio || "",
+    favouriteGenres: user.favouriteGenres || [],
+    preferredLanguage: user.preferredLanguage || null,
+    contentRatingLimit: user.contentRatingLimit || null,
+    publishedActivities: getPublishedActivities(user),
+    role: ROLES.includes(user.role) ? user.role : "user",
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt,
+  };
+}
+
+// Display fields and public watchlists; banned users have no public profile
+async function buildPublicProfile(user) {
+  if (!user || user.banned) {
+    return null;
+  }
+  const userEmail = String(user.email).toLowerCase();
+  const [lists, moviesAdded, followers, following] = await Promise.all([
+    watchlistListRepository
+      .find({ userEmail, visibility: "public" })
+      .sort({ updatedAt: -1 })
+      .toArray(),
+    movieRepository.countDocuments({ addedBy: userEmail }),
+    followRepository.countDocuments({ followeeId: user._id }),
+    followRepository.countDocuments({ followerId: user._id }),
+  ]);
+  const entryCounts = await Promise.all(
+    lists.map((list) =>
+      watchlistRepository.countDocuments({ listId: list._id })
+    )
+  );
+
+  return {
+    id: user._id,
+    displayName: user.displayName || "",
+    photoURL: user.photoURL || "",
+    bio: user.bio || "",
+    favouriteGenres: user.favouriteGenres || [],
+    memberSince: user.createdAt || null,
+    moviesAdded,
+    followers,
+    following,
+    lists: lists.map((list, index) => ({
+      id: list._id,
+      name: list.name,
+      entryCount: entryCounts[index],
+      updatedAt: list.updatedAt,
+    })),
+  };
+}
+
+// Removes the account and everything tied to the email. The user's movies are either
+// deleted for good or kept without an owner; their edits stay in history unattributed.
+async function deleteUserAccount(user, { movies }) {
+  const userEmail = String(user.email).toLowerCase();
+
+  const ownMovies = await movieRepository
+    .withDeleted()
+    .find({ addedBy: userEmail })
+    .project({ _id: 1, id: 1, deletedAt: 1 })
+    .toArray();
+  if (movies === "delete") {
+    await removeMoviesPermanently(ownMovies);
+    // Movies already in the trash were announced as deleted when they went there
+    for (const movie of ownMovies.filter((item) => !item.deletedAt)) {
+      publishMovieEvent("movie.deleted", movie);
+    }
+  } else if (ownMovies.length) {
+    // Trashed movies too, so a restore doesn't bring the email back
+    await movieRepository
+      .withDeleted()
+      .updateMany(
+        { addedBy: userEmail },
+        { $unset: { addedBy: "" }, $inc: { version: 1 } }
+      );
+  }
+  await movieRevisionRepository.updateMany(
+    { actor: userEmail },
+    { $set: { actor: null } }
+  );
+
+  // Reviews go too, so the community ratings they fed are recomputed
+  const reviewedMovieGroups = await reviewRepository
+    .aggregate([{ $match: { userEmail } }, { $group: { _id: "$movieId" } }])
+    .toArray();
+  const reviews = await reviewRepository.deleteMany({ userEmail });
+  const reviewedMovies = await movieRepository
+    .find({ id: { $in: reviewedMovieGroups.map((group) => group._id) } })
+    .toArray();
+  for (const movie of reviewedMovies) {
+    await refreshMovieReviewStats(movie);
+  }
+
+  const watchlistEntries = await watchlistRepository.deleteMany({ userEmail });
+  const lists = await watchlistListRepository.deleteMany({ userEmail });
+  await watchlistRepository.updateMany(
+    { addedBy: userEmail },
+    { $set: { addedBy: null } }
+  );
+  await watchlistListRepository.updateMany(
+    { collaborators: userEmail },
+    { $pull: { collaborators: userEmail } }
+  );
+  await shareLinkRepository.deleteMany({ userEmail });
+  await exportJobRepository.deleteMany({ userEmail });
+  await exportChunkRepository.deleteMany({ userEmail });
+  await followRepository.deleteMany({
+    $or: [{ followerId: user._id }, { followeeId: user._id }],
+  });
+  await activityRepository.deleteMany({ actor: userEmail });
+  await webhookRepository.deleteMany({ userEmail });
+  await webhookDeliveryRepository.deleteMany({ userEmail });
+  await userRepository.deleteOne({ _id: user._id });
+  invalidateCatalogCache();
+
+  return {
+    movies: { action: movies, count: ownMovies.length },
+    reviews: reviews.deletedCount,
+    watchlistEntries: watchlistEntries.deletedCount,
+    watchlists: lists.deletedCount,
+  };
+}
+
+// Personal data export - a background job per request. The archive is built outside
+// the request (or by the next status poll, since serverless instances may freeze once
+// a response is sent). Archives are stored in numbered "export_chunks" documents,
+// well under the 16 MB document limit, that expire with their job.
+const EXPORT_FORMATS = ["json", "zip"];
+const EXPORT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const EXPORT_LEASE_MS = 5 * 60 * 1000;
+const EXPORT_CHUNK_SIZE = 1024 * 1024;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal ZIP writer: deflated entries, no ZIP64, so archives must stay under 4 GB
+function createZipArchive(files, date = new Date()) {
+  const dosTime =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2);
+  const dosDate =
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const { name, content } of files) {
+    const fileName = Buffer.from(name, "utf8");
+    const compressed = zlib.deflateRawSync(content);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(dosTime, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt32LE(crc32(content), 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(content.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    header.copy(central, 6, 4, 30);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(header, fileName, compressed);
+    centralParts.push(central, fileName);
+    offset += header.length + fileName.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Everything stored against the user's email; share link token hashes are left out
+async function collectUserData(user) {
+  const userEmail = String(user.email).toLowerCase();
+  const [
+    movies,
+    watchlists,
+    watchlistEntries,
+    reviews,
+    history,
+    shareLinks,
+    following,
+    activities,
+    webhooks,
+  ] = await Promise.all([
+    movieRepository
+      .withDeleted()
+      .find({ addedBy: userEmail })
+      .sort({ createdAt: 1 })
+      .toArray(),
+    watchlistListRepository
+      .find({ userEmail })
+      .sort({ createdAt: 1 })
+      .toArray(),
+    watchlistRepository
+      .find({ $or: [{ userEmail }, { addedBy: userEmail }] })
+      .sort({ createdAt: 1 })
+      .toArray(),
+    reviewRepository.find({ userEmail }).sort({ createdAt: 1 }).toArray(),
+    movieRevisionRepository
+      .find({ actor: userEmail })
+      .sort({ createdAt: 1 })
+      .toArray(),
+    shareLinkRepository
+      .find({ userEmail })
+      .project({ tokenHash: 0 })
+      .sort({ createdAt: 1 })
+      .toArray(),
+    followRepository
+      .find({ followerId: user._id })
+      .sort({ createdAt: 1 })
+      .toArray(),
+    activityRepository
+      .find({ actor: userEmail })
+      .sort({ createdAt: 1 })
+      .toArray(),
+    webhookRepository.find({ userEmail }).sort({ createdAt: 1 }).toArray(),
+  ]);
+
+  return {
+    profile: toOwnProfile(user),
+    movies: movies.map(convertMovieToIntegerId),
+    watchlists,
+    watchlistEntries,
+    reviews,
+    history,
+    shareLinks,
+    following: following.map((follow) => ({
+      userId: follow.followeeId,
+      followedAt: follow.createdAt,
+    })),
+    activities,
+    webhooks: webhooks.map(toWebhook),
+  };
+}
+
+async function buildExportArchive(user, format) {
+  const exportedAt = new Date();
+  const data = await collectUserData(user);
+  if (format === "zip") {
+    return createZipArchive(
+      [
+        ["export.json", { exportedAt, format: "moviemaster-export/1" }],
+        ...Object.entries(data),
+      ].map(([name, value]) => ({
+        name: name.endsWith(".json") ? name : `${name}.json`,
+        content: Buffer.from(JSON.stringify(value, null, 2)),
+      })),
+      exportedAt
+    );
+  }
+  return Buffer.from(JSON.stringify({ exportedAt, ...data }, null, 2));
+}
+
+// Claims the job (queued, or running with an expired lease) and builds its archive.
+// Returns without doing anything when another request holds the job.
+async function runExportJob(jobId) {
+  const now = new Date();
+  const claim = await exportJobRepository.updateOne(
+    {
+      _id: jobId,
+      $or: [
+        { status: "queued" },
+        { status: "running", leaseExpiresAt: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        startedAt: now,
+        leaseExpiresAt: new Date(now.getTime() + EXPORT_LEASE_MS),
+      },
+    }
+  );
+  if (!claim.matchedCount) {
+    return;
+  }
+
+  const job = await exportJobRepository.findOne({ _id: jobId });
+  try {
+    const user = await userRepository.findByEmail(job.userEmail);
+    if (!user) {
+      throw new Error("User no longer exists");
+    }
+    const archive = await buildExportArchive(user, job.format);
+
+    // Chunks left by a run whose lease expired are replaced
+    await exportChunkRepository.deleteMany({ jobId });
+    const chunks = [];
+    for (let offset = 0; offset < archive.length; offset += EXPORT_CHUNK_SIZE) {
+      chunks.push({
+        jobId,
+        userEmail: job.userEmail,
+        n: chunks.length,
+        data: archive.subarray(offset, offset + EXPORT_CHUNK_SIZE),
+        expiresAt: job.expiresAt,
+      });
+    }
+    if (chunks.length) {
+      await exportChunkRepository.insertMany(chunks);
+    }
+
+    await exportJobRepository.updateOne(
+      { _id: jobId },
+      {
+        $set: {
+          status: "completed",
+          size: archive.length,
+          chunkCount: chunks.length,
+          completedAt: new Date(),
+        },
+        $unset: { leaseExpiresAt: "" },
+      }
+    );
+  } catch (error) {
+    console.error(`Export job ${jobId} failed:`, error);
+    await exportJobRepository.updateOne(
+      { _id: jobId },
+      {
+        $set: {
+          status: "failed",
+          error: error.message,
+          completedAt: new Date(),
+        },
+        $unset: { leaseExpiresAt: "" },
+      }
+    );
+  }
+}
+
+function toExportJobStatus(job) {
+  return {
+    id: job._id,
+    status: job.status,
+    format: job.format,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    expiresAt: job.expiresAt,
+    size: job.size ?? null,
+    error: job.error || null,
+    downloadUrl:
+      job.status === "completed"
+        ? `/users/me/export/${job._id}/download`
+        : null,
+  };
+}
+
+// The caller's unexpired job
+async function findUserExportJob(userEmail, jobId) {
+  if (!ObjectId.isValid(jobId)) {
+    return null;
+  }
+  return exportJobRepository.findOne({
+    _id: new ObjectId(jobId),
+    userEmail,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+// A completed job's archive reassembled from its chunks; null when any are missing
+async function readExportArchive(job) {
+  const chunks = await exportChunkRepository
+    .find({ jobId: job._id })
+    .sort({ n: 1 })
+    .toArray();
+  if (chunks.length !== job.chunkCount) {
+    return null;
+  }
+  // The driver hands back BSON Binary; the in-memory store keeps the Buffer
+  return Buffer.concat(
+    chunks.map((chunk) =>
+      Buffer.isBuffer(chunk.data) ? chunk.data : Buffer.from(chunk.data.value())
+    )
+  );
+}
+
+// Movie trash - deletes are soft and purged for good after the retention period
+const parsedRetentionDays = Number.parseFloat(
+  process.env.MOVIE_TRASH_RETENTION_DAYS
+);
+const MOVIE_TRASH_RETENTION_DAYS =
+  Number.isFinite(parsedRetentionDays) && parsedRetentionDays >= 0
+    ? parsedRetentionDays
+    : 30;
+const MOVIE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function getPurgeDate(deletedAt) {
+  return new Date(
+    new Date(deletedAt).getTime() +
+      MOVIE_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+}
+
+async function softDeleteMovie(movie, deletedBy) {
+  const deletedAt = new Date();
+  const result = await movieRepository.updateOne(
+    getVersionedMovieQuery(movie),
+    { $set: { deletedAt, deletedBy }, $inc: { version: 1 } }
+  );
+  assertVersionMatched(result, movie);
+  invalidateCatalogCache();
+  publishMovieEvent("movie.deleted", movie);
+  return {
+    acknowledged: true,
+    deletedCount: result.modifiedCount,
+    deletedAt,
+    purgeAt: getPurgeDate(deletedAt),
+  };
+}
+
+// Permanently removes movies trashed before the cutoff, with their reviews and history.
+// Watchlist entries stay and fall back to their movie snapshot.
+async function purgeDeletedMovies(now = new Date()) {
+  const cutoff = new Date(
+    now.getTime() - MOVIE_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+  const expired = await movieRepository
+    .withDeleted()
+    .find({ deletedAt: { $lte: cutoff } })
+    .project({ _id: 1, id: 1 })
+    .toArray();
+  if (!expired.length) {
+    return 0;
+  }
+
+  await removeMoviesPermanently(expired);
+  return expired.length;
+}
+
+// Hard delete of movies ({ _id, id }) with their reviews and history
+async function removeMoviesPermanently(movies) {
+  if (!movies.length) {
+    return;
+  }
+  await movieRepository.deleteMany({
+    _id: { $in: movies.map((movie) => movie._id) },
+  });
+  const movieIds = movies
+    .map((movie) => movie.id)
+    .filter((id) => typeof id === "number");
+  await reviewRepository.deleteMany({ movieId: { $in: movieIds } });
+  await movieRevisionRepository.deleteMany({ movieId: { $in: movieIds } });
+  await activityRepository.deleteMany({ movieId: { $in: movieIds } });
+  invalidateCatalogCache();
+}
+
+// Movie revisions - one document per change with per-field before/after values
+function diffMovieUpdate(movie, { $set = {}, $unset = {} }) {
+  const changes = [];
+  for (const [field, after] of Object.entries($set)) {
+    if (!valuesEqual(movie[field], after)) {
+      changes.push({ field, before: movie[field] ?? null, after });
+    }
+  }
+  for (const field of Object.keys($unset)) {
+    if (movie[field] !== undefined && movie[field] !== null) {
+      changes.push({ field, before: movie[field], after: null });
+    }
+  }
+  return changes;
+}
+
+// Writes the update and its revision; unchanged updates only bump updatedAt and
+// version. Resolves to the update result plus the movie's new version.
+async function updateMovieWithRevision(movie, update, revision) {
+  const changes = diffMovieUpdate(movie, update);
+  const updateDoc = {
+    $set: { ...update.$set, updatedAt: new Date() },
+    $inc: { version: 1 },
+  };
+  if (update.$unset && Object.keys(update.$unset).length) {
+    updateDoc.$unset = update.$unset;
+  }
+
+  const result = await movieRepository.updateOne(
+    getVersionedMovieQuery(movie),
+    updateDoc
+  );
+  assertVersionMatched(result, movie);
+  invalidateCatalogCache();
+
+  const updated = {
+    ...movie,
+    ...updateDoc.$set,
+    version: (movie.version || 0) + 1,
+  };
+  for (const field of Object.keys(updateDoc.$unset || {})) {
+    delete updated[field];
+  }
+  publishMovieEvent("movie.updated", updated);
+
+  // History is keyed by numeric id; unmigrated movies start one once they get theirs
+  if (changes.length && typeof movie.id === "number") {
+    await movieRevisionRepository.insertOne({
+      movieId: movie.id,
+      action: "update",
+      ...revision,
+      changes,
+      createdAt: updateDoc.$set.updatedAt,
+    });
+  }
+  return { ...result, version: updated.version };
+}
+
+// Movie fields as they were before the given revision: for each content field
+// touched since, the "before" value of the earliest revision that touched it
+async function getFieldsBeforeRevision(movieId, revision) {
+  const revisions = await movieRevisionRepository
+    .find({ movieId })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+  const start = revisions.findIndex(({ _id }) => _id.equals(revision._id));
+
+  const fields = {};
+  for (const { changes } of revisions.slice(start)) {
+    for (const { field, before } of changes) {
+      if (field in MOVIE_SCHEMA && !(field in fields)) {
+        fields[field] = before;
+      }
+    }
+  }
+  return fields;
+}
+
+// Featured movies - moderators pin movies into dated, ordered slots. With nothing
+// curated, /home/featured shows a daily rotation: a score of rating plus a boost
+// for newer movies, skipping movies featured in the last few days.
+const FEATURED_MOVIES_COUNT = 5;
+const FEATURED_COOLDOWN_DAYS = 7;
+const FEATURED_RECENCY_DAYS = 90;
+const FEATURED_CANDIDATE_POOL = 50;
+
+const FEATURED_SLOT_SCHEMA = {
+  position: { type: "integer", min: 0, max: 1000 },
+  tagline: { type: "string", maxLength: 200 },
+  bannerUrl: { type: "url", maxLength: 2048 },
+  startsAt: { type: "date" },
+  endsAt: { type: "date" },
+};
+
+function getActiveFeaturedFilter(now) {
+  return {
+    startsAt: { $lte: now },
+    $or: [{ endsAt: null }, { endsAt: { $gt: now } }],
+  };
+}
+
+function toFeaturedMovie(movie, featured) {
+  return { ...convertMovieToIntegerId(movie), featured };
+}
+
+// Active curated slots in position order; slots whose movie is gone are skipped
+async function getCuratedFeaturedMovies(now) {
+  const slots = await featuredSlotRepository
+    .find(getActiveFeaturedFilter(now))
+    .sort({ position: 1, startsAt: -1 })
+    .limit(FEATURED_MOVIES_COUNT * 2)
+    .toArray();
+  if (!slots.length) {
+    return [];
+  }
+
+  const bannedEmails = await getBannedUserEmails();
+  const movies = await movieRepository
+    .find({
+      id: { $in: slots.map((slot) => slot.movieId) },
+      addedBy: { $nin: bannedEmails },
+    })
+    .toArray();
+  const moviesById = new Map(movies.map((movie) => [movie.id, movie]));
+
+  return slots
+    .filter((slot) => moviesById.has(slot.movieId))
+    .slice(0, FEATURED_MOVIES_COUNT)
+    .map((slot) =>
+      toFeaturedMovie(moviesById.get(slot.movieId), {
+        curated: true,
+        slotId: slot._id,
+        position: slot.position,
+        tagline: slot.tagline ?? null,
+        bannerUrl: slot.bannerUrl ?? null,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+      })
+    );
+}
+
+function getRotationScore(movie, now) {
+  const ageDays =
+    (now.getTime() - new Date(movie.createdAt || 0).getTime()) /
+    (24 * 60 * 60 * 1000);
+  return (
+    (Number(movie.rating) || 0) +
+    2 * Math.exp(-Math.max(0, ageDays) / FEATURED_RECENCY_DAYS)
+  );
+}
+
+// Picks the day's rotation from the best-rated and newest movies, preferring ones
+// outside the cooldown; the pick is stored so every instance shows the same movies
+// `exclude` holds movies already in today's rotation when topping it up
+async function pickFeaturedRotation(
+  now,
+  { count = FEATURED_MOVIES_COUNT, exclude = [] } = {}
+) {
+  const cooldownStart = new Date(
+    now.getTime() - FEATURED_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+  );
+  const [recentRotations, recentSlots, bannedEmails] = await Promise.all([
+    featuredRotationRepository
+      .find({ createdAt: { $gte: cooldownStart } })
+      .toArray(),
+    featuredSlotRepository
+      .find({ startsAt: { $lte: now }, endsAt: { $gte: cooldownStart } })
+      .toArray(),
+    getBannedUserEmails(),
+  ]);
+  const recentlyFeatured = new Set([
+    ...recentRotations.flatMap((rotation) => rotation.movieIds),
+    ...recentSlots.map((slot) => slot.movieId),
+  ]);
+
+  const eligible = {
+    id: { $type: "number" },
+    addedBy: { $nin: bannedEmails },
+  };
+  const [topRated, newest] = await Promise.all([
+    movieRepository
+      .find(eligible)
+      .sort({ rating: -1 })
+      .limit(FEATURED_CANDIDATE_POOL)
+      .toArray(),
+    movieRepository
+      .find(eligible)
+      .sort({ createdAt: -1 })
+      .limit(FEATURED_CANDIDATE_POOL)
+      .toArray(),
+  ]);
+  const candidates = [
+    ...new Map(
+      [...topRated, ...newest].map((movie) => [movie.id, movie])
+    ).values(),
+  ].filter((movie) => !exclude.includes(movie.id));
+
+  return candidates
+    .map((movie) => ({
+      movie,
+      cooling: recentlyFeatured.has(movie.id),
+      score: getRotationScore(movie, now),
+    }))
+    .sort((a, b) => a.cooling - b.cooling || b.score - a.score)
+    .slice(0, count)
+    .map(({ movie }) => movie);
+}
+
+// A day that starts with fewer than five movies keeps its short rotation until
+// the catalog changes, so reads don't re-run the pick
+async function getRotationFeaturedMovies(now) {
+  const day = now.toISOString().slice(0, 10);
+  let rotation = await featuredRotationRepository.findOne({ _id: day });
+  if (!rotation) {
+    const picked = await pickFeaturedRotation(now);
+    rotation = {
+      _id: day,
+      movieIds: picked.map((movie) => movie.id),
+      checkedAt: now,
+    };
+    try {
+      await featuredRotationRepository.insertOne({
+        ...rotation,
+        createdAt: now,
+      });
+    } catch (error) {
+      // Another instance picked first; show its rotation
+      if (error?.code !== 11000) throw error;
+      rotation = await featuredRotationRepository.findOne({ _id: day });
+    }
+  }
+
+  const found = await movieRepository
+    .find({ id: { $in: rotation.movieIds } })
+    .toArray();
+  const moviesById = new Map(found.map((movie) => [movie.id, movie]));
+  let movies = rotation.movieIds
+    .filter((id) => moviesById.has(id))
+    .map((id) => moviesById.get(id));
+
+  // Deleted picks are replaced straight away; otherwise a short rotation waits
+  // for a movie added since it was last filled
+  const refill =
+    movies.length < FEATURED_MOVIES_COUNT &&
+    (movies.length < rotation.movieIds.length ||
+      (await movieRepository.findOne(
+        {
+          id: { $type: "number" },
+          createdAt: { $gte: rotation.checkedAt ?? rotation.createdAt },
+        },
+        { projection: { _id: 1 } }
+      )));
+  if (refill) {
+    const extra = await pickFeaturedRotation(now, {
+      count: FEATURED_MOVIES_COUNT - movies.length,
+      exclude: movies.map((movie) => movie.id),
+    });
+    movies = [...movies, ...extra];
+    await featuredRotationRepository.updateOne(
+      { _id: day },
+      { $set: { movieIds: movies.map((movie) => movie.id), checkedAt: now } }
+    );
+  }
+
+  return movies.map((movie) =>
+    toFeaturedMovie(movie, { curated: false, rotation: day })
+  );
+}
+
+// Recommendations - content-based scoring against a taste profile built from seed
+// movies (a user's watchlist and collection, or a single movie for /similar).
+// Every score comes with the reasons that produced it.
+const DEFAULT_RECOMMENDATION_LIMIT = 10;
+const MAX_RECOMMENDATION_LIMIT = 50;
+const MAX_RECOMMENDATION_SEEDS = 200;
+const RECOMMENDATION_CANDIDATE_POOL = 500;
+const RECOMMENDATION_WEIGHTS = {
+  genre: 3,
+  director: 4,
+  cast: 2,
+  maxCast: 4,
+  era: 1,
+  rating: 1,
+};
+
+function getCastMembers(movie) {
+  const cast = Array.isArray(movie.cast)
+    ? movie.cast
+    : String(movie.cast || "").split(",");
+  return cast.map((name) => name.trim()).filter(Boolean);
+}
+
+function getReleaseEra(movie) {
+  const year = Number(movie.releaseYear);
+  return Number.isInteger(year) ? `${Math.floor(year / 10) * 10}s` : null;
+}
+
+// Features are keyed case-insensitively; `values` keeps a display spelling for queries
+function addProfileFeature(features, value, weight) {
+  const key = String(value).toLowerCase();
+  const feature = features.get(key) || { value, weight: 0, matches: 0 };
+  feature.weight += weight;
+  feature.matches += 1;
+  features.set(key, feature);
+}
+
+// seeds: [{ movie, weight }]; source names the single movie behind a /similar profile
+function buildTasteProfile(seeds, source = null) {
+  const profile = {
+    source,
+    totalWeight: 0,
+    genre: new Map(),
+    director: new Map(),
+    cast: new Map(),
+    era: new Map(),
+  };
+  for (const { movie, weight } of seeds) {
+    profile.totalWeight += weight;
+    if (movie.genre) addProfileFeature(profile.genre, movie.genre, weight);
+    if (movie.director) {
+      addProfileFeature(profile.director, movie.director, weight);
+    }
+    for (const member of getCastMembers(movie)) {
+      addProfileFeature(profile.cast, member, weight);
+    }
+    const era = getReleaseEra(movie);
+    if (era) addProfileFeature(profile.era, era, weight);
+  }
+  return profile;
+}
+
+function explainRecommendation(type, value, matches, profile) {
+  const like = profile.source
+    ? `like "${profile.source}"`
+    : `like ${matches} movie${matches === 1 ? "" : "s"} you saved`;
+  switch (type) {
+    case "genre":
+      return `${value}, ${like}`;
+    case "director":
+      return `Directed by ${value}, ${like}`;
+    case "cast":
+      return `Stars ${value}, ${like}`;
+    case "era":
+      return `From the ${value}, ${like}`;
+    case "rating":
+      return `Highly rated (${value}/10)`;
+  }
+}
+
+// Returns null when the movie shares nothing with the profile
+function scoreAgainstProfile(movie, profile) {
+  const reasons = [];
+  let score = 0;
+  const addReason = (type, value, points, matches) => {
+    score += points;
+    reasons.push({
+      type,
+      value,
+      message: explainRecommendation(type, value, matches, profile),
+    });
+  };
+  const share = (feature) => feature.weight / (profile.totalWeight || 1);
+
+  const genre = movie.genre && profile.genre.get(movie.genre.toLowerCase());
+  if (genre) {
+    addReason(
+      "genre",
+      movie.genre,
+      RECOMMENDATION_WEIGHTS.genre * share(genre),
+      genre.matches
+    );
+  }
+  const director =
+    movie.director && profile.director.get(movie.director.toLowerCase());
+  if (director) {
+    addReason(
+      "director",
+      movie.director,
+      RECOMMENDATION_WEIGHTS.director * share(director),
+      director.matches
+    );
+  }
+  const sharedCast = getCastMembers(movie)
+    .map((member) => profile.cast.get(member.toLowerCase()))
+    .filter(Boolean)
+    .sort((a, b) => b.weight - a.weight);
+  if (sharedCast.length) {
+    addReason(
+      "cast",
+      sharedCast
+        .slice(0, 3)
+        .map((feature) => feature.value)
+        .join(", "),
+      Math.min(
+        RECOMMENDATION_WEIGHTS.maxCast,
+        sharedCast.reduce(
+          (sum, feature) => sum + RECOMMENDATION_WEIGHTS.cast * share(feature),
+          0
+        )
+      ),
+      sharedCast[0].matches
+    );
+  }
+  if (!reasons.length) {
+    return null;
+  }
+
+  const era = profile.era.get(getReleaseEra(movie));
+  if (era) {
+    addReason(
+      "era",
+      era.value,
+      RECOMMENDATION_WEIGHTS.era * share(era),
+      era.matches
+    );
+  }
+  const rating = Number(movie.rating) || 0;
+  if (rating >= 8) {
+    addReason("rating", rating, 0, 0);
+  }
+  score += (RECOMMENDATION_WEIGHTS.rating * rating) / 10;
+
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+function toRecommendedMovie(movie, { score, reasons }) {
+  return {
+    ...convertMovieToIntegerId(movie),
+    recommendation: { score, reasons },
+  };
+}
+
+// Movies sharing a genre, director or cast member with the profile, best rated first
+async function findRecommendationCandidates(profile, exclude) {
+  const values = (features) =>
+    [...features.values()].map((feature) => feature.value);
+  const shared = [];
+  if (profile.genre.size) {
+    shared.push({ genre: { $in: values(profile.genre) } });
+  }
+  if (profile.director.size) {
+    shared.push({ director: { $in: values(profile.director) } });
+  }
+  if (profile.cast.size) {
+    // Whole names only, whether cast is an array or a comma-separated string
+    const castRegex = new RegExp(
+      `(?:^|,)\\s*(?:${values(profile.cast).map(escapeRegex).join("|")})\\s*(?:,|$)`,
+      "i"
+    );
+    shared.push({ cast: castRegex });
+  }
+  if (!shared.length) {
+    return [];
+  }
+
+  return movieRepository
+    .find({
+      $and: [
+        { $or: shared },
+        { id: { $type: "number", $nin: exclude.movieIds } },
+        { addedBy: { $nin: exclude.owners } },
+      ],
+    })
+    .sort({ rating: -1 })
+    .limit(RECOMMENDATION_CANDIDATE_POOL)
+    .toArray();
+}
+
+function rankRecommendations(candidates, profile, limit) {
+  return candidates
+    .map((movie) => ({ movie, result: scoreAgainstProfile(movie, profile) }))
+    .filter(({ result }) => result)
+    .sort((a, b) => b.result.score - a.result.score)
+    .slice(0, limit)
+    .map(({ movie, result }) => toRecommendedMovie(movie, result));
+}
+
+// Seeds are the user's watchlisted movies (weighted by personal rating when set)
+// and their own collection; recommendations leave out both
+async function getRecommendationsForUser(userEmail, limit) {
+  const [entries, ownMovies, bannedEmails] = await Promise.all([
+    watchlistRepository
+      .find({ userEmail })
+      .sort({ createdAt: -1 })
+      .limit(MAX_RECOMMENDATION_SEEDS)
+      .toArray(),
+    movieRepository
+      .find({ addedBy: userEmail })
+      .sort({ createdAt: -1 })
+      .limit(MAX_RECOMMENDATION_SEEDS)
+      .toArray(),
+    getBannedUserEmails(),
+  ]);
+
+  const watchlistedIds = [
+    ...new Set(
+      entries
+        .map((entry) => entry.movieId)
+        .filter((movieId) => Number.isInteger(movieId))
+    ),
+  ];
+  const watchlistedMovies = watchlistedIds.length
+    ? await movieRepository.find({ id: { $in: watchlistedIds } }).toArray()
+    : [];
+  const entryWeights = new Map();
+  for (const entry of entries) {
+    const weight =
+      typeof entry.personalRating === "number" ? entry.personalRating / 5 : 1;
+    entryWeights.set(
+      entry.movieId,
+      Math.max(entryWeights.get(entry.movieId) ?? 0, weight)
+    );
+  }
+
+  const seeds = [
+    ...watchlistedMovies.map((movie) => ({
+      movie,
+      weight: entryWeights.get(movie.id) ?? 1,
+    })),
+    ...ownMovies.map((movie) => ({ movie, weight: 1 })),
+  ];
+  const basedOn = {
+    watchlist: watchlistedMovies.length,
+    collection: ownMovies.length,
+  };
+  const exclude = {
+    movieIds: watchlistedIds,
+    owners: [...bannedEmails, userEmail],
+  };
+
+  const profile = buildTasteProfile(seeds);
+  let recommendations = rankRecommendations(
+    await findRecommendationCandidates(profile, exclude),
+    profile,
+    limit
+  );
+
+  // Nothing to go on yet: fall back to the best-rated movies
+  if (!recommendations.length) {
+    const topRated = await movieRepository
+      .find({
+        id: { $type: "number", $nin: exclude.movieIds },
+        addedBy: { $nin: exclude.owners },
+      })
+      .sort({ rating: -1 })
+      .limit(limit)
+      .toArray();
+    recommendations = topRated.map((movie) =>
+      toRecommendedMovie(movie, {
+        score: Number(movie.rating) || 0,
+        reasons: [
+          {
+            type: "popular",
+            value: null,
+            message: "Among the best-rated movies in the catalog",
+          },
+        ],
+      })
+    );
+  }
+
+  return { recommendations, basedOn };
+}
+
+async function getSimilarMovies(movie, limit) {
+  const profile = buildTasteProfile([{ movie, weight: 1 }], movie.title);
+  const candidates = await findRecommendationCandidates(profile, {
+    movieIds: [movie.id],
+    owners: await getBannedUserEmails(),
+  });
+  return rankRecommendations(candidates, profile, limit);
+}
+
+// Statistics - aggregation pipelines behind /stats/* and /users/me/stats. Every
+// endpoint takes an optional from/to range on createdAt (from inclusive, to exclusive).
+const DEFAULT_STATS_LIMIT = 10;
+const MAX_STATS_LIMIT = 50;
+const MOST_WATCHLISTED_DEFAULT_DAYS = 30;
+const USER_GROWTH_FORMATS = { day: "%Y-%m-%d", month: "%Y-%m", year: "%Y" };
+
+const STATS_RANGE_SCHEMA = {
+  from: { type: "date" },
+  to: { type: "date" },
+};
+
+// Returns { from, to, match } where match filters createdAt, or throws a ValidationError
+function parseStatsRange(query, { defaultDays = null } = {}) {
+  const { value, errors } = validateDocument(STATS_RANGE_SCHEMA, query);
+  if (value.from && value.to && value.to <= value.from) {
+    errors.push({ field: "to", message: "must be after from" });
+  }
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+
+  const to = value.to ?? null;
+  const from =
+    value.from ??
+    (defaultDays
+      ? new Date(
+          (to || new Date()).getTime() - defaultDays * 24 * 60 * 60 * 1000
+        )
+      : null);
+  const createdAt = {};
+  if (from) createdAt.$gte = from;
+  if (to) createdAt.$lt = to;
+  return {
+    from,
+    to,
+    match: Object.keys(createdAt).length ? { createdAt } : {},
+  };
+}
+
+function parseStatsLimit(query) {
+  return Math.min(
+    MAX_STATS_LIMIT,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_STATS_LIMIT)
+  );
+}
+
+// Count and average rating per group of movies
+function groupMovieStats(groupId, extra = {}) {
+  return {
+    $group: {
+      _id: groupId,
+      ...extra,
+      count: { $sum: 1 },
+      averageRating: { $avg: "$rating" },
+    },
+  };
+}
+
+function roundAverageRating(row) {
+  return {
+    ...row,
+    averageRating:
+      typeof row.averageRating === "number"
+        ? Math.round(row.averageRating * 100) / 100
+        : null,
+  };
+}
+
+async function getGenreStats(range) {
+  const rows = await movieRepository
+    .aggregate([
+      { $match: range.match },
+      groupMovieStats({ $ifNull: ["$genre", null] }),
+      { $sort: { count: -1, _id: 1 } },
+    ])
+    .toArray();
+  return rows.map(({ _id, ...row }) =>
+    roundAverageRating({ genre: _id, ...row })
+  );
+}
+
+async function getDecadeStats(range) {
+  const rows = await movieRepository
+    .aggregate([
+      { $match: { ...range.match, releaseYear: { $type: "number" } } },
+      groupMovieStats({
+        $multiply: [{ $floor: { $divide: ["$releaseYear", 10] } }, 10],
+      }),
+      { $sort: { _id: 1 } },
+    ])
+    .toArray();
+  return rows.map(({ _id, ...row }) =>
+    roundAverageRating({ decade: `${_id}s`, ...row })
+  );
+}
+
+async function getTopDirectors(range, limit) {
+  const rows = await movieRepository
+    .aggregate([
+      { $match: { ...range.match, director: { $type: "string", $ne: "" } } },
+      groupMovieStats(
+        { $toLower: "$director" },
+        { director: { $first: "$director" } }
+      ),
+      { $sort: { count: -1, averageRating: -1 } },
+      { $limit: limit },
+    ])
+    .toArray();
+  return rows.map(({ _id, ...row }) => roundAverageRating(row));
+}
+
+// cast is an array or a comma-separated string, so both are split into names first
+async function getTopCastMembers(range, limit) {
+  const rows = await movieRepository
+    .aggregate([
+      { $match: { ...range.match, cast: { $exists: true, $ne: null } } },
+      {
+        $project: {
+          rating: 1,
+          cast: {
+            $cond: [{ $isArray: "$cast" }, "$cast", { $split: ["$cast", ","] }],
+          },
+        },
+      },
+      { $unwind: "$cast" },
+      { $project: { rating: 1, name: { $trim: { input: "$cast" } } } },
+      { $match: { name: { $ne: "" } } },
+      groupMovieStats({ $toLower: "$name" }, { name: { $first: "$name" } }),
+      { $sort: { count: -1, averageRating: -1 } },
+      { $limit: limit },
+    ])
+    .toArray();
+  return rows.map(({ _id, ...row }) => roundAverageRating(row));
+}
+
+async function getMostWatchlisted(range, limit) {
+  const rows = await watchlistRepository
+    .aggregate([
+      { $match: { ...range.match, movieId: { $type: "number" } } },
+      {
+        $group: {
+          _id: "$movieId",
+          watchlistCount: { $sum: 1 },
+          users: { $addToSet: "$userEmail" },
+        },
+      },
+      {
+        $project: {
+          watchlistCount: 1,
+          userCount: { $size: "$users" },
+        },
+      },
+      { $sort: { userCount: -1, watchlistCount: -1, _id: 1 } },
+      { $limit: limit },
+    ])
+    .toArray();
+
+  const movies = await movieRepository
+    .find({ id: { $in: rows.map((row) => row._id) } })
+    .toArray();
+  const moviesById = new Map(movies.map((movie) => [movie.id, movie]));
+  return rows
+    .filter((row) => moviesById.has(row._id))
+    .map((row) => ({
+      movie: convertMovieToIntegerId(moviesById.get(row._id)),
+      userCount: row.userCount,
+      watchlistCount: row.watchlistCount,
+    }));
+}
+
+// New users per period plus the running total of all users
+async function getUserGrowth(range, interval) {
+  const [rows, before] = await Promise.all([
+    userRepository
+      .aggregate([
+        { $match: { createdAt: { $type: "date", ...range.match.createdAt } } },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: USER_GROWTH_FORMATS[interval],
+                date: "$createdAt",
+              },
+            },
+            newUsers: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ])
+      .toArray(),
+    range.from
+      ? userRepository.countDocuments({ createdAt: { $lt: range.from } })
+      : 0,
+  ]);
+
+  let totalUsers = before;
+  return rows.map((row) => {
+    totalUsers += row.newUsers;
+    return { period: row._id, newUsers: row.newUsers, totalUsers };
+  });
+}
+
+// Genres across the user's own movies and watchlist entries, most frequent first
+async function getFavouriteGenres(userEmail, range, limit = 5) {
+  const [ownGenres, watchlistGenres] = await Promise.all([
+    movieRepository
+      .aggregate([
+        {
+          $match: {
+            ...range.match,
+            addedBy: userEmail,
+            genre: { $type: "string" },
+          },
+        },
+        { $group: { _id: "$genre", count: { $sum: 1 } } },
+      ])
+      .toArray(),
+    watchlistRepository
+      .aggregate([
+        {
+          $match: {
+            ...range.match,
+            userEmail,
+            "movieSnapshot.genre": { $type: "string" },
+          },
+        },
+        { $group: { _id: "$movieSnapshot.genre", count: { $sum: 1 } } },
+      ])
+      .toArray(),
+  ]);
+
+  const counts = new Map();
+  for (const { _id, count } of [...ownGenres, ...watchlistGenres]) {
+    counts.set(_id, (counts.get(_id) || 0) + count);
+  }
+  return [...counts]
+    .map(([genre, count]) => ({ genre, count }))
+    .sort((a, b) => b.count - a.count || a.genre.localeCompare(b.genre))
+    .slice(0, limit);
+}
+
+async function getUserStats(userEmail, range) {
+  const [
+    moviesAdded,
+    watchlistEntries,
+    watched,
+    lists,
+    [reviewStats],
+    favouriteGenres,
+  ] = await Promise.all([
+    movieRepository.countDocuments({ ...range.match, addedBy: userEmail }),
+    watchlistRepository.countDocuments({ ...range.match, userEmail }),
+    watchlistRepository.countDocuments({
+      ...range.match,
+      userEmail,
+      watched: true,
+    }),
+    watchlistListRepository.countDocuments({ ...range.match, userEmail }),
+    reviewRepository
+      .aggregate([
+        { $match: { ...range.match, userEmail } },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            averageRating: { $avg: "$rating" },
+          },
+        },
+      ])
+      .toArray(),
+    getFavouriteGenres(userEmail, range),
+  ]);
+
+  return {
+    moviesAdded,
+    watchlist: { entries: watchlistEntries, watched, lists },
+    reviews: roundAverageRating({
+      count: reviewStats?.count || 0,
+      averageRating: reviewStats?.averageRating ?? null,
+    }),
+    favouriteGenres,
+    from: range.from,
+    to: range.to,
+  };
+}
+
+// Bulk import / export - streamed CSV and JSON
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+const IMPORT_BATCH_SIZE = 250;
+const EXPORT_FIELDS = [
+  "id",
+  ...Object.keys(MOVIE_SCHEMA),
+  "communityRating",
+  "reviewCount",
+  "addedBy",
+  "createdAt",
+  "updatedAt",
+];
+
+// Incremental RFC 4180 parser: feed chunks with write(), rows arrive via onRow
+function createCsvParser(onRow) {
+  let field = "";
+  let row = [];
+  let inQuotes = false;
+  let pendingQuote = false;
+  let skipNewline = false;
+
+  function endField() {
+    row.push(field);
+    field = "";
+  }
+
+  function endRow() {
+    endField();
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== "") {
+      onRow(row);
+    }
+    row = [];
+  }
+
+  return {
+    write(text) {
+      for (const char of text) {
+        if (skipNewline) {
+          skipNewline = false;
+          if (char === "\n") continue;
+        }
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        }
+        if (inQuotes) {
+          if (char === '"') pendingQuote = true;
+          else field += char;
+          continue;
+        }
+
+        if (char === '"' && field === "") inQuotes = true;
+        else if (char === ",") endField();
+        else if (char === "\r") {
+          endRow();
+          skipNewline = true;
+        } else if (char === "\n") endRow();
+        else field += char;
+      }
+    },
+    end() {
+      if (inQuotes && !pendingQuote) {
+        throw new Error("Unterminated quoted field in CSV");
+      }
+      if (field !== "" || row.length) {
+        endRow();
+      }
+    },
+  };
+}
+
+// Incremental parser for a top-level JSON array; each element arrives via onItem
+function createJsonArrayParser(onItem) {
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let buffer = "";
+
+  function emit() {
+    const text = buffer.trim();
+    buffer = "";
+    if (!text) return;
+    try {
+      onItem({ value: JSON.parse(text) });
+    } catch (error) {
+      onItem({ error: "is not valid JSON" });
+    }
+  }
+
+  return {
+    write(text) {
+      for (const char of text) {
+        if (finished) {
+          if (!/\s/.test(char))
+            throw new Error("Unexpected data after JSON array");
+          continue;
+        }
+        if (!started) {
+          if (/\s/.test(char)) continue;
+          if (char !== "[") throw new Error("JSON body must be an array");
+          started = true;
+          continue;
+        }
+
+        if (inString) {
+          buffer += char;
+          if (escaped) escaped = false;
+          else if (char === "\\") escaped = true;
+          else if (char === '"') inString = false;
+          continue;
+        }
+
+        if (depth === 0 && (char === "," || char === "]")) {
+          emit();
+          if (char === "]") finished = true;
+          continue;
+        }
+
+        buffer += char;
+        if (char === '"') inString = true;
+        else if (char === "{" || char === "[") depth++;
+        else if (char === "}" || char === "]") depth--;
+      }
+    },
+    end() {
+      if (!finished) {
+        throw new Error("JSON array is incomplete");
+      }
+    },
+  };
+}
+
+function getDuplicateKey(title, releaseYear) {
+  return `${normalizeSearchText(title)}|${releaseYear ?? ""}`;
+}
+
+// Validates rows like POST /movies/add, flags title+year duplicates and inserts valid rows.
+// Call add() per row, then finish() for the summary.
+function createMovieImporter({ userEmail, dryRun }) {
+  const summary = {
+    dryRun,
+    total: 0,
+    imported: 0,
+    insertedIds: [],
+    duplicates: [],
+    errors: [],
+  };
+  const seenKeys = new Set();
+  let pending = [];
+
+  async function processBatch(batch) {
+    // Existing catalog entries with the same title (case-insensitive) and year
+    const existing = await movieRepository
+      .find(
+        {
+          $or: batch.map(({ value }) => ({
+            title: value.title,
+            releaseYear: value.releaseYear ?? null,
+          })),
+        },
+        { collation: { locale: "en", strength: 2 } }
+      )
+      .project({ title: 1, releaseYear: 1, id: 1 })
+      .toArray();
+    const existingByKey = new Map(
+      existing.map((movie) => [
+        getDuplicateKey(movie.title, movie.releaseYear),
+        movie,
+      ])
+    );
+
+    const docs = [];
+    for (const { row, value, key } of batch) {
+      const match = existingByKey.get(key);
+      if (match) {
+        summary.duplicates.push({
+          row,
+          title: value.title,
+          releaseYear: value.releaseYear ?? null,
+          existingId: convertMovieToIntegerId(match).id,
+        });
+        continue;
+      }
+      docs.push(value);
+    }
+
+    if (dryRun || !docs.length) {
+      summary.imported += docs.length;
+      return;
+    }
+
+    const lastId = await getNextMovieId(docs.length);
+    const firstId = lastId - docs.length + 1;
+    const now = new Date();
+    const toInsert = docs.map((value, index) => ({
+      _id: firstId + index,
+      id: firstId + index,
+      ...value,
+      addedBy: userEmail,
+      createdAt: now,
+      updatedAt: now,
+      version: 1,
+    }));
+
+    await movieRepository.insertMany(toInsert, { ordered: false });
+    for (const doc of toInsert) {
+      publishMovieEvent("movie.created", doc);
+    }
+    summary.imported += toInsert.length;
+    summary.insertedIds.push(...toInsert.map((doc) => doc.id));
+  }
+
+  return {
+    get total() {
+      return summary.total;
+    },
+
+    // raw is the parsed row object, or { error } when the row could not be parsed
+    async add(raw) {
+      summary.total++;
+      const row = summary.total;
+
+      if (raw.error) {
+        summary.errors.push({
+          row,
+          errors: [{ field: null, message: raw.error }],
+        });
+        return;
+      }
+
+      const { value, errors } = validateMovie(raw.value);
+      if (errors.length) {
+        summary.errors.push({ row, errors });
+        return;
+      }
+
+      const key = getDuplicateKey(value.title, value.releaseYear);
+      if (seenKeys.has(key)) {
+        summary.duplicates.push({
+          row,
+          title: value.title,
+          releaseYear: value.releaseYear ?? null,
+          reason: "duplicate within import",
+        });
+        return;
+      }
+      seenKeys.add(key);
+
+      pending.push({ row, value, key });
+      if (pending.length >= IMPORT_BATCH_SIZE) {
+        const batch = pending;
+        pending = [];
+        await processBatch(batch);
+      }
+    },
+
+    async finish() {
+      if (pending.length) {
+        const batch = pending;
+        pending = [];
+        await processBatch(batch);
+      }
+      if (!dryRun) invalidateCatalogCache();
+      return summary;
+    },
+  };
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join(", ");
+  else text = String(value);
+  // Guard against spreadsheet formula injection
+  if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function logAtlasHints(error) {
+  if (error.code === 8000 || error.codeName === "AtlasError") {
+    console.error("\n🔧 MongoDB Atlas Authentication Error Solutions:");
+    console.error(
+      "1. Verify username/password in MongoDB Atlas → Database Access"
+    );
+    console.error("2. Whitelist your IP in MongoDB Atlas → Network Access");
+    console.error("3. Check connection string in .env file");
+    console.error(
+      "4. If password has special characters (@, #, etc.), URL-encode them"
+    );
+    console.error("\n💡 Run: node test-connection.js to diagnose the issue");
+  }
+}
+
+// Storage setup - connection, indexes and background jobs. bootstrap() starts it
+// without waiting, so routes exist from the first request; requests wait for it in
+// the readiness middleware, and a failed connection is retried by the next request.
+let storageReady = null;
+function ensureStorageReady() {
+  if (!storageReady) {
+    storageReady = prepareStorage().catch((error) => {
+      storageReady = null;
+      throw error;
+    });
+  }
+  return storageReady;
+}
+
+async function prepareStorage() {
+  console.log(`🔌 Connecting to ${storage?.name || "storage"}...`);
+  await ensureConnection();
+  console.log(`✅ Connected to ${storage.name}!`);
+
+  // Create indexes if collections are initialized
+  if (watchlistRepository && watchlistListRepository) {
+    try {
+      // Entries are unique per list now, so the same movie can sit in several lists
+      await watchlistRepository
+        .dropIndex("userEmail_1_movieKey_1")
+        .catch(() => {});
+      await watchlistRepository.createIndex(
+        { listId: 1, movieKey: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { listId: { $exists: true } },
+        }
+      );
+      await watchlistRepository.createIndex({ listId: 1, position: 1 });
+      await watchlistRepository.createIndex({ userEmail: 1, createdAt: -1 });
+      await watchlistListRepository.createIndex(
+        { userEmail: 1, isDefault: 1 },
+        { unique: true, partialFilterExpression: { isDefault: true } }
+      );
+      await watchlistListRepository.createIndex({
+        userEmail: 1,
+        createdAt: 1,
+      });
+      await watchlistListRepository.createIndex({ collaborators: 1 });
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create watchlist indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  // collMod can take a while on a large collection and nothing depends on it
+  if (movieRepository) {
+    installMovieValidator().catch((validatorError) =>
+      console.warn(
+        "Warning: failed to install movie validator",
+        validatorError?.message || validatorError
+      )
+    );
+  }
+
+  if (movieRepository) {
+    try {
+      // Canonical ids are unique; building this fails while duplicates remain
+      await movieRepository.createIndex(
+        { id: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { id: { $type: "number" } },
+        }
+      );
+      const legacyMovies = await movieRepository.withDeleted().countDocuments({
+        id: { $not: { $type: "number" } },
+      });
+      if (legacyMovies) {
+        console.warn(
+          `⚠️ ${legacyMovies} movies have no numeric id. Run: npm run migrate:movie-ids`
+        );
+      }
+    } catch (idError) {
+      console.warn(
+        "Warning: duplicate movie ids found. Run: npm run migrate:movie-ids",
+        idError?.message || idError
+      );
+    }
+
+    try {
+      // Keyset pagination sorts on { field, _id }
+      for (const field of new Set(Object.values(SORTABLE_MOVIE_FIELDS))) {
+        await movieRepository.createIndex({ [field]: 1, _id: 1 });
+      }
+      await movieRepository.createIndex({ genre: 1, rating: -1 });
+      await movieRepository.createIndex({ language: 1 });
+      await movieRepository.createIndex({ country: 1 });
+      await movieRepository.createIndex({ addedBy: 1, createdAt: -1 });
+      await movieRepository.createIndex(
+        Object.fromEntries(
+          Object.keys(MOVIE_TEXT_INDEX_WEIGHTS).map((field) => [field, "text"])
+        ),
+        { name: "movie_text_search", weights: MOVIE_TEXT_INDEX_WEIGHTS }
+      );
+      // Trash listing and the purge job
+      await movieRepository.createIndex(
+        { deletedAt: 1 },
+        { partialFilterExpression: { deletedAt: { $type: "date" } } }
+      );
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create movie indexes",
+        indexError?.message || indexError
+      );
+    }
+
+    // Purge expired trash now and hourly; serverless instances purge on cold start
+    const runTrashPurge = () =>
+      purgeDeletedMovies()
+        .then((purged) => {
+          if (purged) console.log(`Purged ${purged} movies from trash`);
+        })
+        .catch((purgeError) =>
+          console.warn(
+            "Warning: failed to purge trashed movies",
+            purgeError?.message || purgeError
+          )
+        );
+    runTrashPurge();
+    if (!process.env.VERCEL) {
+      setInterval(runTrashPurge, MOVIE_PURGE_INTERVAL_MS).unref();
+    }
+  }
+
+  if (reviewRepository) {
+    try {
+      // One review per user per movie
+      await reviewRepository.createIndex(
+        { movieId: 1, userEmail: 1 },
+        { unique: true }
+      );
+      await reviewRepository.createIndex({ movieId: 1, createdAt: -1 });
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create review indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  if (featuredSlotRepository) {
+    try {
+      await featuredSlotRepository.createIndex({ startsAt: 1, endsAt: 1 });
+      await featuredRotationRepository.createIndex({ createdAt: -1 });
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create featured movie indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  if (exportJobRepository) {
+    try {
+      await exportJobRepository.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
+      await exportJobRepository.createIndex({ userEmail: 1, createdAt: -1 });
+      await exportChunkRepository.createIndex(
+        { jobId: 1, n: 1 },
+        { unique: true }
+      );
+      await exportChunkRepository.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
+      await exportChunkRepository.createIndex({ userEmail: 1 });
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create export job indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  if (followRepository) {
+    try {
+      await followRepository.createIndex(
+        { followerId: 1, followeeId: 1 },
+        { unique: true }
+      );
+      await followRepository.createIndex({ followeeId: 1, createdAt: -1 });
+      // One activity per actor, event type and movie; the feed reads by time
+      await activityRepository.createIndex(
+        { actor: 1, type: 1, movieId: 1 },
+        { unique: true }
+      );
+      await activityRepository.createIndex({
+        actor: 1,
+        occurredAt: -1,
+        _id: -1,
+      });
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create follow and activity indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  if (movieRevisionRepository) {
+    try {
+      await movieRevisionRepository.createIndex({
+        movieId: 1,
+        createdAt: -1,
+        _id: -1,
+      });
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create movie revision indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  if (rateLimitRepository && RATE_LIMIT_STORE === "mongodb") {
+    try {
+      // Buckets that have refilled carry no state; let MongoDB drop them
+      await rateLimitRepository.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create rate limit indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  if (shareLinkRepository) {
+    try {
+      await shareLinkRepository.createIndex({ tokenHash: 1 }, { unique: true });
+      await shareLinkRepository.createIndex({ userEmail: 1, createdAt: -1 });
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create share link indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  if (userRepository) {
+    try {
+      // Matches the collation used by findUserByEmail
+      await userRepository.createIndex(
+        { email: 1 },
+        { collation: { locale: "en", strength: 2 } }
+      );
+      await userRepository.createIndex({ banned: 1 });
+    } catch (indexError) {
+      console.warn(
+        "Warning: failed to create user indexes",
+        indexError?.message || indexError
+      );
+    }
+  }
+
+  if (EVENTS_CHANGE_STREAMS) {
+    startChangeStreams();
+  }
+
+  if (webhookRepository) {
+    // One at a time, so an index that fails doesn't keep the others from being built
+    const webhookIndexes = [
+      [webhookRepository, { userEmail: 1, createdAt: -1 }],
+      [webhookRepository, { events: 1, active: 1 }],
+      // Redeliveries repeat an event on purpose, so they are left out
+      [
+        webhookDeliveryRepository,
+        { webhookId: 1, eventKey: 1 },
+        { unique: true, partialFilterExpression: { redelivery: false } },
+      ],
+      [webhookDeliveryRepository, { status: 1, nextAttemptAt: 1 }],
+      [webhookDeliveryRepository, { webhookId: 1, createdAt: -1 }],
+      [
+        webhookDeliveryRepository,
+        { createdAt: 1 },
+        {
+          expireAfterSeconds: WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60,
+        },
+      ],
+    ];
+    for (const [repository, key, options] of webhookIndexes) {
+      try {
+        await repository.createIndex(key, options);
+      } catch (indexError) {
+        console.warn(
+          `Warning: failed to create webhook index ${JSON.stringify(key)}`,
+          indexError?.message || indexError
+        );
+      }
+    }
+
+    // Retries come due over time; serverless instances deliver on cold start and
+    // whenever an event is queued
+    startWebhookWorker();
+    if (!process.env.VERCEL) {
+      setInterval(startWebhookWorker, WEBHOOK_POLL_INTERVAL_MS).unref();
+    }
+  }
+}
+
+async function bootstrap() {
+  try {
+    if (!storage) {
+      console.error(
+        "⚠️ MongoDB URI not configured. Routes will fail until MONGODB_URI is set."
+      );
+    } else {
+      // ensureConnection logs the failure; requests retry it
+      ensureStorageReady().catch(logAtlasHints);
+    }
+
+    // User management APIs
+    // Register or refresh the signed-in user; the email must be the one the token was
+    // issued for
+    app.post(
+      "/users/create-or-update",
+      rateLimit("auth"),
+      requireSignUpAuth,
+      async (req, res) => {
+        const { displayName, photoURL } = req.body || {};
+        const email = String(req.body?.email || "").trim();
+        if (!email) {
+          throw new BadRequestError("Email is required");
+        }
+        if (normalizeEmail(email) !== req.userEmail) {
+          throw new AuthError(
+            403,
+            "email_mismatch",
+            "Forbidden: email does not match the signed-in account"
+          );
+        }
+        // A verified Firebase uid wins over the one sent by the client
+        const uid = req.auth?.uid || req.body.uid;
+
+        const existingUser = req.user;
+        const isConfiguredAdmin = ADMIN_EMAILS.includes(email.toLowerCase());
+
+        if (existingUser) {
+          // Update existing user; role is only ever changed through /admin
+          const role = isConfiguredAdmin
+            ? "admin"
+            : existingUser.role || "user";
+          await userRepository.updateOne(
+            { _id: existingUser._id },
+            {
+              $set: {
+                displayName: displayName || existingUser.displayName,
+                photoURL: photoURL || existingUser.photoURL,
+                uid: uid || existingUser.uid,
+                role,
+                lastLoginAt: new Date(),
+                updatedAt: new Date(),
+              },
+            }
+          );
+          res.send({
+            message: "User updated",
+            user: { ...existingUser, displayName, photoURL, uid, role },
+          });
+        } else {
+          // Create new user
+          const newUser = {
+            email: email,
+            displayName: displayName || "",
+            photoURL: photoURL || "",
+            uid: uid || "",
+            role: isConfiguredAdmin ? "admin" : "user",
+            banned: false,
+            createdAt: new Date(),
+            lastLoginAt: new Date(),
+          };
+          await userRepository.insertOne(newUser);
+          res.status(201).send({ message: "User created", user: newUser });
+        }
+      }
+    );
+
+    // Auth: exchange a Firebase ID token (or an email in legacy mode) for API tokens
+    app.post("/auth/token", rateLimit("auth"), async (req, res) => {
+      const { idToken, email } = req.body || {};
+      let userEmail = null;
+
+      if (idToken) {
+        userEmail = verifyFirebaseIdToken(idToken).email;
+      } else if (email && AUTH_LEGACY_HEADER) {
+        userEmail = normalizeEmail(email);
+      } else {
+        throw new ApiError(400, "missing_credentials", "idToken is required");
+      }
+
+      const user = await userRepository.findByEmail(userEmail);
+      if (!user) {
+        throw new AuthError(
+          403,
+          "user_not_registered",
+          "Forbidden: call /users/create-or-update before requesting a token"
+        );
+      }
+
+      if (user.banned) {
+        throw new AuthError(
+          403,
+          "account_banned",
+          "Forbidden: account is banned"
+        );
+      }
+
+      res.send(issueTokens(user));
+    });
+
+    // Auth: trade a refresh token for a fresh token pair
+    app.post("/auth/refresh", rateLimit("auth"), async (req, res) => {
+      const { refreshToken } = req.body || {};
+      if (!refreshToken) {
+        throw new ApiError(
+          400,
+          "missing_credentials",
+          "refreshToken is required"
+        );
+      }
+
+      const payload = verifyAppToken(refreshToken, "refresh");
+      const user = await userRepository.findByEmail(payload.email);
+      if (!user) {
+        throw new AuthError(
+          403,
+          "user_not_registered",
+          "Forbidden: unknown user"
+        );
+      }
+
+      if (user.banned) {
+        throw new AuthError(
+          403,
+          "account_banned",
+          "Forbidden: account is banned"
+        );
+      }
+
+      res.send(issueTokens(user));
+    });
+
+    // Profile of the signed-in user
+    app.get("/users/me", requireAuth, async (req, res) => {
+      if (!req.user) {
+        throw new NotFoundError("User not registered");
+      }
+      res.send(toOwnProfile(req.user));
+    });
+
+    // Update profile fields; blank values clear them
+    app.patch("/users/me", requireAuth, async (req, res) => {
+      if (!req.user) {
+        throw new NotFoundError("User not registered");
+      }
+      const { value, errors } = validateDocument(
+        USER_PROFILE_SCHEMA,
+        req.body,
+        { partial: true }
+      );
+      if (errors.length) {
+        throw new ValidationError(errors);
+      }
+
+      const { $set, $unset } = buildFieldUpdate(value);
+      const update = { $set: { ...$set, updatedAt: new Date() } };
+      if (Object.keys($unset).length) {
+        update.$unset = $unset;
+      }
+      await userRepository.updateOne({ _id: req.user._id }, update);
+      const updated = await userRepository.findOne({ _id: req.user._id });
+      res.send(toOwnProfile(updated));
+    });
+
+    // Delete the account; ?movies=anonymize (default) keeps the user's movies without
+    // an owner, ?movies=delete removes them
+    app.delete("/users/me", requireAuth, async (req, res) => {
+      if (!req.user) {
+        throw new NotFoundError("User not registered");
+      }
+      const movies = req.query.movies || "anonymize";
+      if (!ACCOUNT_MOVIE_ACTIONS.includes(movies)) {
+        throw new BadRequestError(
+          `movies must be one of: ${ACCOUNT_MOVIE_ACTIONS.join(", ")}`
+        );
+      }
+
+      const removed = await deleteUserAccount(req.user, { movies });
+      res.send({ message: "Account deleted", removed });
+    });
+
+    // Start a personal data export (?format=json|zip); an unfinished job is reused
+    app.post(
+      "/users/me/export",
+      requireAuth,
+      rateLimit("dataExport"),
+      async (req, res) => {
+        if (!req.user) {
+          throw new NotFoundError("User not registered");
+        }
+        const format = req.query.format || req.body?.format || "json";
+        if (!EXPORT_FORMATS.includes(format)) {
+          throw new BadRequestError(
+            `format must be one of: ${EXPORT_FORMATS.join(", ")}`
+          );
+        }
+
+        const userEmail = req.userEmail;
+        let job = await exportJobRepository.findOne({
+          userEmail,
+          format,
+          status: { $in: ["queued", "running"] },
+          expiresAt: { $gt: new Date() },
+        });
+        if (!job) {
+          const now = new Date();
+          job = {
+            userEmail,
+            format,
+            status: "queued",
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + EXPORT_RETENTION_MS),
+          };
+          const result = await exportJobRepository.insertOne(job);
+          job._id = result.insertedId;
+
+          if (!process.env.VERCEL) {
+            runExportJob(job._id).catch((error) =>
+              console.error(`Export job ${job._id} failed to start:`, error)
+            );
+          }
+        }
+
+        res
+          .status(202)
+          .location(`/users/me/export/${job._id}`)
+          .send(toExportJobStatus(job));
+      }
+    );
+
+    // Export status; a job nobody is working on is run by this request
+    app.get("/users/me/export/:jobId", requireAuth, async (req, res) => {
+      const userEmail = req.userEmail;
+      let job = await findUserExportJob(userEmail, req.params.jobId);
+      if (!job) {
+        throw new NotFoundError("Export not found");
+      }
+      if (
+        job.status === "queued" ||
+        (job.status === "running" && job.leaseExpiresAt < new Date())
+      ) {
+        await runExportJob(job._id);
+        job = await findUserExportJob(userEmail, req.params.jobId);
+      }
+      res.send(toExportJobStatus(job));
+    });
+
+    app.get(
+      "/users/me/export/:jobId/download",
+      requireAuth,
+      async (req, res) => {
+        const job = await findUserExportJob(req.userEmail, req.params.jobId);
+        if (!job) {
+          throw new NotFoundError("Export not found");
+        }
+        if (job.status !== "completed") {
+          throw new ConflictError("Export is not ready yet", {
+            status: job.status,
+          });
+        }
+
+        const archive = await readExportArchive(job);
+        if (!archive) {
+          throw new NotFoundError("Export not found");
+        }
+        const day = job.createdAt.toISOString().slice(0, 10);
+        res
+          .type(job.format === "zip" ? "application/zip" : "application/json")
+          .attachment(`moviemaster-export-${day}.${job.format}`)
+          .set("Cache-Control", "private, no-store")
+          .send(archive);
+      }
+    );
+
+    // Public profile by user id (public)
+    app.get("/users/:id/profile", async (req, res) => {
+      const user = ObjectId.isValid(req.params.id)
+        ? await userRepository.findOne({ _id: new ObjectId(req.params.id) })
+        : null;
+      const profile = await buildPublicProfile(user);
+      if (!profile) {
+        throw new NotFoundError("User not found");
+      }
+      res.send(profile);
+    });
+
+    // Follow another user by id (idempotent)
+    app.post(
+      "/users/:id/follow",
+      requireAuth,
+      rateLimit("follow"),
+      async (req, res) => {
+        if (!req.user) {
+          throw new NotFoundError("User not registered");
+        }
+        const followee = ObjectId.isValid(req.params.id)
+          ? await userRepository.findOne({ _id: new ObjectId(req.params.id) })
+          : null;
+        if (!followee || followee.banned) {
+          throw new NotFoundError("User not found");
+        }
+        if (followee._id.equals(req.user._id)) {
+          throw new BadRequestError("You cannot follow yourself");
+        }
+
+        const result = await followRepository.updateOne(
+          { followerId: req.user._id, followeeId: followee._id },
+          { $setOnInsert: { createdAt: new Date() } },
+          { upsert: true }
+        );
+        res.status(result.upsertedCount ? 201 : 200).send({
+          message: result.upsertedCount
+            ? "Following user"
+            : "Already following user",
+          user: toUserSummary(followee),
+        });
+      }
+    );
+
+    app.delete(
+      "/users/:id/follow",
+      requireAuth,
+      rateLimit("follow"),
+      async (req, res) => {
+        if (!req.user) {
+          throw new NotFoundError("User not registered");
+        }
+        const result = ObjectId.isValid(req.params.id)
+          ? await followRepository.deleteOne({
+              followerId: req.user._id,
+              followeeId: new ObjectId(req.params.id),
+            })
+          : { deletedCount: 0 };
+        if (!result.deletedCount) {
+          throw new NotFoundError("You are not following this user");
+        }
+        res.send({ message: "Unfollowed user" });
+      }
+    );
+
+    // People the caller follows / people following the caller (paginated)
+    for (const [path, side] of [
+      ["/users/me/following", "followeeId"],
+      ["/users/me/followers", "followerId"],
+    ]) {
+      app.get(path, requireAuth, async (req, res) => {
+        if (!req.user) {
+          throw new NotFoundError("User not registered");
+        }
+        const limit = Math.min(
+          MAX_PAGE_SIZE,
+          Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+        );
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        res.send(await listFollowUsers(req.user, { side, page, limit }));
+      });
+    }
+
+    // Movies: list (public)
+    app.get("/movies", cacheResponse, async (req, res) => {
+      const { search } = req.query;
+      const plan = parseMovieListQuery(req.query);
+      if (plan.errors.length) {
+        throw new ValidationError(plan.errors);
+      }
+
+      const conditions = [...plan.conditions];
+
+      const bannedEmails = await getBannedUserEmails();
+      if (bannedEmails.length) {
+        conditions.push({ addedBy: { $nin: bannedEmails } });
+      }
+
+      if (search) {
+        conditions.push({
+          $or: [
+            { title: { $regex: escapeRegex(search), $options: "i" } },
+            { director: { $regex: escapeRegex(search), $options: "i" } },
+            { cast: { $regex: escapeRegex(search), $options: "i" } },
+          ],
+        });
+      }
+
+      const query = conditions.length ? { $and: conditions } : {};
+      const pageQuery = plan.cursor
+        ? { $and: [...conditions, buildCursorCondition(plan.cursor)] }
+        : query;
+
+      let findCursor = movieRepository.find(pageQuery).sort(plan.sort);
+      if (plan.projection) {
+        findCursor = findCursor.project(plan.projection);
+      }
+
+      // Without paging params the response stays a plain array of every match, as
+      // it was before pagination, so existing clients never lose entries
+      if (!plan.paginated) {
+        const movies = await findCursor.toArray();
+        res.set("X-Total-Count", String(movies.length));
+        return res.send(
+          movies.map(convertMovieToIntegerId).filter((m) => m !== null)
+        );
+      }
+
+      if (!plan.cursor) {
+        findCursor = findCursor.skip((plan.page - 1) * plan.limit);
+      }
+
+      // Fetch one extra document to know whether another page exists
+      const [movies, total] = await Promise.all([
+        findCursor.limit(plan.limit + 1).toArray(),
+        movieRepository.countDocuments(query),
+      ]);
+      const hasMore = movies.length > plan.limit;
+      const pageMovies = movies.slice(0, plan.limit);
+      const next = hasMore
+        ? encodeMovieCursor(
+            pageMovies[pageMovies.length - 1],
+            plan.sortField,
+            plan.direction
+          )
+        : null;
+
+      // Convert all movies to use integer IDs
+      const convertedMovies = pageMovies
+        .map(convertMovieToIntegerId)
+        .filter((m) => m !== null);
+
+      res.set("X-Total-Count", String(total));
+      if (next) {
+        res.set("X-Next-Cursor", next);
+      }
+
+      res.send({
+        movies: convertedMovies,
+        total,
+        page: plan.cursor ? null : plan.page,
+        limit: plan.limit,
+        next,
+      });
+    });
+
+    // Movies: full-text search with fuzzy fallback (public)
+    app.get("/movies/search", async (req, res) => {
+      const q = String(req.query.q || "").trim();
+      if (!q) {
+        throw new ValidationError([{ field: "q", message: "is required" }]);
+      }
+      if (q.length > 200) {
+        throw new ValidationError([
+          { field: "q", message: "must be at most 200 characters" },
+        ]);
+      }
+
+      const limit = Math.min(
+        MAX_PAGE_SIZE,
+        Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+      );
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const terms = tokenizeSearchQuery(q);
+
+      const conditions = [{ $text: { $search: q } }];
+      const genres = parseListParam(req.query.genre).filter(
+        (genre) => genre !== "All"
+      );
+      if (genres.length) {
+        conditions.push({ genre: { $in: genres } });
+      }
+      const bannedEmails = await getBannedUserEmails();
+      if (bannedEmails.length) {
+        conditions.push({ addedBy: { $nin: bannedEmails } });
+      }
+      const query = { $and: conditions };
+
+      const [textMatches, total] = await Promise.all([
+        movieRepository
+          .find(query)
+          .project({ score: { $meta: "textScore" } })
+          .sort({ score: { $meta: "textScore" }, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        movieRepository.countDocuments(query),
+      ]);
+
+      let results = textMatches.map((movie) => ({
+        ...convertMovieToIntegerId(movie),
+        score: Number(movie.score.toFixed(3)),
+        matchType: "text",
+        highlights: buildHighlights(movie, terms),
+      }));
+
+      // Misspelled titles rarely match a text index, so when text matches are few
+      // the first page is filled up with titles close by edit distance
+      let fuzzyCount = 0;
+      if (page === 1 && total < Math.min(limit, FUZZY_SEARCH_MIN_RESULTS)) {
+        const textIds = new Set(results.map((movie) => String(movie._id)));
+        const fuzzyMatches = (await findFuzzyTitleMatches(q, limit)).filter(
+          ({ movie }) =>
+            !textIds.has(String(convertMovieToIntegerId(movie)._id))
+        );
+        const ids = fuzzyMatches.map(({ movie }) => movie._id);
+        const movies = ids.length
+          ? await movieRepository
+              .find({
+                _id: { $in: ids },
+                ...(genres.length && { genre: { $in: genres } }),
+              })
+              .toArray()
+          : [];
+        const moviesById = new Map(
+          movies.map((movie) => [String(movie._id), movie])
+        );
+
+        const fuzzyResults = fuzzyMatches
+          .map(({ movie, score }) => {
+            const full = moviesById.get(String(movie._id));
+            if (!full) return null;
+            return {
+              ...convertMovieToIntegerId(full),
+              score,
+              matchType: "fuzzy",
+              highlights: [{ field: "title", snippet: escapeHtml(full.title) }],
+            };
+          })
+          .filter(Boolean)
+          .slice(0, limit - results.length);
+        fuzzyCount = fuzzyResults.length;
+        results = [...results, ...fuzzyResults];
+      }
+      const fuzzy = fuzzyCount > 0;
+
+      res.send({
+        query: q,
+        results,
+        total: total + fuzzyCount,
+        page,
+        limit,
+        fuzzy,
+      });
+    });
+
+    // Movies: title autocomplete (public)
+    app.get("/movies/suggest", async (req, res) => {
+      const q = normalizeSearchText(req.query.q);
+      if (!q) {
+        return res.send([]);
+      }
+      const limit = Math.min(
+        20,
+        Math.max(1, parseInt(req.query.limit, 10) || 8)
+      );
+
+      // Entries are ordered by rating, so the first hits are the best suggestions
+      const entries = await getTitleIndex();
+      const titlePrefix = [];
+      const wordPrefix = [];
+      for (const entry of entries) {
+        if (entry.normalizedTitle.startsWith(q)) {
+          titlePrefix.push(entry);
+        } else if (entry.normalizedTitle.includes(` ${q}`)) {
+          wordPrefix.push(entry);
+        }
+        if (titlePrefix.length >= limit) break;
+      }
+
+      const suggestions = [...titlePrefix, ...wordPrefix]
+        .slice(0, limit)
+        .map(({ movie }) => {
+          const converted = convertMovieToIntegerId(movie);
+          return {
+            id: converted.id,
+            title: movie.title,
+            releaseYear: movie.releaseYear,
+            posterUrl: movie.posterUrl,
+          };
+        });
+
+      res.set("Cache-Control", "public, max-age=60");
+      res.send(suggestions);
+    });
+
+    // Movies: bulk import from CSV or a JSON array (protected, ?dryRun=true to validate only)
+    app.post(
+      "/movies/import",
+      requireAuth,
+      rateLimit("movieImport"),
+      async (req, res) => {
+        const dryRun = req.query.dryRun === "true";
+        const contentType = (req.header("content-type") || "")
+          .split(";")[0]
+          .trim()
+          .toLowerCase();
+        const format =
+          req.query.format ||
+          (contentType === "text/csv"
+            ? "csv"
+            : contentType === "application/json"
+              ? "json"
+              : null);
+        if (!["csv", "json"].includes(format)) {
+          throw new ApiError(
+            415,
+            "unsupported_media_type",
+            "Send text/csv or application/json (or pass ?format=csv|json)"
+          );
+        }
+
+        const importer = createMovieImporter({
+          userEmail: req.userEmail,
+          dryRun,
+        });
+        const queue = [];
+        let header = null;
+
+        const parser =
+          format === "csv"
+            ? createCsvParser((cells) => {
+                // First row names the columns; unknown columns are ignored
+                if (!header) {
+                  header = cells.map((cell) => {
+                    const name = cell.trim().toLowerCase();
+                    if (name === "year") return "releaseYear";
+                    return (
+                      Object.keys(MOVIE_SCHEMA).find(
+                        (field) => field.toLowerCase() === name
+                      ) || null
+                    );
+                  });
+                  return;
+                }
+                const value = {};
+                header.forEach((field, index) => {
+                  if (field) value[field] = cells[index];
+                });
+                queue.push({ value });
+              })
+            : createJsonArrayParser((item) => queue.push(item));
+
+        // Rows before a malformed section or the row limit are still processed
+        let failure = null;
+        let bytes = 0;
+        req.setEncoding("utf8");
+        try {
+          for await (const chunk of req) {
+            bytes += Buffer.byteLength(chunk);
+            if (bytes > MAX_IMPORT_BYTES) {
+              failure = new ApiError(
+                413,
+                "payload_too_large",
+                `Import body exceeds ${MAX_IMPORT_BYTES} bytes`
+              );
+              break;
+            }
+            parser.write(chunk);
+            while (queue.length && importer.total < MAX_IMPORT_ROWS) {
+              await importer.add(queue.shift());
+            }
+            if (queue.length) {
+              failure = new ApiError(
+                413,
+                "payload_too_large",
+                `Imports are limited to ${MAX_IMPORT_ROWS} rows`
+              );
+              break;
+            }
+          }
+          if (!failure) {
+            parser.end();
+            while (queue.length && importer.total < MAX_IMPORT_ROWS) {
+              await importer.add(queue.shift());
+            }
+            if (queue.length) {
+              failure = new ApiError(
+                413,
+                "payload_too_large",
+                `Imports are limited to ${MAX_IMPORT_ROWS} rows`
+              );
+            }
+          }
+        } catch (parseError) {
+          failure = new BadRequestError(parseError.message);
+        }
+
+        const summary = await importer.finish();
+        // The summary shows which rows were processed before the failure
+        if (failure) {
+          failure.details = summary;
+          throw failure;
+        }
+        res.status(dryRun || !summary.imported ? 200 : 201).send(summary);
+      }
+    );
+
+    // Movies: export the user's collection or the filtered catalog as CSV/JSON (protected)
+    app.get("/movies/export", requireAuth, async (req, res) => {
+      try {
+        const format = req.query.format || "json";
+        const scope = req.query.scope || "mine";
+        const errors = [];
+        if (!["csv", "json"].includes(format)) {
+          errors.push({ field: "format", message: "must be csv or json" });
+        }
+        if (!["mine", "catalog"].includes(scope)) {
+          errors.push({ field: "scope", message: "must be mine or catalog" });
+        }
+
+        const plan = parseMovieListQuery(req.query);
+        errors.push(...plan.errors.filter((error) => error.field !== "cursor"));
+        if (errors.length) {
+          throw new ValidationError(errors);
+        }
+
+        const conditions = [...plan.conditions];
+        if (scope === "mine") {
+          conditions.push({ addedBy: req.userEmail });
+        } else {
+          const bannedEmails = await getBannedUserEmails();
+          if (bannedEmails.length) {
+            conditions.push({ addedBy: { $nin: bannedEmails } });
+          }
+        }
+
+        const cursor = movieRepository
+          .find(conditions.length ? { $and: conditions } : {})
+          .sort(plan.sort);
+
+        const filename = `movies-${scope}-${new Date()
+          .toISOString()
+          .slice(0, 10)}.${format}`;
+        res.set(
+          "Content-Type",
+          format === "csv" ? "text/csv; charset=utf-8" : "application/json"
+        );
+        res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+        // Stream rows out, waiting for the socket to drain when it backs up
+        const write = async (text) => {
+          if (!res.write(text)) {
+            await once(res, "drain");
+          }
+        };
+
+        let first = true;
+        await write(format === "csv" ? `${EXPORT_FIELDS.join(",")}\r\n` : "[");
+        for await (const movie of cursor) {
+          const converted = convertMovieToIntegerId(movie);
+          if (format === "csv") {
+            await write(
+              `${EXPORT_FIELDS.map((field) => toCsvValue(converted[field])).join(",")}\r\n`
+            );
+          } else {
+            const exported = Object.fromEntries(
+              EXPORT_FIELDS.filter(
+                (field) => converted[field] !== undefined
+              ).map((field) => [field, converted[field]])
+            );
+            await write(`${first ? "" : ","}\n${JSON.stringify(exported)}`);
+          }
+          first = false;
+        }
+        if (format === "json") {
+          await write(first ? "]" : "\n]");
+        }
+        res.end();
+      } catch (error) {
+        // Once streaming has started the only option left is to abort the response
+        if (res.headersSent) {
+          console.error("Error exporting movies:", error);
+          return res.destroy(error);
+        }
+        throw error;
+      }
+    });
+
+    // Add movie (protected)
+    app.post(
+      "/movies/add",
+      requireAuth,
+      rateLimit("movieWrite"),
+      async (req, res) => {
+        const movie = req.body || {};
+
+        if (!req.userEmail) {
+          throw new AuthError(
+            401,
+            "unauthorized",
+            "Unauthorized: missing user email"
+          );
+        }
+
+        const { value, errors } = validateMovie(movie);
+        if (errors.length) {
+          throw new ValidationError(errors);
+        }
+
+        const now = new Date();
+
+        // Get next integer ID
+        const nextId = await getNextMovieId();
+
+        const doc = {
+          _id: Number(nextId),
+          id: Number(nextId),
+          ...value,
+          addedBy: req.userEmail,
+          createdAt: now,
+          updatedAt: now,
+          version: 1,
+        };
+
+        console.log(
+          "Adding movie with addedBy:",
+          req.userEmail,
+          "Integer ID:",
+          nextId
+        );
+
+        const result = await movieRepository.insertOne(doc);
+        invalidateCatalogCache();
+        console.log("Inserted movie result:", result?.insertedId);
+        publishMovieEvent("movie.created", doc);
+        await recordActivity(req.userEmail, "movie.added", doc);
+        res
+          .status(201)
+          .set("ETag", getMovieETag(doc))
+          .send({ insertedId: Number(nextId), id: Number(nextId), version: 1 });
+      }
+    );
+
+    // My collection (protected)
+    app.get("/movies/my-collection", requireAuth, async (req, res) => {
+      const userEmail = req.userEmail;
+      if (!userEmail) {
+        throw new AuthError(
+          401,
+          "unauthorized",
+          "Unauthorized: missing user email"
+        );
+      }
+
+      console.log("Fetching movies for user:", userEmail);
+      const movies = await movieRepository
+        .find({ addedBy: userEmail })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      console.log(`Found ${movies.length} movies for user ${userEmail}`);
+
+      // Convert all movies to use integer IDs
+      const convertedMovies = movies
+        .map(convertMovieToIntegerId)
+        .filter((m) => {
+          if (!m || !m._id) {
+            console.warn("Filtered out movie without _id:", m);
+            return false;
+          }
+          // Ensure _id is a number
+          const id = typeof m._id === "number" ? m._id : parseInt(m._id, 10);
+          if (isNaN(id) || id <= 0) {
+            console.warn("Filtered out movie with invalid ID:", m._id);
+            return false;
+          }
+          return true;
+        })
+        .map((m) => {
+          // Ensure _id is always a number
+          const id = typeof m._id === "number" ? m._id : parseInt(m._id, 10);
+          return {
+            ...m,
+            _id: id,
+            id: id,
+          };
+        });
+
+      console.log(`Returning ${convertedMovies.length} converted movies`);
+      res.send(convertedMovies || []);
+    });
+
+    // Trash - the user's deleted movies until they are purged (protected)
+    app.get("/movies/trash", requireAuth, async (req, res) => {
+      const movies = await movieRepository
+        .withDeleted()
+        .find({ addedBy: req.userEmail, deletedAt: { $ne: null } })
+        .sort({ deletedAt: -1 })
+        .toArray();
+
+      res.send(
+        movies.map((movie) => ({
+          ...convertMovieToIntegerId(movie),
+          purgeAt: getPurgeDate(movie.deletedAt),
+        }))
+      );
+    });
+
+    // Watchlist - get default list entries (protected)
+    app.get("/watchlist", requireAuth, async (req, res) => {
+      if (!req.userEmail) {
+        throw new AuthError(
+          401,
+          "unauthorized",
+          "Unauthorized: missing user email"
+        );
+      }
+
+      const list = await getDefaultWatchlist(req.userEmail);
+      const watchlistEntries = await watchlistRepository.findListEntries(
+        list._id,
+        buildWatchedFilter(req.query.watched)
+      );
+
+      if (!watchlistEntries.length) {
+        return res.send([]);
+      }
+
+      res.send(await resolveWatchlistEntries(watchlistEntries));
+    });
+
+    // Watchlist - add movie to the default list (protected)
+    app.post(
+      "/watchlist/:movieId",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        if (!req.userEmail) {
+          throw new AuthError(
+            401,
+            "unauthorized",
+            "Unauthorized: missing user email"
+          );
+        }
+
+        const { movieId } = req.params;
+        const movie = await movieRepository.findByIdentifier(movieId);
+
+        if (!movie) {
+          throw new NotFoundError("Movie not found");
+        }
+
+        const converted = convertMovieToIntegerId(movie);
+        if (!converted || !converted._id) {
+          throw new Error("Failed to process movie data");
+        }
+
+        const list = await getDefaultWatchlist(req.userEmail);
+        const { alreadyExists } = await addMovieToWatchlist(list, converted);
+
+        if (alreadyExists) {
+          return res.status(200).send({
+            message: "Movie is already in your watchlist",
+            movie: converted,
+            alreadyExists: true,
+          });
+        }
+
+        // Entries added while the list is private stay private if it goes public later
+        if (list.visibility === "public") {
+          await recordActivity(req.userEmail, "movie.watchlisted", movie);
+        }
+        res.status(201).send({
+          message: "Movie added to watchlist",
+          movie: converted,
+        });
+      }
+    );
+
+    // Watchlist - remove movie from the default list (protected)
+    app.delete(
+      "/watchlist/:movieId",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        if (!req.userEmail) {
+          throw new AuthError(
+            401,
+            "unauthorized",
+            "Unauthorized: missing user email"
+          );
+        }
+
+        const movieId = await resolveWatchlistMovieId(req.params.movieId);
+        if (!movieId) {
+          throw new NotFoundError("Movie not found in watchlist");
+        }
+
+        const list = await getDefaultWatchlist(req.userEmail);
+        const result = await watchlistRepository.deleteOne({
+          listId: list._id,
+          movieId,
+        });
+
+        if (!result.deletedCount) {
+          throw new NotFoundError("Movie not found in watchlist");
+        }
+
+        publishWatchlistEvent(list, "entry.removed", { movieId });
+        res.send({ message: "Movie removed from watchlist" });
+      }
+    );
+
+    // Watchlist - status check across all of the user's lists (protected)
+    app.get("/watchlist/status/:movieId", requireAuth, async (req, res) => {
+      if (!req.userEmail) {
+        throw new AuthError(
+          401,
+          "unauthorized",
+          "Unauthorized: missing user email"
+        );
+      }
+
+      const movieId = await resolveWatchlistMovieId(req.params.movieId);
+      if (!movieId) {
+        return res.send({ isWatchlisted: false, lists: [] });
+      }
+
+      const defaultList = await getDefaultWatchlist(req.userEmail);
+      const entries = await watchlistRepository
+        .find({ userEmail: req.userEmail, movieId })
+        .toArray();
+
+      const listIds = entries.map((entry) => entry.listId).filter(Boolean);
+      const lists = listIds.length
+        ? await watchlistListRepository
+            .find({ _id: { $in: listIds } })
+            .project({ name: 1 })
+            .toArray()
+        : [];
+      const listNames = new Map(
+        lists.map((list) => [String(list._id), list.name])
+      );
+
+      // isWatchlisted keeps describing the default list for existing clients
+      res.send({
+        isWatchlisted: entries.some(
+          (entry) => String(entry.listId) === String(defaultList._id)
+        ),
+        lists: entries
+          .filter((entry) => listNames.has(String(entry.listId)))
+          .map((entry) => ({
+            listId: entry.listId,
+            name: listNames.get(String(entry.listId)),
+            watched: !!entry.watched,
+          })),
+      });
+    });
+
+    // Watchlists - the user's own lists plus lists they collaborate on (protected)
+    app.get("/watchlists", requireAuth, async (req, res) => {
+      await getDefaultWatchlist(req.userEmail);
+
+      const lists = await watchlistListRepository
+        .find({
+          $or: [{ userEmail: req.userEmail }, { collaborators: req.userEmail }],
+        })
+        .sort({ isDefault: -1, createdAt: 1 })
+        .toArray();
+
+      const counts = await watchlistRepository
+        .aggregate([
+          { $match: { listId: { $in: lists.map((list) => list._id) } } },
+          {
+            $group: {
+              _id: "$listId",
+              total: { $sum: 1 },
+              watched: { $sum: { $cond: ["$watched", 1, 0] } },
+            },
+          },
+        ])
+        .toArray();
+      const countsByList = new Map(
+        counts.map((count) => [String(count._id), count])
+      );
+
+      res.send(
+        lists.map((list) => ({
+          ...list,
+          access: list.userEmail === req.userEmail ? "owner" : "collaborator",
+          entryCount: countsByList.get(String(list._id))?.total || 0,
+          watchedCount: countsByList.get(String(list._id))?.watched || 0,
+        }))
+      );
+    });
+
+    // Watchlists - create a named list (protected)
+    app.post(
+      "/watchlists",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const { value, errors } = validateDocument(WATCHLIST_SCHEMA, req.body);
+        if (errors.length) {
+          throw new ValidationError(errors);
+        }
+
+        await getDefaultWatchlist(req.userEmail);
+        const listCount = await watchlistListRepository.countDocuments({
+          userEmail: req.userEmail,
+        });
+        if (listCount >= MAX_WATCHLISTS_PER_USER) {
+          throw new ConflictError(
+            `You can have at most ${MAX_WATCHLISTS_PER_USER} watchlists`
+          );
+        }
+
+        const now = new Date();
+        const list = {
+          userEmail: req.userEmail,
+          name: value.name,
+          isDefault: false,
+          visibility: value.visibility || "private",
+          collaborators: [],
+          createdAt: now,
+          updatedAt: now,
+        };
+        const result = await watchlistListRepository.insertOne(list);
+        const created = { ...list, _id: result.insertedId };
+        publishWatchlistEvent(created, "list.created");
+        res.status(201).send(created);
+      }
+    );
+
+    // Watchlists - rename or change visibility (owner only, protected)
+    app.patch(
+      "/watchlists/:listId",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const list = await findUserWatchlist(req.userEmail, req.params.listId);
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+
+        const { value, errors } = validateDocument(WATCHLIST_SCHEMA, req.body, {
+          partial: true,
+        });
+        if (value.visibility === null) {
+          errors.push({ field: "visibility", message: "is required" });
+        }
+        if (errors.length) {
+          throw new ValidationError(errors);
+        }
+
+        const update = { ...value, updatedAt: new Date() };
+        await watchlistListRepository.updateOne(
+          { _id: list._id },
+          { $set: update }
+        );
+        publishWatchlistEvent(list, "list.updated");
+        res.send({ ...list, ...update });
+      }
+    );
+
+    // Watchlists - delete a list and its entries (protected, default list stays)
+    app.delete(
+      "/watchlists/:listId",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const list = await findUserWatchlist(req.userEmail, req.params.listId);
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+        if (list.isDefault) {
+          throw new BadRequestError("The default watchlist cannot be deleted");
+        }
+
+        const { deletedCount } = await watchlistRepository.deleteMany({
+          listId: list._id,
+        });
+        await watchlistListRepository.deleteOne({ _id: list._id });
+        await shareLinkRepository.updateMany(
+          { listId: list._id, revokedAt: null },
+          { $set: { revokedAt: new Date() } }
+        );
+        publishWatchlistEvent(list, "list.deleted");
+        res.send({
+          message: "Watchlist deleted",
+          removedEntries: deletedCount,
+        });
+      }
+    );
+
+    // Watchlists - entries of one list, in manual order (owner or collaborator, protected)
+    app.get("/watchlists/:listId", requireAuth, async (req, res) => {
+      const list = await findAccessibleWatchlist(
+        req.userEmail,
+        req.params.listId
+      );
+      if (!list) {
+        throw new NotFoundError("Watchlist not found");
+      }
 
-        res.send(convertedMovies);
-      } catch (error) {
-        console.error("Error fetching movies:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to fetch movies" });
+      const entries = await watchlistRepository.findListEntries(
+        list._id,
+        buildWatchedFilter(req.query.watched)
+      );
+
+      res.send({ ...list, entries: await resolveWatchlistEntries(entries) });
+    });
+
+    // Watchlists - add a movie to a list (owner or collaborator, protected)
+    app.post(
+      "/watchlists/:listId/entries/:movieId",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const list = await findAccessibleWatchlist(
+          req.userEmail,
+          req.params.listId
+        );
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+
+        const { value, errors } = validateDocument(
+          WATCHLIST_ENTRY_SCHEMA,
+          req.body || {}
+        );
+        if (errors.length) {
+          throw new ValidationError(errors);
+        }
+
+        const movie = await movieRepository.findByIdentifier(
+          req.params.movieId
+        );
+        if (!movie) {
+          throw new NotFoundError("Movie not found");
+        }
+
+        const converted = convertMovieToIntegerId(movie);
+        const { entry, alreadyExists } = await addMovieToWatchlist(
+          list,
+          converted,
+          { ...value, addedBy: req.userEmail }
+        );
+
+        res.status(alreadyExists ? 200 : 201).send({
+          message: alreadyExists
+            ? "Movie is already in this watchlist"
+            : "Movie added to watchlist",
+          entry,
+          alreadyExists,
+        });
+      }
+    );
+
+    // Watchlists - update note, watched state or personal rating (protected)
+    app.patch(
+      "/watchlists/:listId/entries/:movieId",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const list = await findUserWatchlist(req.userEmail, req.params.listId);
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+
+        const { value, errors } = validateDocument(
+          WATCHLIST_ENTRY_SCHEMA,
+          req.body,
+          { partial: true }
+        );
+        if (errors.length) {
+          throw new ValidationError(errors);
+        }
+
+        const movieId = await resolveWatchlistMovieId(req.params.movieId);
+        const entry = movieId
+          ? await watchlistRepository.findOne({ listId: list._id, movieId })
+          : null;
+        if (!entry) {
+          throw new NotFoundError("Movie not found in watchlist");
+        }
+
+        const $set = {};
+        const $unset = {};
+        if ("note" in value) $set.note = value.note || "";
+        if ("personalRating" in value) {
+          if (value.personalRating === null) $unset.personalRating = "";
+          else $set.personalRating = value.personalRating;
+        }
+        if ("watched" in value) {
+          $set.watched = !!value.watched;
+          if (value.watched && !entry.watched) $set.watchedAt = new Date();
+          if (!value.watched) $unset.watchedAt = "";
+        }
+
+        const update = { $set: { ...$set, updatedAt: new Date() } };
+        if (Object.keys($unset).length) update.$unset = $unset;
+        await watchlistRepository.updateOne({ _id: entry._id }, update);
+        publishWatchlistEvent(list, "entry.updated", { movieId });
+
+        const updated = await watchlistRepository.findOne({ _id: entry._id });
+        const [resolved] = await resolveWatchlistEntries([updated]);
+        res.send(resolved || updated);
+      }
+    );
+
+    // Watchlists - remove a movie from a list (owner or collaborator, protected)
+    app.delete(
+      "/watchlists/:listId/entries/:movieId",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const list = await findAccessibleWatchlist(
+          req.userEmail,
+          req.params.listId
+        );
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+
+        const movieId = await resolveWatchlistMovieId(req.params.movieId);
+        if (!movieId) {
+          throw new NotFoundError("Movie not found in watchlist");
+        }
+
+        const result = await watchlistRepository.deleteOne({
+          listId: list._id,
+          movieId,
+        });
+        if (!result.deletedCount) {
+          throw new NotFoundError("Movie not found in watchlist");
+        }
+
+        publishWatchlistEvent(list, "entry.removed", { movieId });
+        res.send({ message: "Movie removed from watchlist" });
+      }
+    );
+
+    // Watchlists - manual reorder; body is { movieIds: [...] } in the new order (protected)
+    app.put(
+      "/watchlists/:listId/order",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const list = await findUserWatchlist(req.userEmail, req.params.listId);
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+
+        const { movieIds } = req.body || {};
+        if (!Array.isArray(movieIds) || !movieIds.length) {
+          throw new ValidationError([
+            { field: "movieIds", message: "must be a non-empty array" },
+          ]);
+        }
+
+        const entries = await watchlistRepository.findListEntries(list._id);
+        const entriesByKey = new Map(
+          entries.map((entry) => [String(entry.movieKey), entry])
+        );
+
+        const ordered = [];
+        const seen = new Set();
+        for (const movieId of movieIds) {
+          const entry = entriesByKey.get(String(movieId).trim());
+          if (!entry) {
+            throw new ValidationError([
+              {
+                field: "movieIds",
+                message: `movie ${movieId} is not in this watchlist`,
+              },
+            ]);
+          }
+          if (!seen.has(entry.movieKey)) {
+            seen.add(entry.movieKey);
+            ordered.push(entry);
+          }
+        }
+        // Entries left out of the request keep their relative order after the listed ones
+        for (const entry of entries) {
+          if (!seen.has(entry.movieKey)) ordered.push(entry);
+        }
+
+        await watchlistRepository.bulkWrite(
+          ordered.map((entry, position) => ({
+            updateOne: {
+              filter: { _id: entry._id },
+              update: { $set: { position } },
+            },
+          }))
+        );
+        await watchlistListRepository.updateOne(
+          { _id: list._id },
+          { $set: { updatedAt: new Date() } }
+        );
+
+        publishWatchlistEvent(list, "list.reordered");
+        res.send({
+          message: "Watchlist reordered",
+          order: ordered.map((entry) => entry.movieId),
+        });
+      }
+    );
+
+    // Watchlists - invite a collaborator who can add/remove entries (owner only, protected)
+    app.post(
+      "/watchlists/:listId/collaborators",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const list = await findUserWatchlist(req.userEmail, req.params.listId);
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+
+        // Access follows the email, so an address without an account is invited all
+        // the same and gets in once it signs up; the response never reveals which
+        const collaboratorEmail = normalizeEmail(req.body?.email);
+        if (!EMAIL_PATTERN.test(collaboratorEmail)) {
+          throw new ValidationError([
+            { field: "email", message: "must be an email address" },
+          ]);
+        }
+        if (collaboratorEmail === req.userEmail) {
+          throw new BadRequestError("You already own this watchlist");
+        }
+        if (
+          (list.collaborators || []).length >= MAX_WATCHLIST_COLLABORATORS &&
+          !(list.collaborators || []).includes(collaboratorEmail)
+        ) {
+          throw new ConflictError(
+            `A watchlist can have at most ${MAX_WATCHLIST_COLLABORATORS} collaborators`
+          );
+        }
+
+        await watchlistListRepository.updateOne(
+          { _id: list._id },
+          {
+            $addToSet: { collaborators: collaboratorEmail },
+            $set: { updatedAt: new Date() },
+          }
+        );
+        publishWatchlistEvent(
+          list,
+          "collaborator.added",
+          {
+            collaborator: collaboratorEmail,
+          },
+          [...getWatchlistAudience(list), collaboratorEmail]
+        );
+        res.status(201).send({
+          message: "Collaborator added",
+          collaborator: collaboratorEmail,
+        });
+      }
+    );
+
+    // Watchlists - remove a collaborator (owner, or the collaborator leaving; protected)
+    app.delete(
+      "/watchlists/:listId/collaborators/:email",
+      requireAuth,
+      rateLimit("watchlistWrite"),
+      async (req, res) => {
+        const collaboratorEmail = decodeURIComponent(req.params.email)
+          .trim()
+          .toLowerCase();
+        const list = await findAccessibleWatchlist(
+          req.userEmail,
+          req.params.listId
+        );
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+        if (list.access !== "owner" && collaboratorEmail !== req.userEmail) {
+          throw new ForbiddenError("Forbidden: not the list owner");
+        }
+
+        const result = await watchlistListRepository.updateOne(
+          { _id: list._id, collaborators: collaboratorEmail },
+          {
+            $pull: { collaborators: collaboratorEmail },
+            $set: { updatedAt: new Date() },
+          }
+        );
+        if (!result.matchedCount) {
+          throw new NotFoundError("Collaborator not found");
+        }
+        publishWatchlistEvent(list, "collaborator.removed", {
+          collaborator: collaboratorEmail,
+        });
+        res.send({ message: "Collaborator removed" });
+      }
+    );
+
+    // Share links - create for a watchlist (owner only, protected)
+    app.post(
+      "/watchlists/:listId/share",
+      requireAuth,
+      rateLimit("shareLink"),
+      async (req, res) => {
+        const list = await findUserWatchlist(req.userEmail, req.params.listId);
+        if (!list) {
+          throw new NotFoundError("Watchlist not found");
+        }
+
+        const link = await createShareLink({
+          userEmail: req.userEmail,
+          type: "watchlist",
+          listId: list._id,
+        });
+        res.status(201).send(link);
+      }
+    );
+
+    // Share links - create for "my collection" (protected)
+    app.post(
+      "/movies/my-collection/share",
+      requireAuth,
+      rateLimit("shareLink"),
+      async (req, res) => {
+        const link = await createShareLink({
+          userEmail: req.userEmail,
+          type: "collection",
+        });
+        res.status(201).send(link);
       }
+    );
+
+    // Share links - the user's active links (protected)
+    app.get("/share-links", requireAuth, async (req, res) => {
+      const links = await shareLinkRepository
+        .find({ userEmail: req.userEmail, revokedAt: null })
+        .project({ tokenHash: 0 })
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.send(links);
     });
 
-    // Add movie (protected)
-    app.post("/movies/add", requireAuth, async (req, res) => {
-      try {
-        const movie = req.body || {};
-        const normalizedUserEmail = (req.userEmail || "").toLowerCase();
+    // Share links - revoke (protected)
+    app.delete("/share-links/:linkId", requireAuth, async (req, res) => {
+      if (!ObjectId.isValid(req.params.linkId)) {
+        throw new NotFoundError("Share link not found");
+      }
+
+      const result = await shareLinkRepository.updateOne(
+        {
+          _id: new ObjectId(req.params.linkId),
+          userEmail: req.userEmail,
+          revokedAt: null,
+        },
+        { $set: { revokedAt: new Date() } }
+      );
+      if (!result.matchedCount) {
+        throw new NotFoundError("Share link not found");
+      }
+      res.send({ message: "Share link revoked" });
+    });
+
+    // Shared - public watchlists by id (public)
+    app.get("/shared/watchlists/:listId", async (req, res) => {
+      if (!ObjectId.isValid(req.params.listId)) {
+        throw new NotFoundError("Watchlist not found");
+      }
+      const list = await watchlistListRepository.findOne({
+        _id: new ObjectId(req.params.listId),
+        visibility: "public",
+      });
+      const shared = list ? await buildSharedWatchlist(list) : null;
+      if (!shared) {
+        throw new NotFoundError("Watchlist not found");
+      }
+      res.send(shared);
+    });
+
+    // Shared - resolve a share token (public)
+    app.get("/shared/:token", async (req, res) => {
+      const link = await shareLinkRepository.findOne({
+        tokenHash: hashShareToken(req.params.token),
+        revokedAt: null,
+      });
+      if (!link) {
+        throw new NotFoundError("Share link not found");
+      }
+
+      let shared = null;
+      if (link.type === "watchlist") {
+        const list = await watchlistListRepository.findOne({
+          _id: link.listId,
+        });
+        shared = list ? await buildSharedWatchlist(list) : null;
+      } else if (link.type === "collection") {
+        shared = await buildSharedCollection(link.userEmail);
+      }
+      if (!shared) {
+        throw new NotFoundError("Share link not found");
+      }
+
+      await shareLinkRepository.updateOne(
+        { _id: link._id },
+        { $set: { lastAccessedAt: new Date() } }
+      );
+      res.send(shared);
+    });
+
+    // Movie details (public)
+    app.get("/movies/:id", async (req, res) => {
+      const idParam = req.params.id;
+      console.log("Fetching movie with ID param:", idParam);
+
+      const movie = await movieRepository.findByIdentifier(idParam);
+
+      if (!movie) {
+        console.log("Movie not found with ID:", idParam);
+        throw new NotFoundError("Movie not found");
+      }
+
+      const converted = convertMovieToIntegerId(movie);
+      if (!converted || !converted._id) {
+        console.error("Error converting movie:", converted);
+        throw new Error("Error processing movie data");
+      }
+
+      res.set("ETag", getMovieETag(movie)).send(converted);
+    });
+
+    // Content-based neighbours of a movie (public), each with its reasons
+    app.get("/movies/:id/similar", cacheResponse, async (req, res) => {
+      const movie = await movieRepository.findByIdentifier(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+
+      const limit = Math.min(
+        MAX_RECOMMENDATION_LIMIT,
+        Math.max(
+          1,
+          parseInt(req.query.limit, 10) || DEFAULT_RECOMMENDATION_LIMIT
+        )
+      );
+      res.send({
+        movieId: convertMovieToIntegerId(movie).id,
+        similar: await getSimilarMovies(movie, limit),
+      });
+    });
+
+    // Reviews - list for a movie (public)
+    app.get("/movies/:id/reviews", async (req, res) => {
+      const movie = await movieRepository.findByIdentifier(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+
+      const movieId = requireNumericMovieId(movie);
+      const limit = Math.min(
+        MAX_PAGE_SIZE,
+        Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+      );
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+      const [reviews, total] = await Promise.all([
+        reviewRepository
+          .find({ movieId })
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        reviewRepository.countDocuments({ movieId }),
+      ]);
+
+      res.send({
+        reviews,
+        total,
+        page,
+        limit,
+        communityRating: movie.communityRating ?? null,
+        reviewCount: movie.reviewCount ?? 0,
+      });
+    });
+
+    // Reviews - add (protected, one per user per movie)
+    app.post(
+      "/movies/:id/reviews",
+      requireAuth,
+      rateLimit("reviewWrite"),
+      async (req, res) => {
+        const movie = await movieRepository.findByIdentifier(req.params.id);
+        if (!movie) {
+          throw new NotFoundError("Movie not found");
+        }
 
-        if (!normalizedUserEmail) {
-          return res
-            .status(401)
-            .send({ message: "Unauthorized: missing user email" });
+        const { value, errors } = validateDocument(REVIEW_SCHEMA, req.body);
+        if (errors.length) {
+          throw new ValidationError(errors);
         }
 
-        movie.addedBy = normalizedUserEmail;
         const now = new Date();
-        movie.createdAt = now;
-        movie.updatedAt = now;
+        const review = {
+          movieId: requireNumericMovieId(movie),
+          userEmail: req.userEmail,
+          displayName: req.user?.displayName || "",
+          photoURL: req.user?.photoURL || "",
+          rating: value.rating,
+          comment: value.comment || "",
+          createdAt: now,
+          updatedAt: now,
+        };
 
-        // Get next integer ID
-        const nextId = await getNextMovieId(
-          countersCollection,
-          moviesCollection
+        let result;
+        try {
+          result = await reviewRepository.insertOne(review);
+        } catch (error) {
+          if (error.code === 11000) {
+            throw new ConflictError("You have already reviewed this movie");
+          }
+          throw error;
+        }
+        const stats = await refreshMovieReviewStats(movie);
+
+        res.status(201).send({
+          message: "Review added",
+          review: { ...review, _id: result.insertedId },
+          ...stats,
+        });
+      }
+    );
+
+    // Loads a review for the author-only routes
+    async function findOwnReview(req) {
+      const movie = await movieRepository.findByIdentifier(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      if (!ObjectId.isValid(req.params.reviewId)) {
+        throw new NotFoundError("Review not found");
+      }
+
+      const review = await reviewRepository.findOne({
+        _id: new ObjectId(req.params.reviewId),
+        movieId: requireNumericMovieId(movie),
+      });
+      if (!review) {
+        throw new NotFoundError("Review not found");
+      }
+
+      if (review.userEmail !== req.userEmail) {
+        throw new ForbiddenError("Forbidden: not the review author");
+      }
+      return { movie, review };
+    }
+
+    // Reviews - edit (author only, protected)
+    app.put(
+      "/movies/:id/reviews/:reviewId",
+      requireAuth,
+      rateLimit("reviewWrite"),
+      async (req, res) => {
+        const found = await findOwnReview(req);
+
+        const { value, errors } = validateDocument(REVIEW_SCHEMA, req.body, {
+          partial: true,
+          ignoredFields: [
+            "_id",
+            "movieId",
+            "userEmail",
+            "createdAt",
+            "updatedAt",
+          ],
+        });
+        if (errors.length) {
+          throw new ValidationError(errors);
+        }
+
+        const update = { updatedAt: new Date() };
+        if ("rating" in value) update.rating = value.rating;
+        if ("comment" in value) update.comment = value.comment || "";
+
+        await reviewRepository.updateOne(
+          { _id: found.review._id },
+          { $set: update }
         );
+        const stats = await refreshMovieReviewStats(found.movie);
 
-        // Basic field normalization
-        const doc = {
-          _id: Number(nextId),
-          id: Number(nextId),
-          title: movie.title,
-          genre: movie.genre,
-          releaseYear: Number(movie.releaseYear),
-          director: movie.director,
-          cast: movie.cast,
-          rating: Number(movie.rating),
-          duration: Number(movie.duration),
-          plotSummary: movie.plotSummary,
-          posterUrl: movie.posterUrl,
-          language: movie.language,
-          country: movie.country,
-          addedBy: normalizedUserEmail, // normalized email for consistent lookups
-          createdAt: movie.createdAt,
-          updatedAt: movie.updatedAt,
-        };
+        res.send({
+          message: "Review updated",
+          review: { ...found.review, ...update },
+          ...stats,
+        });
+      }
+    );
 
-        console.log(
-          "Adding movie with addedBy:",
-          normalizedUserEmail,
-          "Integer ID:",
-          nextId
+    // Reviews - delete (author only, protected)
+    app.delete(
+      "/movies/:id/reviews/:reviewId",
+      requireAuth,
+      rateLimit("reviewWrite"),
+      async (req, res) => {
+        const found = await findOwnReview(req);
+
+        await reviewRepository.deleteOne({ _id: found.review._id });
+        const stats = await refreshMovieReviewStats(found.movie);
+
+        res.send({ message: "Review deleted", ...stats });
+      }
+    );
+
+    // Update (owner only, protected)
+    app.put(
+      "/movies/update/:id",
+      requireAuth,
+      rateLimit("movieWrite"),
+      async (req, res) => {
+        const idParam = req.params.id;
+
+        const existing = await movieRepository.findByIdentifier(idParam);
+
+        if (!existing) {
+          throw new NotFoundError("Movie not found");
+        }
+
+        const ownerEmail = (existing.addedBy || "").toLowerCase();
+        if (ownerEmail !== req.userEmail) {
+          throw new ForbiddenError("Forbidden: not the owner");
+        }
+        checkMovieIfMatch(req, existing);
+
+        const { value, errors } = validateMovie(req.body, { partial: true });
+        if (errors.length) {
+          throw new ValidationError(errors);
+        }
+
+        // Owner, id and timestamps are never taken from the payload
+        const update = buildFieldUpdate(value);
+        const fields = diffMovieUpdate(existing, update).map(
+          (change) => change.field
         );
+        const result = await updateMovieWithRevision(existing, update, {
+          actor: req.userEmail,
+        });
+        if (fields.length) {
+          await recordActivity(
+            req.userEmail,
+            "movie.updated",
+            { ...existing, ...update.$set },
+            { fields }
+          );
+        }
+        res.set("ETag", getMovieETag(result)).send(result);
+      }
+    );
 
-        const result = await moviesCollection.insertOne(doc);
-        console.log("Inserted movie result:", result?.insertedId);
-        res
-          .status(201)
-          .send({ insertedId: Number(nextId), id: Number(nextId) });
-      } catch (error) {
-        console.error("Error adding movie:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to add movie" });
+    // Delete (owner only, protected) - moves the movie to the owner's trash
+    app.delete(
+      "/movies/:id",
+      requireAuth,
+      rateLimit("movieWrite"),
+      async (req, res) => {
+        const idParam = req.params.id;
+
+        const existing = await movieRepository.findByIdentifier(idParam);
+
+        if (!existing) {
+          throw new NotFoundError("Movie not found");
+        }
+
+        const ownerEmail = (existing.addedBy || "").toLowerCase();
+        if (ownerEmail !== req.userEmail) {
+          throw new ForbiddenError("Forbidden: not the owner");
+        }
+        checkMovieIfMatch(req, existing);
+
+        res.send(await softDeleteMovie(existing, req.userEmail));
       }
-    });
+    );
 
-    // My collection (protected)
-    app.get("/movies/my-collection", requireAuth, async (req, res) => {
-      try {
-        const userEmail = req.userEmail;
-        if (!userEmail) {
-          return res
-            .status(401)
-            .send({ message: "Unauthorized: missing user email" });
+    // Restore from trash (owner, or a moderator for movies a moderator removed)
+    app.post(
+      "/movies/:id/restore",
+      requireAuth,
+      rateLimit("movieWrite"),
+      async (req, res) => {
+        const existing = await movieRepository
+          .withDeleted()
+          .findByIdentifier(req.params.id);
+        if (!existing || !existing.deletedAt) {
+          throw new NotFoundError("Movie not found in trash");
         }
 
-        const normalizedEmail = (userEmail || "").toLowerCase();
-        const emailsToMatch = [
-          ...new Set([userEmail, normalizedEmail].filter(Boolean)),
-        ];
+        const isModerator =
+          getRoleRank(req.userRole) >= getRoleRank("moderator");
+        const ownerEmail = (existing.addedBy || "").toLowerCase();
+        if (!isModerator) {
+          if (ownerEmail !== req.userEmail) {
+            throw new ForbiddenError("Forbidden: not the owner");
+          }
+          if (existing.deletedBy && existing.deletedBy !== ownerEmail) {
+            throw new ForbiddenError(
+              "Removed by a moderator; only a moderator can restore it"
+            );
+          }
+        }
 
-        console.log(
-          "Fetching movies for user:",
-          userEmail,
-          "(normalized:",
-          normalizedEmail,
-          ")"
+        const result = await movieRepository.updateOne(
+          getVersionedMovieQuery(existing),
+          { $unset: { deletedAt: "", deletedBy: "" }, $inc: { version: 1 } }
         );
-        const movies = await moviesCollection
-          .find({ addedBy: { $in: emailsToMatch } })
-          .sort({ createdAt: -1 })
-          .toArray();
+        assertVersionMatched(result, existing);
+        invalidateCatalogCache();
+
+        const { deletedAt, deletedBy, ...restored } = existing;
+        restored.version = (existing.version || 0) + 1;
+        publishMovieEvent("movie.created", restored);
+        res.set("ETag", getMovieETag(restored)).send({
+          message: "Movie restored",
+          movie: convertMovieToIntegerId(restored),
+        });
+      }
+    );
 
-        console.log(`Found ${movies.length} movies for user ${userEmail}`);
+    // Edit history, newest first (owner or moderator)
+    app.get("/movies/:id/history", requireAuth, async (req, res) => {
+      const movie = await movieRepository.findByIdentifier(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      const isOwner = (movie.addedBy || "").toLowerCase() === req.userEmail;
+      if (!isOwner && getRoleRank(req.userRole) < getRoleRank("moderator")) {
+        throw new ForbiddenError("Forbidden: not the owner");
+      }
+      const movieId = requireNumericMovieId(movie);
 
-        // Convert all movies to use integer IDs
-        const convertedMovies = movies
-          .map(convertMovieToIntegerId)
-          .filter((m) => {
-            if (!m || !m._id) {
-              console.warn("Filtered out movie without _id:", m);
-              return false;
-            }
-            // Ensure _id is a number
-            const id = typeof m._id === "number" ? m._id : parseInt(m._id, 10);
-            if (isNaN(id) || id <= 0) {
-              console.warn("Filtered out movie with invalid ID:", m._id);
-              return false;
-            }
-            return true;
-          })
-          .map((m) => {
-            // Ensure _id is always a number
-            const id = typeof m._id === "number" ? m._id : parseInt(m._id, 10);
-            return {
-              ...m,
-              _id: id,
-              id: id,
-            };
-          });
+      const limit = Math.min(
+        MAX_PAGE_SIZE,
+        Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+      );
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const [revisions, total] = await Promise.all([
+        movieRevisionRepository
+          .find({ movieId })
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        movieRevisionRepository.countDocuments({ movieId }),
+      ]);
+
+      res.send({ revisions, total, page, limit });
+    });
+
+    // Roll back to the state before a revision (owner only); recorded as a revision too
+    app.post(
+      "/movies/:id/revert/:revisionId",
+      requireAuth,
+      rateLimit("movieWrite"),
+      async (req, res) => {
+        const movie = await movieRepository.findByIdentifier(req.params.id);
+        if (!movie) {
+          throw new NotFoundError("Movie not found");
+        }
+        if ((movie.addedBy || "").toLowerCase() !== req.userEmail) {
+          throw new ForbiddenError("Forbidden: not the owner");
+        }
+        const movieId = requireNumericMovieId(movie);
+
+        const revision = ObjectId.isValid(req.params.revisionId)
+          ? await movieRevisionRepository.findOne({
+              _id: new ObjectId(req.params.revisionId),
+              movieId,
+            })
+          : null;
+        if (!revision) {
+          throw new NotFoundError("Revision not found");
+        }
+
+        const fields = await getFieldsBeforeRevision(movieId, revision);
+        if (!Object.keys(fields).length) {
+          throw new ConflictError("Revision has no movie fields to revert");
+        }
 
-        console.log(`Returning ${convertedMovies.length} converted movies`);
-        res.send(convertedMovies || []);
-      } catch (error) {
-        console.error("Error fetching my collection:", error);
+        // History can hold values the current schema rejects
+        const { value, errors } = validateMovie(fields, { partial: true });
+        if (errors.length) {
+          throw new ValidationError(
+            errors,
+            "Revision cannot be restored under the current movie schema"
+          );
+        }
+
+        const result = await updateMovieWithRevision(
+          movie,
+          buildFieldUpdate(value),
+          {
+            action: "revert",
+            actor: req.userEmail,
+            revertedTo: revision._id,
+          }
+        );
         res
-          .status(500)
-          .send({ message: error.message || "Failed to fetch collection" });
+          .set("ETag", getMovieETag(result))
+          .send({ ...result, revertedTo: revision._id, fields: value });
       }
-    });
+    );
 
-    // Watchlist - get entries (protected)
-    app.get("/watchlist", requireAuth, async (req, res) => {
-      try {
-        const normalizedEmail = (req.userEmail || "").trim().toLowerCase();
-        if (!normalizedEmail) {
-          return res
-            .status(401)
-            .send({ message: "Unauthorized: missing user email" });
-        }
+    // The caller's own activity; private, so only the browser may cache it
+    app.get("/users/me/stats", requireAuth, async (req, res) => {
+      const range = parseStatsRange(req.query);
+      res
+        .set("Cache-Control", "private, max-age=60")
+        .send(await getUserStats(req.userEmail, range));
+    });
 
-        const watchlistEntries = await watchlistCollection
-          .find({ userEmail: normalizedEmail })
-          .sort({ createdAt: -1 })
-          .toArray();
+    // Personalized picks from the caller's watchlist and collection
+    app.get("/recommendations", requireAuth, async (req, res) => {
+      const limit = Math.min(
+        MAX_RECOMMENDATION_LIMIT,
+        Math.max(
+          1,
+          parseInt(req.query.limit, 10) || DEFAULT_RECOMMENDATION_LIMIT
+        )
+      );
+      res.send(await getRecommendationsForUser(req.userEmail, limit));
+    });
 
-        if (!watchlistEntries.length) {
-          return res.send([]);
+    // Activity from followed users, newest first; ?cursor= continues from `next`
+    app.get("/feed", requireAuth, async (req, res) => {
+      if (!req.user) {
+        throw new NotFoundError("User not registered");
+      }
+      const limit = Math.min(
+        MAX_PAGE_SIZE,
+        Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+      );
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeMovieCursor(String(req.query.cursor));
+        if (
+          !cursor ||
+          cursor.sortField !== "occurredAt" ||
+          cursor.direction !== -1
+        ) {
+          throw new ValidationError([
+            { field: "cursor", message: "is invalid" },
+          ]);
         }
+      }
 
-        const numericIds = new Set();
-        const stringIds = new Set();
+      const { activities, next } = await getFeed(req.user, { cursor, limit });
+      res.send({ activities, limit, next });
+    });
 
-        for (const entry of watchlistEntries) {
-          if (
-            typeof entry.movieId === "number" &&
-            Number.isFinite(entry.movieId) &&
-            entry.movieId > 0
-          ) {
-            numericIds.add(entry.movieId);
+    // Server-Sent Events: catalog changes plus the caller's watchlist changes. EventSource
+    // cannot send headers, so the access token may also come as ?access_token=.
+    app.get(
+      "/events",
+      (req, res, next) => {
+        if (!req.header("authorization") && req.query.access_token) {
+          req.headers.authorization = `Bearer ${req.query.access_token}`;
+        }
+        next();
+      },
+      requireAuth,
+      async (req, res) => {
+        const userEmail = req.userEmail;
+        res.writeHead(200, {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache, no-transform",
+          Connection: "keep-alive",
+          "X-Accel-Buffering": "no",
+        });
+        res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+        const lastEventId =
+          req.header("last-event-id") || req.query.lastEventId;
+        if (lastEventId) {
+          const missed = getEventsSince(String(lastEventId));
+          if (!missed) {
+            // Too old to replay: the client should refetch what it shows
+            res.write(
+              formatServerSentEvent({
+                id: `${EVENT_STREAM_ID}-${eventSequence}`,
+                type: "reset",
+                data: { reason: "replay_unavailable" },
+              })
+            );
+          } else {
+            for (const event of missed) {
+              if (canReceiveEvent(event, userEmail)) {
+                res.write(formatServerSentEvent(event));
+              }
+            }
           }
+        }
 
-          if (entry.movieKey) {
-            stringIds.add(String(entry.movieKey));
+        const onEvent = (event) => {
+          if (canReceiveEvent(event, userEmail)) {
+            res.write(formatServerSentEvent(event));
           }
-        }
+        };
+        const heartbeat = setInterval(
+          () => res.write(": heartbeat\n\n"),
+          EVENT_HEARTBEAT_MS
+        );
+        eventBus.on("event", onEvent);
+        req.on("close", () => {
+          clearInterval(heartbeat);
+          eventBus.off("event", onEvent);
+        });
+      }
+    );
 
-        const orConditions = [];
-        if (numericIds.size) {
-          const numericArray = Array.from(numericIds);
-          orConditions.push({ id: { $in: numericArray } });
-          orConditions.push({ _id: { $in: numericArray } });
+    // Webhooks - the caller's endpoints; the secret is only returned on creation
+    app.post(
+      "/webhooks",
+      requireAuth,
+      rateLimit("webhookWrite"),
+      async (req, res) => {
+        if (!req.user) {
+          throw new NotFoundError("User not registered");
         }
-        if (stringIds.size) {
-          const stringArray = Array.from(stringIds);
-          orConditions.push({ _id: { $in: stringArray } });
-          orConditions.push({ id: { $in: stringArray } });
+        const { value, errors } = validateDocument(WEBHOOK_SCHEMA, req.body);
+        if (value.events && !value.events.length) {
+          errors.push({ field: "events", message: "must not be empty" });
+        }
+        const urlError = value.url ? await checkWebhookUrl(value.url) : null;
+        if (urlError) {
+          errors.push(urlError);
+        }
+        if (errors.length) {
+          throw new ValidationError(errors);
         }
 
-        const moviesFromDb = orConditions.length
-          ? await moviesCollection.find({ $or: orConditions }).toArray()
-          : [];
-
-        const convertedMap = new Map();
-        for (const movie of moviesFromDb) {
-          const converted = convertMovieToIntegerId(movie);
-          if (converted && converted._id) {
-            convertedMap.set(String(converted._id), converted);
-            convertedMap.set(String(converted.id), converted);
-          }
+        const userEmail = req.userEmail;
+        const count = await webhookRepository.countDocuments({ userEmail });
+        if (count >= MAX_WEBHOOKS_PER_USER) {
+          throw new ConflictError(
+            `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`
+          );
         }
 
-        const response = watchlistEntries
-          .map((entry) => {
-            const primaryKey = entry.movieKey ? String(entry.movieKey) : "";
-            const fallbackKey =
-              entry.movieId !== undefined ? String(entry.movieId) : "";
-            const movie =
-              convertedMap.get(primaryKey) || convertedMap.get(fallbackKey);
-
-            if (!movie) {
-              return entry.movieSnapshot
-                ? {
-                    ...entry.movieSnapshot,
-                    _id: entry.movieKey || entry.movieId,
-                    id: entry.movieKey || entry.movieId,
-                    watchlistedAt: entry.createdAt,
-                    isMissing: true,
-                  }
-                : null;
-            }
+        const now = new Date();
+        const webhook = {
+          userEmail,
+          url: value.url,
+          events: value.events,
+          description: value.description || "",
+          active: value.active ?? true,
+          secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+          createdAt: now,
+          updatedAt: now,
+        };
+        const result = await webhookRepository.insertOne(webhook);
+        res.status(201).send({ ...webhook, _id: result.insertedId });
+      }
+    );
 
-            return {
-              ...movie,
-              watchlistedAt: entry.createdAt,
-            };
-          })
-          .filter(Boolean);
+    app.get("/webhooks", requireAuth, async (req, res) => {
+      const webhooks = await webhookRepository
+        .find({ userEmail: req.userEmail })
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.send({ webhooks: webhooks.map(toWebhook) });
+    });
 
-        res.send(response);
-      } catch (error) {
-        console.error("Error fetching watchlist:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to fetch watchlist" });
+    app.get("/webhooks/:id", requireAuth, async (req, res) => {
+      const webhook = await findAccessibleWebhook(req, req.params.id);
+      if (!webhook) {
+        throw new NotFoundError("Webhook not found");
       }
+      res.send(toWebhook(webhook));
     });
 
-    // Watchlist - add movie (protected)
-    app.post("/watchlist/:movieId", requireAuth, async (req, res) => {
-      try {
-        const normalizedEmail = (req.userEmail || "").trim().toLowerCase();
-        if (!normalizedEmail) {
-          return res
-            .status(401)
-            .send({ message: "Unauthorized: missing user email" });
+    // Change the URL, events, description or pause it with active: false
+    app.patch(
+      "/webhooks/:id",
+      requireAuth,
+      rateLimit("webhookWrite"),
+      async (req, res) => {
+        const webhook = await findAccessibleWebhook(req, req.params.id);
+        if (!webhook) {
+          throw new NotFoundError("Webhook not found");
         }
 
-        const { movieId } = req.params;
-        const movie = await findMovieByIdentifier(moviesCollection, movieId);
-
-        if (!movie) {
-          return res.status(404).send({ message: "Movie not found" });
+        const { value, errors } = validateDocument(WEBHOOK_SCHEMA, req.body, {
+          partial: true,
+        });
+        for (const field of ["url", "events", "active"]) {
+          if (value[field] === null) {
+            errors.push({ field, message: "is required" });
+          }
         }
-
-        const converted = convertMovieToIntegerId(movie);
-        if (!converted || !converted._id) {
-          return res
-            .status(500)
-            .send({ message: "Failed to process movie data" });
+        if (value.events && !value.events.length) {
+          errors.push({ field: "events", message: "must not be empty" });
+        }
+        const urlError = value.url ? await checkWebhookUrl(value.url) : null;
+        if (urlError) {
+          errors.push(urlError);
+        }
+        if (errors.length) {
+          throw new ValidationError(errors);
         }
 
-        const normalizedMovieId = Number(converted.id);
-        const movieKey = String(converted.id);
+        const update = { ...value, updatedAt: new Date() };
+        if (update.description === null) update.description = "";
+        await webhookRepository.updateOne(
+          { _id: webhook._id },
+          { $set: update }
+        );
+        res.send(toWebhook({ ...webhook, ...update }));
+      }
+    );
 
-        const existing = await watchlistCollection.findOne({
-          userEmail: normalizedEmail,
-          movieKey,
+    // Deleting a webhook also drops its delivery log
+    app.delete(
+      "/webhooks/:id",
+      requireAuth,
+      rateLimit("webhookWrite"),
+      async (req, res) => {
+        const webhook = await findAccessibleWebhook(req, req.params.id);
+        if (!webhook) {
+          throw new NotFoundError("Webhook not found");
+        }
+        await webhookRepository.deleteOne({ _id: webhook._id });
+        const { deletedCount } = await webhookDeliveryRepository.deleteMany({
+          webhookId: webhook._id,
         });
+        res.send({
+          message: "Webhook deleted",
+          removedDeliveries: deletedCount,
+        });
+      }
+    );
 
-        if (existing) {
-          return res.status(200).send({
-            message: "Movie is already in your watchlist",
-            movie: converted,
-            alreadyExists: true,
-          });
+    // Queue a "ping" event to check the endpoint and its signature handling
+    app.post(
+      "/webhooks/:id/ping",
+      requireAuth,
+      rateLimit("webhookWrite"),
+      async (req, res) => {
+        const webhook = await findAccessibleWebhook(req, req.params.id);
+        if (!webhook) {
+          throw new NotFoundError("Webhook not found");
         }
-
-        const entry = {
-          userEmail: normalizedEmail,
-          movieId: normalizedMovieId,
-          movieKey,
+        const delivery = await insertWebhookDelivery(webhook, {
+          id: `ping-${new ObjectId()}`,
+          type: "ping",
           createdAt: new Date(),
-          movieSnapshot: {
-            id: converted.id,
-            _id: converted._id,
-            title: converted.title,
-            posterUrl: converted.posterUrl,
-            genre: converted.genre,
-            releaseYear: converted.releaseYear,
-            rating: converted.rating,
-          },
-        };
-
-        await watchlistCollection.insertOne(entry);
-
-        res.status(201).send({
-          message: "Movie added to watchlist",
-          movie: converted,
+          data: { webhookId: webhook._id },
         });
-      } catch (error) {
-        console.error("Error adding to watchlist:", error);
-        if (error.code === 11000) {
-          return res.status(200).send({
-            message: "Movie is already in your watchlist",
-            alreadyExists: true,
-          });
-        }
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to add to watchlist" });
+        startWebhookWorker();
+        res.status(202).send(delivery);
       }
-    });
+    );
 
-    // Watchlist - remove movie (protected)
-    app.delete("/watchlist/:movieId", requireAuth, async (req, res) => {
-      try {
-        const normalizedEmail = (req.userEmail || "").trim().toLowerCase();
-        if (!normalizedEmail) {
-          return res
-            .status(401)
-            .send({ message: "Unauthorized: missing user email" });
+    // Delivery log, newest first; ?status= narrows it
+    app.get("/webhooks/:id/deliveries", requireAuth, async (req, res) => {
+      const webhook = await findAccessibleWebhook(req, req.params.id);
+      if (!webhook) {
+        throw new NotFoundError("Webhook not found");
+      }
+      const query = { webhookId: webhook._id };
+      if (req.query.status) {
+        if (!WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) {
+          throw new BadRequestError(
+            `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(", ")}`
+          );
         }
+        query.status = req.query.status;
+      }
 
-        const { movieId } = req.params;
-        const { numericCandidates, keyCandidates } =
-          buildWatchlistIdentifierCandidates(movieId);
+      const limit = Math.min(
+        MAX_PAGE_SIZE,
+        Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+      );
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const [deliveries, total] = await Promise.all([
+        webhookDeliveryRepository
+          .find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        webhookDeliveryRepository.countDocuments(query),
+      ]);
+      res.send({ deliveries, total, page, limit });
+    });
 
-        const orConditions = [];
-        if (numericCandidates.length) {
-          orConditions.push({ movieId: { $in: numericCandidates } });
+    // Send a delivery's payload again as a new delivery (same event id)
+    app.post(
+      "/webhooks/:id/deliveries/:deliveryId/redeliver",
+      requireAuth,
+      rateLimit("webhookWrite"),
+      async (req, res) => {
+        const webhook = await findAccessibleWebhook(req, req.params.id);
+        const original =
+          webhook && ObjectId.isValid(req.params.deliveryId)
+            ? await webhookDeliveryRepository.findOne({
+                _id: new ObjectId(req.params.deliveryId),
+                webhookId: webhook._id,
+              })
+            : null;
+        if (!original) {
+          throw new NotFoundError("Delivery not found");
         }
-        if (keyCandidates.length) {
-          orConditions.push({ movieKey: { $in: keyCandidates } });
+        if (!webhook.active) {
+          throw new ConflictError("Webhook is paused");
         }
 
-        if (!orConditions.length) {
-          return res.status(400).send({ message: "Invalid movie identifier" });
-        }
+        const delivery = await insertWebhookDelivery(
+          webhook,
+          original.payload,
+          { redelivery: true, redeliveryOf: original._id }
+        );
+        startWebhookWorker();
+        res.status(202).send(delivery);
+      }
+    );
 
-        const result = await watchlistCollection.deleteOne({
-          userEmail: normalizedEmail,
-          $or: orConditions,
-        });
+    // Admin / moderation APIs (moderator or admin)
+    const adminRouter = express.Router();
+    adminRouter.use(requireAuth, requireRole("moderator"));
 
-        if (!result.deletedCount) {
-          return res
-            .status(404)
-            .send({ message: "Movie not found in watchlist" });
-        }
+    adminRouter.get("/users", async (req, res) => {
+      const { role, banned } = req.query;
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(
+        100,
+        Math.max(1, parseInt(req.query.limit, 10) || 20)
+      );
 
-        res.send({ message: "Movie removed from watchlist" });
-      } catch (error) {
-        console.error("Error removing from watchlist:", error);
-        res.status(500).send({
-          message: error.message || "Failed to remove from watchlist",
-        });
+      const query = {};
+      if (role && ROLES.includes(role)) {
+        query.role = role === "user" ? { $in: ["user", null] } : role;
       }
+      if (banned === "true") query.banned = true;
+      else if (banned === "false") query.banned = { $ne: true };
+
+      const [users, total] = await Promise.all([
+        userRepository
+          .find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        userRepository.countDocuments(query),
+      ]);
+
+      res.send({
+        users: users.map((user) => ({
+          ...user,
+          role: user.role || "user",
+          banned: !!user.banned,
+        })),
+        page,
+        limit,
+        total,
+      });
     });
 
-    // Watchlist - status check (protected)
-    app.get("/watchlist/status/:movieId", requireAuth, async (req, res) => {
-      try {
-        const normalizedEmail = (req.userEmail || "").trim().toLowerCase();
-        if (!normalizedEmail) {
-          return res
-            .status(401)
-            .send({ message: "Unauthorized: missing user email" });
-        }
+    async function setUserBanned(req, res, banned) {
+      const targetEmail = decodeURIComponent(req.params.email);
+      const target = await userRepository.findByEmail(targetEmail);
+      if (!target) {
+        throw new NotFoundError("User not found");
+      }
 
-        const { movieId } = req.params;
-        const { numericCandidates, keyCandidates } =
-          buildWatchlistIdentifierCandidates(movieId);
+      if (String(target.email).toLowerCase() === req.userEmail) {
+        throw new BadRequestError("You cannot ban yourself");
+      }
+      if (getRoleRank(target.role) >= getRoleRank(req.userRole)) {
+        throw new ForbiddenError(
+          "Forbidden: cannot moderate a user with an equal or higher role"
+        );
+      }
 
-        const orConditions = [];
-        if (numericCandidates.length) {
-          orConditions.push({ movieId: { $in: numericCandidates } });
-        }
-        if (keyCandidates.length) {
-          orConditions.push({ movieKey: { $in: keyCandidates } });
-        }
+      const update = banned
+        ? {
+            $set: {
+              banned: true,
+              bannedAt: new Date(),
+              bannedBy: req.userEmail,
+              banReason: req.body?.reason || "",
+              updatedAt: new Date(),
+            },
+          }
+        : {
+            $set: { banned: false, updatedAt: new Date() },
+            $unset: { bannedAt: "", bannedBy: "", banReason: "" },
+          };
+
+      await userRepository.updateOne({ _id: target._id }, update);
+      invalidateCatalogCache();
+      res.send({
+        message: banned ? "User banned" : "User unbanned",
+        email: target.email,
+        banned,
+      });
+    }
 
-        if (!orConditions.length) {
-          return res.send({ isWatchlisted: false });
+    adminRouter.post("/users/:email/ban", (req, res) =>
+      setUserBanned(req, res, true)
+    );
+    adminRouter.post("/users/:email/unban", (req, res) =>
+      setUserBanned(req, res, false)
+    );
+
+    // Changing roles is reserved for admins
+    adminRouter.put(
+      "/users/:email/role",
+      requireRole("admin"),
+      async (req, res) => {
+        const { role } = req.body || {};
+        if (!ROLES.includes(role)) {
+          throw new BadRequestError(`Role must be one of: ${ROLES.join(", ")}`);
         }
 
-        const entry = await watchlistCollection.findOne({
-          userEmail: normalizedEmail,
-          $or: orConditions,
-        });
+        const target = await userRepository.findByEmail(
+          decodeURIComponent(req.params.email)
+        );
+        if (!target) {
+          throw new NotFoundError("User not found");
+        }
+        if (String(target.email).toLowerCase() === req.userEmail) {
+          throw new BadRequestError("You cannot change your own role");
+        }
 
-        res.send({ isWatchlisted: !!entry });
-      } catch (error) {
-        console.error("Error checking watchlist status:", error);
-        res.status(500).send({
-          message: error.message || "Failed to check watchlist status",
-        });
+        await userRepository.updateOne(
+          { _id: target._id },
+          { $set: { role, updatedAt: new Date() } }
+        );
+        res.send({ message: "Role updated", email: target.email, role });
       }
-    });
+    );
 
-    // Movie details (public)
-    app.get("/movies/:id", async (req, res) => {
-      try {
-        const idParam = req.params.id;
-        console.log("Fetching movie with ID param:", idParam);
+    // Edit any movie
+    adminRouter.put("/movies/:id", async (req, res) => {
+      const existing = await movieRepository.findByIdentifier(req.params.id);
+      if (!existing) {
+        throw new NotFoundError("Movie not found");
+      }
 
-        const movie = await findMovieByIdentifier(moviesCollection, idParam);
+      checkMovieIfMatch(req, existing);
 
-        if (!movie) {
-          console.log("Movie not found with ID:", idParam);
-          return res.status(404).send({ message: "Movie not found" });
-        }
+      // Ownership changes go through /admin/movies/:id/owner
+      const { value, errors } = validateMovie(req.body, { partial: true });
+      if (errors.length) {
+        throw new ValidationError(errors);
+      }
 
-        const converted = convertMovieToIntegerId(movie);
-        if (!converted || !converted._id) {
-          console.error("Error converting movie:", converted);
-          return res
-            .status(500)
-            .send({ message: "Error processing movie data" });
-        }
+      const { $set, $unset } = buildFieldUpdate(value);
+      const moderatorEmail = req.userEmail;
+      const result = await updateMovieWithRevision(
+        existing,
+        { $set: { ...$set, moderatedBy: moderatorEmail }, $unset },
+        { actor: moderatorEmail, actorRole: req.userRole }
+      );
+      res.set("ETag", getMovieETag(result)).send(result);
+    });
 
-        res.send(converted);
-      } catch (error) {
-        console.error("Error fetching movie:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to fetch movie" });
+    // Delete any movie (soft; the owner cannot restore it)
+    adminRouter.delete("/movies/:id", async (req, res) => {
+      const existing = await movieRepository.findByIdentifier(req.params.id);
+      if (!existing) {
+        throw new NotFoundError("Movie not found");
       }
+      checkMovieIfMatch(req, existing);
+
+      res.send(await softDeleteMovie(existing, req.userEmail));
     });
 
-    // Update (owner only, protected)
-    app.put("/movies/update/:id", requireAuth, async (req, res) => {
-      try {
-        const idParam = req.params.id;
-        const requestorEmail = (req.userEmail || "").toLowerCase();
+    // Run the trash purge now instead of waiting for the hourly job
+    adminRouter.post(
+      "/movies/purge",
+      requireRole("admin"),
+      async (req, res) => {
+        const purged = await purgeDeletedMovies();
+        res.send({ purged, retentionDays: MOVIE_TRASH_RETENTION_DAYS });
+      }
+    );
 
-        const existing = await findMovieByIdentifier(moviesCollection, idParam);
+    // Reassign a movie to another registered user
+    adminRouter.put("/movies/:id/owner", async (req, res) => {
+      const { addedBy } = req.body || {};
+      if (!addedBy) {
+        throw new BadRequestError("addedBy is required");
+      }
 
-        if (!existing) {
-          return res.status(404).send({ message: "Movie not found" });
-        }
+      const newOwner = await userRepository.findByEmail(addedBy);
+      if (!newOwner) {
+        throw new NotFoundError("New owner not found");
+      }
 
-        const ownerEmail = (existing.addedBy || "").toLowerCase();
-        if (ownerEmail !== requestorEmail) {
-          return res.status(403).send({ message: "Forbidden: not the owner" });
+      const existing = await movieRepository.findByIdentifier(req.params.id);
+      if (!existing) {
+        throw new NotFoundError("Movie not found");
+      }
+
+      const normalizedOwner = String(newOwner.email).toLowerCase();
+      const moderatorEmail = req.userEmail;
+      const result = await updateMovieWithRevision(
+        existing,
+        { $set: { addedBy: normalizedOwner, moderatedBy: moderatorEmail } },
+        {
+          action: "owner_change",
+          actor: moderatorEmail,
+          actorRole: req.userRole,
         }
+      );
+      res.send({ ...result, addedBy: normalizedOwner });
+    });
 
-        const payload = { ...req.body };
-        // Never allow changing owner or id
-        delete payload.addedBy;
-        delete payload._id;
-        delete payload.id;
+    // Every user's webhooks (admins only); ?userEmail= narrows the list
+    adminRouter.get("/webhooks", requireRole("admin"), async (req, res) => {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(
+        100,
+        Math.max(1, parseInt(req.query.limit, 10) || 20)
+      );
+      const query = req.query.userEmail
+        ? { userEmail: String(req.query.userEmail).trim().toLowerCase() }
+        : {};
 
-        const updateDoc = {
-          $set: {
-            ...payload,
-            updatedAt: new Date(),
-          },
-        };
+      const [webhooks, total] = await Promise.all([
+        webhookRepository
+          .find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        webhookRepository.countDocuments(query),
+      ]);
+      res.send({ webhooks: webhooks.map(toWebhook), page, limit, total });
+    });
 
-        // Update by id field or _id
-        const query = existing.id ? { id: existing.id } : { _id: existing._id };
-        const result = await moviesCollection.updateOne(query, updateDoc);
-        res.send(result);
-      } catch (error) {
-        console.error("Error updating movie:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to update movie" });
+    // Featured slots; ?status=active|scheduled|expired narrows the list
+    adminRouter.get("/featured", async (req, res) => {
+      const now = new Date();
+      const filters = {
+        active: getActiveFeaturedFilter(now),
+        scheduled: { startsAt: { $gt: now } },
+        expired: { endsAt: { $lte: now } },
+      };
+      const { status } = req.query;
+      if (status && !filters[status]) {
+        throw new BadRequestError(
+          "status must be one of: active, scheduled, expired"
+        );
       }
+
+      const slots = await featuredSlotRepository
+        .find(status ? filters[status] : {})
+        .sort({ position: 1, startsAt: -1 })
+        .toArray();
+      const movies = await movieRepository
+        .withDeleted()
+        .find({ id: { $in: slots.map((slot) => slot.movieId) } })
+        .project({ id: 1, title: 1, posterUrl: 1, deletedAt: 1 })
+        .toArray();
+      const moviesById = new Map(movies.map((movie) => [movie.id, movie]));
+
+      res.send(
+        slots.map((slot) => ({
+          ...slot,
+          movie: moviesById.get(slot.movieId) || null,
+        }))
+      );
     });
 
-    // Delete (owner only, protected)
-    app.delete("/movies/:id", requireAuth, async (req, res) => {
-      try {
-        const idParam = req.params.id;
-        const requestorEmail = (req.userEmail || "").toLowerCase();
+    adminRouter.post("/featured", async (req, res) => {
+      const { movieId } = req.body || {};
+      if (isBlank(movieId)) {
+        throw new ValidationError([
+          { field: "movieId", message: "is required" },
+        ]);
+      }
+      const { value, errors } = validateDocument(
+        FEATURED_SLOT_SCHEMA,
+        req.body
+      );
+      if (errors.length) {
+        throw new ValidationError(errors);
+      }
 
-        const existing = await findMovieByIdentifier(moviesCollection, idParam);
+      const movie = await movieRepository.findByIdentifier(movieId);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      const now = new Date();
+      const slot = {
+        movieId: requireNumericMovieId(movie),
+        position: value.position ?? 0,
+        tagline: value.tagline ?? null,
+        bannerUrl: value.bannerUrl ?? null,
+        startsAt: value.startsAt ?? now,
+        endsAt: value.endsAt ?? null,
+        createdBy: req.userEmail,
+        createdAt: now,
+        updatedAt: now,
+      };
+      if (slot.endsAt && slot.endsAt <= slot.startsAt) {
+        throw new ValidationError([
+          { field: "endsAt", message: "must be after startsAt" },
+        ]);
+      }
 
-        if (!existing) {
-          return res.status(404).send({ message: "Movie not found" });
-        }
+      const result = await featuredSlotRepository.insertOne(slot);
+      invalidateCatalogCache();
+      res.status(201).send({ ...slot, _id: result.insertedId });
+    });
 
-        const ownerEmail = (existing.addedBy || "").toLowerCase();
-        if (ownerEmail !== requestorEmail) {
-          return res.status(403).send({ message: "Forbidden: not the owner" });
-        }
+    adminRouter.patch("/featured/:slotId", async (req, res) => {
+      const slot = ObjectId.isValid(req.params.slotId)
+        ? await featuredSlotRepository.findOne({
+            _id: new ObjectId(req.params.slotId),
+          })
+        : null;
+      if (!slot) {
+        throw new NotFoundError("Featured slot not found");
+      }
 
-        // Delete by id field or _id
-        const query = existing.id ? { id: existing.id } : { _id: existing._id };
-        const result = await moviesCollection.deleteOne(query);
-        res.send(result);
-      } catch (error) {
-        console.error("Error deleting movie:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to delete movie" });
+      const { value, errors } = validateDocument(
+        FEATURED_SLOT_SCHEMA,
+        req.body,
+        { partial: true }
+      );
+      if (errors.length) {
+        throw new ValidationError(errors);
       }
-    });
 
-    // Home page APIs
-    app.get("/home/stats", async (_req, res) => {
-      try {
-        const [totalMovies, totalUsers] = await Promise.all([
-          moviesCollection.estimatedDocumentCount(),
-          usersCollection.estimatedDocumentCount(),
+      // Clearing startsAt makes the slot start now; clearing endsAt makes it open-ended
+      const updated = {
+        ...slot,
+        ...value,
+        startsAt:
+          value.startsAt === null
+            ? new Date()
+            : (value.startsAt ?? slot.startsAt),
+        position:
+          value.position === null ? 0 : (value.position ?? slot.position),
+        updatedAt: new Date(),
+      };
+      if (updated.endsAt && updated.endsAt <= updated.startsAt) {
+        throw new ValidationError([
+          { field: "endsAt", message: "must be after startsAt" },
         ]);
-        res.send({ totalMovies, totalUsers });
-      } catch (error) {
-        console.error("Error fetching stats:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to fetch stats" });
       }
+
+      const { _id, ...fields } = updated;
+      await featuredSlotRepository.updateOne({ _id }, { $set: fields });
+      invalidateCatalogCache();
+      res.send(updated);
     });
 
-    app.get("/home/top-rated", async (_req, res) => {
-      try {
-        const movies = await moviesCollection
-          .find({})
-          .sort({ rating: -1 })
-          .limit(5)
-          .toArray();
-
-        const convertedMovies = movies
-          .map(convertMovieToIntegerId)
-          .filter((m) => m !== null);
-        res.send(convertedMovies);
-      } catch (error) {
-        console.error("Error fetching top rated:", error);
-        res.status(500).send({
-          message: error.message || "Failed to fetch top rated movies",
-        });
+    adminRouter.delete("/featured/:slotId", async (req, res) => {
+      const result = ObjectId.isValid(req.params.slotId)
+        ? await featuredSlotRepository.deleteOne({
+            _id: new ObjectId(req.params.slotId),
+          })
+        : { deletedCount: 0 };
+      if (!result.deletedCount) {
+        throw new NotFoundError("Featured slot not found");
       }
+      invalidateCatalogCache();
+      res.send({ deleted: true });
     });
 
-    app.get("/home/recent", async (_req, res) => {
-      try {
-        const recentMoviesCursor = await moviesCollection
-          .find({})
-          .sort({ createdAt: -1, updatedAt: -1, _id: -1 })
-          .limit(12);
+    app.use("/admin", adminRouter);
 
-        const recentMovies = await recentMoviesCursor.toArray();
+    // Catalog statistics (public, cached)
+    app.get("/stats/genres", cacheResponse, async (req, res) => {
+      const range = parseStatsRange(req.query);
+      res.send({
+        from: range.from,
+        to: range.to,
+        genres: await getGenreStats(range),
+      });
+    });
 
-        const convertedMovies = recentMovies
-          .map((movie) => convertMovieToIntegerId(movie))
-          .filter(Boolean)
-          .slice(0, 6);
+    app.get("/stats/decades", cacheResponse, async (req, res) => {
+      const range = parseStatsRange(req.query);
+      res.send({
+        from: range.from,
+        to: range.to,
+        decades: await getDecadeStats(range),
+      });
+    });
 
-        res.send(convertedMovies);
-      } catch (error) {
-        console.error("Error fetching recent movies:", error);
-        res
-          .status(500)
-          .send({ message: error.message || "Failed to fetch recent movies" });
-      }
+    app.get("/stats/directors", cacheResponse, async (req, res) => {
+      const range = parseStatsRange(req.query);
+      res.send({
+        from: range.from,
+        to: range.to,
+        directors: await getTopDirectors(range, parseStatsLimit(req.query)),
+      });
     });
 
-    app.get("/home/featured", async (_req, res) => {
-      try {
-        const movies = await moviesCollection
-          .find({})
-          .sort({ createdAt: -1 })
-          .limit(5)
-          .toArray();
+    app.get("/stats/cast", cacheResponse, async (req, res) => {
+      const range = parseStatsRange(req.query);
+      res.send({
+        from: range.from,
+        to: range.to,
+        cast: await getTopCastMembers(range, parseStatsLimit(req.query)),
+      });
+    });
 
-        const convertedMovies = movies
-          .map(convertMovieToIntegerId)
-          .filter((m) => m !== null);
-        res.send(convertedMovies);
-      } catch (error) {
-        console.error("Error fetching featured movies:", error);
-        res.status(500).send({
-          message: error.message || "Failed to fetch featured movies",
-        });
+    // Defaults to the last 30 days of watchlist additions
+    app.get("/stats/most-watchlisted", cacheResponse, async (req, res) => {
+      const range = parseStatsRange(req.query, {
+        defaultDays: MOST_WATCHLISTED_DEFAULT_DAYS,
+      });
+      res.send({
+        from: range.from,
+        to: range.to,
+        movies: await getMostWatchlisted(range, parseStatsLimit(req.query)),
+      });
+    });
+
+    // ?interval=day|month|year (default month)
+    app.get("/stats/user-growth", cacheResponse, async (req, res) => {
+      const interval = req.query.interval || "month";
+      if (!USER_GROWTH_FORMATS[interval]) {
+        throw new BadRequestError("interval must be one of: day, month, year");
       }
+      const range = parseStatsRange(req.query);
+      res.send({
+        from: range.from,
+        to: range.to,
+        interval,
+        periods: await getUserGrowth(range, interval),
+      });
     });
 
-    // For local development: start the server with app.listen()
-    if (!process.env.VERCEL) {
+    // Home page APIs
+    app.get("/home/stats", cacheResponse, async (_req, res) => {
+      const [totalMovies, totalUsers] = await Promise.all([
+        movieRepository.estimatedDocumentCount(),
+        userRepository.estimatedDocumentCount(),
+      ]);
+      res.send({ totalMovies, totalUsers });
+    });
+
+    // ?by=community ranks by review average instead of the owner's rating
+    app.get("/home/top-rated", cacheResponse, async (req, res) => {
+      const byCommunity = req.query.by === "community";
+      const movies = await movieRepository
+        .find(byCommunity ? { reviewCount: { $gt: 0 } } : {})
+        .sort(
+          byCommunity
+            ? { communityRating: -1, reviewCount: -1 }
+            : { rating: -1 }
+        )
+        .limit(5)
+        .toArray();
+
+      const convertedMovies = movies
+        .map(convertMovieToIntegerId)
+        .filter((m) => m !== null);
+      res.send(convertedMovies);
+    });
+
+    app.get("/home/recent", cacheResponse, async (_req, res) => {
+      const recentMoviesCursor = await movieRepository
+        .find({})
+        .sort({ createdAt: -1, updatedAt: -1, _id: -1 })
+        .limit(12);
+
+      const recentMovies = await recentMoviesCursor.toArray();
+
+      const convertedMovies = recentMovies
+        .map((movie) => convertMovieToIntegerId(movie))
+        .filter(Boolean)
+        .slice(0, 6);
+
+      res.send(convertedMovies);
+    });
+
+    // Curated slots when any are active, otherwise the daily rotation
+    app.get("/home/featured", cacheResponse, async (_req, res) => {
+      const now = new Date();
+      const curated = await getCuratedFeaturedMovies(now);
+      res.send(curated.length ? curated : await getRotationFeaturedMovies(now));
+    });
+
+    // Must come after every route
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    // Listen only when run directly (npm start / npm run dev); Vercel and the
+    // test suite require() the app and serve it themselves
+    if (require.main === module) {
       app.listen(port, () => {
         console.log(`Server is running on port ${port}`);
       });
-    } else {
+    } else if (process.env.VERCEL) {
       console.log("🚀 Running on Vercel");
     }
   } catch (err) {
     console.error("❌ Failed to start server:", err.message);
 
-    if (err.code === 8000 || err.codeName === "AtlasError") {
-      console.error("\n🔧 MongoDB Atlas Authentication Error Solutions:");
-      console.error(
-        "1. Verify username/password in MongoDB Atlas → Database Access"
-      );
-      console.error("2. Whitelist your IP in MongoDB Atlas → Network Access");
-      console.error("3. Check connection string in .env file");
-      console.error(
-        "4. If password has special characters (@, #, etc.), URL-encode them"
-      );
-      console.error("\n💡 Run: node test-connection.js to diagnose the issue");
-    }
-
-    if (!process.env.VERCEL) {
+    if (require.main === module) {
       process.exit(1);
     }
   }
 }
 
 // Start bootstrap - this will run on both local and Vercel
-// Don't await - routes will be set up, connection happens lazily via middleware
-bootstrap().catch((err) => {
+// Don't await - routes will be set up, connection happens lazily via middleware.
+// Integration tests await app.locals.ready before sending requests.
+app.locals.ready = bootstrap().catch((err) => {
   console.error("Bootstrap error:", err);
   // Don't crash - let middleware handle connection errors
 });
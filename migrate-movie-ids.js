@@ -0,0 +1,310 @@
+// One-time movie id migration.
+//
+// Gives every legacy movie (ObjectId or string _id, no numeric id, or a duplicated
+// numeric id) a real sequential id from the movieId counter, stores it as both _id
+// and id, rewrites every stored reference to it (watchlist entries, reviews, edit
+// history, featured slots and rotations, feed activities and queued webhook
+// payloads), and records the old identifiers in movie_id_aliases so old URLs keep
+// resolving.
+//
+// Usage: npm run migrate:movie-ids [-- --dry-run]
+// Safe to re-run: already-migrated movies are skipped and an interrupted run resumes.
+const { MongoClient, ServerApiVersion } = require("mongodb");
+require("dotenv").config();
+
+function isCanonicalId(id) {
+  return typeof id === "number" && Number.isInteger(id) && id > 0;
+}
+
+// The integer the API used to derive for legacy documents (last 8 hex chars of
+// the ObjectId, or a parsed string id); old watchlist entries and reviews hold it
+function getLegacyIntegerId(movie) {
+  let id = movie.id || movie._id;
+  if (typeof id === "number" && !isNaN(id)) {
+    return Math.max(1, Math.floor(id) || 1);
+  }
+  if (typeof id === "object" && id && id.toString) {
+    id = parseInt(id.toString().slice(-8), 16);
+  } else if (typeof id === "string") {
+    const parsed = parseInt(id, 10);
+    id =
+      !isNaN(parsed) && parsed > 0
+        ? parsed
+        : id.length === 24
+          ? parseInt(id.slice(-8), 16)
+          : 1;
+  } else {
+    id = 1;
+  }
+  return isNaN(id) || id <= 0 ? 1 : id;
+}
+
+// Revisions, featured slots, rotations, activities and webhook payloads stored the
+// id the API showed for the movie: its _id as a string, or its old `id` value
+async function rewriteMovieReferences(database, references, newId) {
+  const matchesReference = { $in: references };
+  await database
+    .collection("movie_revisions")
+    .updateMany({ movieId: matchesReference }, { $set: { movieId: newId } });
+  await database
+    .collection("featured_movies")
+    .updateMany({ movieId: matchesReference }, { $set: { movieId: newId } });
+
+  const rotations = database.collection("featured_rotations");
+  const staleRotations = await rotations
+    .find({ movieIds: matchesReference })
+    .toArray();
+  for (const rotation of staleRotations) {
+    await rotations.updateOne(
+      { _id: rotation._id },
+      {
+        $set: {
+          movieIds: rotation.movieIds.map((id) =>
+            references.includes(id) ? newId : id
+          ),
+        },
+      }
+    );
+  }
+
+  // One activity per actor, type and movie: if the actor already has one under
+  // the new id, the old one is dropped
+  const activities = database.collection("activities");
+  const staleActivities = await activities
+    .find({ movieId: matchesReference })
+    .toArray();
+  for (const activity of staleActivities) {
+    try {
+      await activities.updateOne(
+        { _id: activity._id },
+        { $set: { movieId: newId, "movie.id": newId, "movie._id": newId } }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await activities.deleteOne({ _id: activity._id });
+    }
+  }
+
+  const deliveries = database.collection("webhook_deliveries");
+  await deliveries.updateMany(
+    { eventType: /^movie\./, "payload.data.id": matchesReference },
+    { $set: { "payload.data.id": newId } }
+  );
+  await deliveries.updateMany(
+    { "payload.data.movie.id": matchesReference },
+    {
+      $set: { "payload.data.movie.id": newId, "payload.data.movie._id": newId },
+    }
+  );
+}
+
+function countBy(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return counts;
+}
+
+async function migrate(database, { dryRun = false } = {}) {
+  const movies = database.collection("movies");
+  const counters = database.collection("counters");
+  const aliases = database.collection("movie_id_aliases");
+  const watchlists = database.collection("watchlists");
+  const reviews = database.collection("reviews");
+
+  const all = await movies
+    .find({}, { projection: { _id: 1, id: 1, title: 1, migratedId: 1 } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  // The first movie holding a numeric id keeps it; later holders are reassigned.
+  // A numeric _id without an id field only needs the id filled in.
+  const canonicalIds = new Set();
+  const missingIdField = [];
+  const legacy = [];
+  for (const movie of all) {
+    const ownId =
+      movie.id === undefined && isCanonicalId(movie._id) ? movie._id : movie.id;
+    if (isCanonicalId(ownId) && !canonicalIds.has(ownId)) {
+      canonicalIds.add(ownId);
+      if (ownId !== movie.id) missingIdField.push(movie);
+    } else {
+      legacy.push(movie);
+    }
+  }
+
+  const report = {
+    dryRun,
+    total: all.length,
+    filledIds: missingIdField.map((movie) => movie._id),
+    migrated: [],
+    duplicateIds: legacy
+      .filter((movie) => isCanonicalId(movie.id))
+      .map((movie) => ({ _id: movie._id, id: movie.id })),
+    ambiguousLegacyIds: [],
+  };
+  if (!dryRun) {
+    for (const movie of missingIdField) {
+      await movies.updateOne({ _id: movie._id }, { $set: { id: movie._id } });
+    }
+  }
+
+  // Derived integers shared by several legacy movies (or taken by a real id)
+  // cannot be mapped back, so their references and aliases are left alone
+  const legacyIntegerCounts = countBy(legacy.map(getLegacyIntegerId));
+  const isAmbiguous = (legacyInteger) =>
+    legacyIntegerCounts.get(legacyInteger) > 1 ||
+    canonicalIds.has(legacyInteger);
+  report.ambiguousLegacyIds = [...legacyIntegerCounts.keys()].filter(
+    isAmbiguous
+  );
+
+  // New ids must start above every id already in use
+  const highestId = [...canonicalIds].reduce((max, id) => Math.max(max, id), 0);
+  const counter = await counters.findOne({ _id: "movieId" });
+  let nextId = Math.max(counter?.sequence_value || 0, highestId);
+
+  for (const movie of legacy) {
+    const legacyInteger = getLegacyIntegerId(movie);
+    const newId = movie.migratedId || ++nextId;
+    const candidateKeys = [String(movie._id)];
+    if (movie.id !== undefined && movie.id !== null) {
+      candidateKeys.push(String(movie.id));
+    }
+    if (!isAmbiguous(legacyInteger)) {
+      candidateKeys.push(String(legacyInteger));
+    }
+    // A real id always wins, so it is never aliased or rewritten
+    const legacyKeys = [
+      ...new Set(
+        candidateKeys.filter(
+          (key) => !(/^\d+$/.test(key) && canonicalIds.has(Number(key)))
+        )
+      ),
+    ];
+
+    report.migrated.push({
+      from: movie._id,
+      id: newId,
+      title: movie.title,
+      aliases: legacyKeys,
+    });
+    if (dryRun) {
+      continue;
+    }
+
+    // Remember the assignment first so an interrupted run reuses it
+    if (!movie.migratedId) {
+      await movies.updateOne(
+        { _id: movie._id },
+        { $set: { migratedId: newId } }
+      );
+      await counters.updateOne(
+        { _id: "movieId" },
+        { $max: { sequence_value: newId } },
+        { upsert: true }
+      );
+    }
+
+    const fullMovie = await movies.findOne({ _id: movie._id });
+    const { migratedId, ...fields } = fullMovie;
+    await movies.replaceOne(
+      { _id: newId },
+      { ...fields, _id: newId, id: newId, legacyIds: legacyKeys },
+      { upsert: true }
+    );
+
+    for (const key of legacyKeys) {
+      await aliases.updateOne(
+        { _id: key },
+        { $set: { movieId: newId, createdAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
+    const entryConditions = [{ movieKey: { $in: legacyKeys } }];
+    if (!isAmbiguous(legacyInteger)) {
+      entryConditions.push({ movieId: legacyInteger });
+    }
+    await watchlists.updateMany(
+      { $or: entryConditions },
+      {
+        $set: {
+          movieId: newId,
+          movieKey: String(newId),
+          "movieSnapshot._id": newId,
+          "movieSnapshot.id": newId,
+        },
+      }
+    );
+    if (!isAmbiguous(legacyInteger)) {
+      await reviews.updateMany(
+        { movieId: legacyInteger },
+        { $set: { movieId: newId } }
+      );
+    }
+    await rewriteMovieReferences(
+      database,
+      [
+        ...legacyKeys,
+        ...legacyKeys.filter((key) => /^\d+$/.test(key)).map(Number),
+      ],
+      newId
+    );
+
+    if (String(movie._id) !== String(newId)) {
+      await movies.deleteOne({ _id: movie._id });
+    }
+  }
+
+  if (dryRun) {
+    return report;
+  }
+  await movies.createIndex(
+    { id: 1 },
+    { unique: true, partialFilterExpression: { id: { $type: "number" } } }
+  );
+  return report;
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  if (!process.env.MONGODB_URI) {
+    console.error("Missing MONGODB_URI in environment");
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  try {
+    await client.connect();
+    const report = await migrate(client.db("MovieMaster"), { dryRun });
+    console.log(JSON.stringify(report, null, 2));
+    console.log(
+      `${dryRun ? "Would migrate" : "Migrated"} ${report.migrated.length} of ${report.total} movies`
+    );
+    if (report.ambiguousLegacyIds.length) {
+      console.warn(
+        `⚠️ ${report.ambiguousLegacyIds.length} derived legacy ids were shared by several movies; watchlist entries and reviews using them were not rewritten`
+      );
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Movie id migration failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,120 @@
+// One-time watchlist migration.
+//
+// Watchlist entries from before named lists have no listId. This gives every user
+// who still has such entries a default list ("My Watchlist") and moves the entries
+// into it, newest first, ahead of anything already in the list. The API does the
+// same for a single user the first time their default list is created.
+//
+// Usage: npm run migrate:watchlists [-- --dry-run]
+// Safe to re-run: only entries without a listId are touched.
+const { MongoClient, ServerApiVersion } = require("mongodb");
+require("dotenv").config();
+
+const DEFAULT_WATCHLIST_NAME = "My Watchlist";
+
+async function getDefaultList(database, userEmail) {
+  const lists = database.collection("watchlist_lists");
+  const now = new Date();
+  try {
+    await lists.updateOne(
+      { userEmail, isDefault: true },
+      {
+        $setOnInsert: {
+          userEmail,
+          name: DEFAULT_WATCHLIST_NAME,
+          isDefault: true,
+          createdAt: now,
+          updatedAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The API created it first
+    if (error.code !== 11000) throw error;
+  }
+  return lists.findOne({ userEmail, isDefault: true });
+}
+
+async function migrate(database, { dryRun = false } = {}) {
+  const watchlists = database.collection("watchlists");
+  const owners = await watchlists
+    .aggregate([
+      { $match: { listId: { $exists: false } } },
+      { $group: { _id: "$userEmail", entries: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  const report = {
+    users: owners.length,
+    entries: owners.reduce((total, owner) => total + owner.entries, 0),
+  };
+  if (dryRun) {
+    return report;
+  }
+
+  for (const { _id: userEmail } of owners) {
+    const list = await getDefaultList(database, userEmail);
+    const legacyEntries = await watchlists
+      .find({ userEmail, listId: { $exists: false } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    const [first] = await watchlists
+      .find({ listId: list._id })
+      .sort({ position: 1 })
+      .limit(1)
+      .toArray();
+    const startPosition = first ? first.position - legacyEntries.length : 0;
+
+    await watchlists.bulkWrite(
+      legacyEntries.map((entry, index) => ({
+        updateOne: {
+          filter: { _id: entry._id, listId: { $exists: false } },
+          update: {
+            $set: {
+              listId: list._id,
+              position: startPosition + index,
+              watched: false,
+            },
+          },
+        },
+      }))
+    );
+  }
+  return report;
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  if (!process.env.MONGODB_URI) {
+    console.error("Missing MONGODB_URI in environment");
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  try {
+    await client.connect();
+    const report = await migrate(client.db("MovieMaster"), { dryRun });
+    console.log(
+      `${dryRun ? "Would move" : "Moved"} ${report.entries} watchlist entries for ${report.users} users`
+    );
+  } finally {
+    await client.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Watchlist migration failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrate };
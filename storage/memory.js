@@ -0,0 +1,1336 @@
+const { ObjectId } = require("mongodb");
+const {
+  isPlainObject,
+  getBsonTypeRank,
+  compareValues,
+  valuesEqual,
+} = require("./values");
+
+// In-memory storage - a MongoDB-compatible subset of the collection API, used when
+// STORAGE_DRIVER=memory so the API runs offline (local dev, integration tests)
+
+// Deep-copies plain objects, arrays and dates; ObjectIds are immutable and shared
+function cloneValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, cloneValue(item)])
+    );
+  }
+  return value;
+}
+
+// Stable key for grouping and de-duplicating values
+function toValueKey(value) {
+  if (value === undefined || value === null) return "null";
+  if (value instanceof ObjectId) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return `date:${value.toISOString()}`;
+  if (Array.isArray(value)) return `[${value.map(toValueKey).join(",")}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.entries(value)
+      .map(([key, item]) => `${JSON.stringify(key)}:${toValueKey(item)}`)
+      .join(",")}}`;
+  }
+  return `${typeof value}:${String(value)}`;
+}
+
+// Reads a dotted path without array traversal (updates, sorting, grouping)
+function getPathValue(document, path) {
+  let current = document;
+  for (const segment of path.split(".")) {
+    if (current === undefined || current === null) return undefined;
+    if (Array.isArray(current) && !/^\d+$/.test(segment)) {
+      return current.map((item) =>
+        isPlainObject(item) ? item[segment] : undefined
+      );
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+// Every value a query path can match, descending into arrays like MongoDB does
+function getQueryValues(value, segments) {
+  if (!segments.length) {
+    return [value];
+  }
+  const [segment, ...rest] = segments;
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(segment)) {
+      return getQueryValues(value[Number(segment)], rest);
+    }
+    return value.flatMap((item) =>
+      isPlainObject(item) ? getQueryValues(item, segments) : []
+    );
+  }
+  if (isPlainObject(value)) {
+    return getQueryValues(value[segment], rest);
+  }
+  return [undefined];
+}
+
+function setPathValue(document, path, value) {
+  const segments = path.split(".");
+  let current = document;
+  for (const segment of segments.slice(0, -1)) {
+    if (current[segment] === undefined || current[segment] === null) {
+      current[segment] = {};
+    }
+    current = current[segment];
+  }
+  current[segments[segments.length - 1]] = value;
+}
+
+function unsetPathValue(document, path) {
+  const segments = path.split(".");
+  const parent = getPathValue(document, segments.slice(0, -1).join("."));
+  const target = segments.length > 1 ? parent : document;
+  if (target && typeof target === "object") {
+    delete target[segments[segments.length - 1]];
+  }
+}
+
+function isOperatorObject(value) {
+  const keys = isPlainObject(value) ? Object.keys(value) : [];
+  return keys.length > 0 && keys.every((key) => key.startsWith("$"));
+}
+
+// A stored value matches directly or, for arrays, through any element
+function expandArrayValue(value) {
+  return Array.isArray(value) ? [value, ...value] : [value];
+}
+
+function matchesEquality(value, expected, context) {
+  if (expected instanceof RegExp) {
+    return expandArrayValue(value).some(
+      (item) => typeof item === "string" && expected.test(item)
+    );
+  }
+  return expandArrayValue(value).some((item) =>
+    valuesEqual(item, expected, context.collation)
+  );
+}
+
+const BSON_TYPE_CHECKS = {
+  double: (value) => typeof value === "number",
+  int: (value) => Number.isInteger(value),
+  long: (value) => Number.isInteger(value),
+  number: (value) => typeof value === "number",
+  string: (value) => typeof value === "string",
+  object: isPlainObject,
+  array: Array.isArray,
+  objectId: (value) => value instanceof ObjectId,
+  bool: (value) => typeof value === "boolean",
+  date: (value) => value instanceof Date,
+  null: (value) => value === null,
+};
+
+function matchesOperator(values, operator, operand, condition, context) {
+  const compare = (test) =>
+    values.some((value) =>
+      expandArrayValue(value).some(
+        (item) =>
+          getBsonTypeRank(item) === getBsonTypeRank(operand) &&
+          test(compareValues(item, operand, context.collation))
+      )
+    );
+
+  switch (operator) {
+    case "$eq":
+      return values.some((value) => matchesEquality(value, operand, context));
+    case "$ne":
+      return !values.some((value) => matchesEquality(value, operand, context));
+    case "$gt":
+      return compare((result) => result > 0);
+    case "$gte":
+      return compare((result) => result >= 0);
+    case "$lt":
+      return compare((result) => result < 0);
+    case "$lte":
+      return compare((result) => result <= 0);
+    case "$in":
+      return operand.some((expected) =>
+        values.some((value) => matchesEquality(value, expected, context))
+      );
+    case "$nin":
+      return !operand.some((expected) =>
+        values.some((value) => matchesEquality(value, expected, context))
+      );
+    case "$exists":
+      return values.some((value) => value !== undefined) === Boolean(operand);
+    case "$regex": {
+      const regex =
+        operand instanceof RegExp
+          ? operand
+          : new RegExp(operand, condition.$options || "");
+      return values.some((value) => matchesEquality(value, regex, context));
+    }
+    case "$options":
+      return true;
+    case "$type": {
+      const types = Array.isArray(operand) ? operand : [operand];
+      return values.some((value) =>
+        expandArrayValue(value).some((item) =>
+          types.some((type) => BSON_TYPE_CHECKS[type]?.(item))
+        )
+      );
+    }
+    case "$size":
+      return values.some(
+        (value) => Array.isArray(value) && value.length === operand
+      );
+    case "$all":
+      return operand.every((expected) =>
+        values.some((value) => matchesEquality(value, expected, context))
+      );
+    case "$elemMatch":
+      return values.some(
+        (value) =>
+          Array.isArray(value) &&
+          value.some((item) =>
+            isOperatorObject(operand)
+              ? matchesCondition([item], operand, context)
+              : matchesFilter(item, operand, context)
+          )
+      );
+    case "$not":
+      return !matchesCondition(values, operand, context);
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+}
+
+function matchesCondition(values, condition, context) {
+  if (condition instanceof RegExp) {
+    return values.some((value) => matchesEquality(value, condition, context));
+  }
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) =>
+      matchesOperator(values, operator, operand, condition, context)
+    );
+  }
+  return values.some((value) => matchesEquality(value, condition, context));
+}
+
+function matchesFilter(document, filter = {}, context = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case "$and":
+        return condition.every((part) =>
+          matchesFilter(document, part, context)
+        );
+      case "$or":
+        return condition.some((part) => matchesFilter(document, part, context));
+      case "$nor":
+        return !condition.some((part) =>
+          matchesFilter(document, part, context)
+        );
+      case "$text":
+        if (!context.textScore) {
+          throw new Error("$text is not allowed in this context");
+        }
+        return context.textScore(document, condition) > 0;
+      default:
+        if (key.startsWith("$")) {
+          throw new Error(`Unsupported query operator: ${key}`);
+        }
+        return matchesCondition(
+          getQueryValues(document, key.split(".")),
+          condition,
+          context
+        );
+    }
+  });
+}
+// Same folding as the API's search normalization (accents, case, whitespace)
+function normalizeSearchText(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Common English words a MongoDB text index ignores
+const TEXT_STOP_WORDS = new Set(
+  "a an and are as at be by for from in is it of on or that the to with".split(
+    " "
+  )
+);
+
+// Normalizes like the search helpers and applies a very light plural stemmer
+function tokenizeTextValue(value) {
+  return normalizeSearchText(value)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token && !TEXT_STOP_WORDS.has(token))
+    .map((token) =>
+      token.length > 3 && token.endsWith("s") && !token.endsWith("ss")
+        ? token.slice(0, -1)
+        : token
+    );
+}
+
+function parseTextSearch(search) {
+  const phrases = [];
+  const text = String(search ?? "").replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+    return " ";
+  });
+  const terms = [];
+  const excluded = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const target = word.startsWith("-") ? excluded : terms;
+    target.push(...tokenizeTextValue(word.replace(/^-/, "")));
+  }
+  for (const phrase of phrases) {
+    terms.push(...tokenizeTextValue(phrase));
+  }
+  return { terms: new Set(terms), excluded: new Set(excluded), phrases };
+}
+
+// What MongoDB answers under { serverApi: { strict: true } } for anything outside
+// Stable API v1, so the memory driver fails where a strict MongoDB client would
+function createApiStrictError(feature) {
+  const error = new Error(
+    `Provided apiStrict:true, but ${feature} is not in API Version 1`
+  );
+  error.name = "MongoServerError";
+  error.code = 323;
+  error.codeName = "APIStrictError";
+  return error;
+}
+
+// Mirrors MongoDB's cursor: options can be set by argument or by chaining
+class MemoryCursor {
+  constructor(load, options = {}) {
+    this.load = load;
+    this.options = { ...options };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  collation(collation) {
+    this.options.collation = collation;
+    return this;
+  }
+
+  async toArray() {
+    return this.load(this.options);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const document of await this.toArray()) {
+      yield document;
+    }
+  }
+
+  async close() {}
+}
+
+function sortDocuments(documents, sort, { collation, scores } = {}) {
+  const entries = Object.entries(sort || {});
+  if (!entries.length) {
+    return documents;
+  }
+  return [...documents].sort((a, b) => {
+    for (const [field, direction] of entries) {
+      const result =
+        direction?.$meta === "textScore"
+          ? (scores.get(b) || 0) - (scores.get(a) || 0)
+          : direction *
+            compareValues(
+              getPathValue(a, field),
+              getPathValue(b, field),
+              collation
+            );
+      if (result) return result;
+    }
+    return 0;
+  });
+}
+
+function projectDocument(document, projection, score) {
+  const entries = Object.entries(projection || {});
+  const metaFields = entries.filter(([, value]) => value?.$meta);
+  const fields = entries.filter(([, value]) => !value?.$meta);
+  const inclusive = fields.some(
+    ([field, value]) => field !== "_id" && Boolean(value)
+  );
+
+  let projected;
+  if (inclusive) {
+    projected = {};
+    if (projection._id !== 0 && projection._id !== false) {
+      projected._id = cloneValue(document._id);
+    }
+    for (const [field, value] of fields) {
+      const fieldValue = getPathValue(document, field);
+      if (field !== "_id" && value && fieldValue !== undefined) {
+        setPathValue(projected, field, cloneValue(fieldValue));
+      }
+    }
+  } else {
+    projected = cloneValue(document);
+    for (const [field] of fields) {
+      unsetPathValue(projected, field);
+    }
+  }
+  for (const [field] of metaFields) {
+    projected[field] = score || 0;
+  }
+  return projected;
+}
+
+// Aggregation expressions - "$field" paths, literals and the common operators
+function evaluateExpression(expression, document) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    if (expression === "$$ROOT" || expression === "$$CURRENT") {
+      return document;
+    }
+    return getPathValue(document, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map((item) => evaluateExpression(item, document));
+  }
+  if (!isPlainObject(expression)) {
+    return expression;
+  }
+
+  const keys = Object.keys(expression);
+  if (keys.length !== 1 || !keys[0].startsWith("$")) {
+    return Object.fromEntries(
+      Object.entries(expression).map(([key, value]) => [
+        key,
+        evaluateExpression(value, document),
+      ])
+    );
+  }
+
+  const [operator] = keys;
+  const operand = expression[operator];
+  if (operator === "$literal") {
+    return operand;
+  }
+  const args = Array.isArray(operand)
+    ? operand.map((item) => evaluateExpression(item, document))
+    : [evaluateExpression(operand, document)];
+  const numbers = (list) =>
+    list.flat().filter((value) => typeof value === "number");
+  const isTruthy = (value) =>
+    value !== undefined && value !== null && value !== false && value !== 0;
+
+  switch (operator) {
+    case "$cond": {
+      const [condition, then, otherwise] = Array.isArray(operand)
+        ? operand
+        : [operand.if, operand.then, operand.else];
+      return isTruthy(evaluateExpression(condition, document))
+        ? evaluateExpression(then, document)
+        : evaluateExpression(otherwise, document);
+    }
+    case "$ifNull":
+      return (
+        args.find((value) => value !== undefined && value !== null) ?? null
+      );
+    case "$eq":
+      return valuesEqual(args[0], args[1]);
+    case "$ne":
+      return !valuesEqual(args[0], args[1]);
+    case "$gt":
+      return compareValues(args[0], args[1]) > 0;
+    case "$gte":
+      return compareValues(args[0], args[1]) >= 0;
+    case "$lt":
+      return compareValues(args[0], args[1]) < 0;
+    case "$lte":
+      return compareValues(args[0], args[1]) <= 0;
+    case "$and":
+      return args.every(isTruthy);
+    case "$or":
+      return args.some(isTruthy);
+    case "$not":
+      return !isTruthy(args[0]);
+    case "$in":
+      return (args[1] || []).some((item) => valuesEqual(item, args[0]));
+    case "$add":
+      return args.some((value) => value instanceof Date)
+        ? new Date(args.reduce((sum, value) => sum + Number(value), 0))
+        : numbers(args).reduce((sum, value) => sum + value, 0);
+    case "$subtract":
+      return Number(args[0]) - Number(args[1]);
+    case "$multiply":
+      return numbers(args).reduce((product, value) => product * value, 1);
+    case "$divide":
+      return args[1] ? args[0] / args[1] : null;
+    case "$round": {
+      const factor = 10 ** (args[1] || 0);
+      return typeof args[0] === "number"
+        ? Math.round(args[0] * factor) / factor
+        : null;
+    }
+    case "$floor":
+      return typeof args[0] === "number" ? Math.floor(args[0]) : null;
+    case "$abs":
+      return typeof args[0] === "number" ? Math.abs(args[0]) : null;
+    case "$sum":
+      return numbers(args).reduce((sum, value) => sum + value, 0);
+    case "$avg": {
+      const values = numbers(args);
+      return values.length
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null;
+    }
+    case "$min":
+    case "$max": {
+      const values = args
+        .flat()
+        .filter((value) => value !== undefined && value !== null);
+      if (!values.length) return null;
+      return values.reduce((best, value) =>
+        (operator === "$min" ? -1 : 1) * compareValues(value, best) > 0
+          ? value
+          : best
+      );
+    }
+    case "$size":
+      return Array.isArray(args[0]) ? args[0].length : 0;
+    case "$arrayElemAt": {
+      const [array, index] = args;
+      return Array.isArray(array)
+        ? array[index < 0 ? array.length + index : index]
+        : undefined;
+    }
+    case "$concat":
+      return args.some((value) => value === undefined || value === null)
+        ? null
+        : args.join("");
+    case "$isArray":
+      return Array.isArray(args[0]);
+    case "$split":
+      return typeof args[0] === "string" ? args[0].split(args[1]) : null;
+    case "$trim":
+      return typeof args[0]?.input === "string" ? args[0].input.trim() : null;
+    case "$toLower":
+      return String(args[0] ?? "").toLowerCase();
+    case "$toUpper":
+      return String(args[0] ?? "").toUpperCase();
+    case "$year":
+      return args[0] instanceof Date ? args[0].getUTCFullYear() : null;
+    case "$month":
+      return args[0] instanceof Date ? args[0].getUTCMonth() + 1 : null;
+    case "$dayOfMonth":
+      return args[0] instanceof Date ? args[0].getUTCDate() : null;
+    case "$dateToString": {
+      const date = evaluateExpression(operand.date, document);
+      if (!(date instanceof Date)) return null;
+      const pad = (value) => String(value).padStart(2, "0");
+      return (operand.format || "%Y-%m-%dT%H:%M:%S.%LZ")
+        .replace("%Y", date.getUTCFullYear())
+        .replace("%m", pad(date.getUTCMonth() + 1))
+        .replace("%d", pad(date.getUTCDate()))
+        .replace("%H", pad(date.getUTCHours()))
+        .replace("%M", pad(date.getUTCMinutes()))
+        .replace("%S", pad(date.getUTCSeconds()))
+        .replace("%L", String(date.getUTCMilliseconds()).padStart(3, "0"));
+    }
+    default:
+      throw new Error(`Unsupported aggregation operator: ${operator}`);
+  }
+}
+
+function createAccumulator(operator) {
+  const values = [];
+  return {
+    add(value) {
+      values.push(value);
+    },
+    result() {
+      const present = values.filter(
+        (value) => value !== undefined && value !== null
+      );
+      const numbers = present.filter((value) => typeof value === "number");
+      switch (operator) {
+        case "$sum":
+          return numbers.reduce((sum, value) => sum + value, 0);
+        case "$avg":
+          return numbers.length
+            ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+            : null;
+        case "$min":
+          return present.length
+            ? present.reduce((min, value) =>
+                compareValues(value, min) < 0 ? value : min
+              )
+            : null;
+        case "$max":
+          return present.length
+            ? present.reduce((max, value) =>
+                compareValues(value, max) > 0 ? value : max
+              )
+            : null;
+        case "$first":
+          return values.length ? values[0] : null;
+        case "$last":
+          return values.length ? values[values.length - 1] : null;
+        case "$push":
+          return values;
+        case "$addToSet": {
+          const seen = new Map(
+            values.map((value) => [toValueKey(value), value])
+          );
+          return Array.from(seen.values());
+        }
+        default:
+          throw new Error(`Unsupported accumulator: ${operator}`);
+      }
+    },
+  };
+}
+
+function groupDocuments(documents, spec) {
+  const groups = new Map();
+  for (const document of documents) {
+    const id = evaluateExpression(spec._id ?? null, document);
+    const key = toValueKey(id);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        _id: id ?? null,
+        accumulators: Object.entries(spec)
+          .filter(([field]) => field !== "_id")
+          .map(([field, accumulator]) => {
+            const [operator] = Object.keys(accumulator);
+            return {
+              field,
+              // { $count: {} } is shorthand for { $sum: 1 }
+              expression: operator === "$count" ? 1 : accumulator[operator],
+              accumulator: createAccumulator(
+                operator === "$count" ? "$sum" : operator
+              ),
+            };
+          }),
+      });
+    }
+    for (const { expression, accumulator } of groups.get(key).accumulators) {
+      accumulator.add(evaluateExpression(expression, document));
+    }
+  }
+  return Array.from(groups.values()).map(({ _id, accumulators }) => ({
+    _id,
+    ...Object.fromEntries(
+      accumulators.map(({ field, accumulator }) => [
+        field,
+        accumulator.result(),
+      ])
+    ),
+  }));
+}
+
+// $project stage: flags include/exclude fields, anything else is a computed field
+function applyProjectStage(document, spec, score) {
+  const isFlag = (value) =>
+    value === 0 || value === 1 || typeof value === "boolean";
+  const entries = Object.entries(spec);
+  const inclusive = entries.some(
+    ([field, value]) => field !== "_id" && !(isFlag(value) && !value)
+  );
+  if (!inclusive) {
+    return projectDocument(document, spec);
+  }
+
+  const result = {};
+  if (!("_id" in spec) || spec._id === 1 || spec._id === true) {
+    result._id = cloneValue(document._id);
+  }
+  for (const [field, value] of entries) {
+    if (!isFlag(value)) {
+      setPathValue(
+        result,
+        field,
+        value?.$meta ? score || 0 : evaluateExpression(value, document)
+      );
+    } else if (value && field !== "_id") {
+      const fieldValue = getPathValue(document, field);
+      if (fieldValue !== undefined) {
+        setPathValue(result, field, cloneValue(fieldValue));
+      }
+    }
+  }
+  return result;
+}
+
+function createDuplicateKeyError(collectionName, index, keyValue) {
+  const error = new Error(
+    `E11000 duplicate key error collection: ${collectionName} index: ${index.name} dup key: ${JSON.stringify(keyValue)}`
+  );
+  error.name = "MongoServerError";
+  error.code = 11000;
+  error.keyPattern = index.key;
+  error.keyValue = keyValue;
+  return error;
+}
+
+// Equality fields of a filter seed the document an upsert inserts
+function getUpsertSeed(filter) {
+  const seed = {};
+  for (const [key, condition] of Object.entries(filter || {})) {
+    if (key === "$and") {
+      for (const part of condition) {
+        for (const [field, value] of Object.entries(getUpsertSeed(part))) {
+          setPathValue(seed, field, value);
+        }
+      }
+    } else if (!key.startsWith("$")) {
+      if (!isOperatorObject(condition)) {
+        setPathValue(seed, key, cloneValue(condition));
+      } else if ("$eq" in condition) {
+        setPathValue(seed, key, cloneValue(condition.$eq));
+      }
+    }
+  }
+  return seed;
+}
+
+function applyUpdate(document, update, { isInsert = false } = {}) {
+  if (Array.isArray(update) || !isOperatorObject(update)) {
+    throw new Error("Update document requires atomic operators");
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPathValue(document, path);
+      const items =
+        isPlainObject(value) && "$each" in value ? value.$each : [value];
+      switch (operator) {
+        case "$set":
+          setPathValue(document, path, cloneValue(value));
+          break;
+        case "$setOnInsert":
+          if (isInsert) setPathValue(document, path, cloneValue(value));
+          break;
+        case "$unset":
+          unsetPathValue(document, path);
+          break;
+        case "$inc":
+          setPathValue(document, path, (current || 0) + value);
+          break;
+        case "$mul":
+          setPathValue(document, path, (current || 0) * value);
+          break;
+        case "$min":
+          if (current === undefined || compareValues(value, current) < 0) {
+            setPathValue(document, path, cloneValue(value));
+          }
+          break;
+        case "$max":
+          if (current === undefined || compareValues(value, current) > 0) {
+            setPathValue(document, path, cloneValue(value));
+          }
+          break;
+        case "$currentDate":
+          setPathValue(document, path, new Date());
+          break;
+        case "$push": {
+          const array = Array.isArray(current) ? current : [];
+          array.push(...items.map(cloneValue));
+          if (isPlainObject(value) && typeof value.$slice === "number") {
+            array.splice(
+              0,
+              array.length,
+              ...(value.$slice < 0
+                ? array.slice(value.$slice)
+                : array.slice(0, value.$slice))
+            );
+          }
+          setPathValue(document, path, array);
+          break;
+        }
+        case "$addToSet": {
+          const array = Array.isArray(current) ? current : [];
+          for (const item of items) {
+            if (!array.some((existing) => valuesEqual(existing, item))) {
+              array.push(cloneValue(item));
+            }
+          }
+          setPathValue(document, path, array);
+          break;
+        }
+        case "$pull":
+          if (Array.isArray(current)) {
+            setPathValue(
+              document,
+              path,
+              current.filter((item) =>
+                isPlainObject(value) && isPlainObject(item)
+                  ? !matchesFilter(item, value)
+                  : !matchesCondition([item], value, {})
+              )
+            );
+          }
+          break;
+        default:
+          throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    }
+  }
+  return document;
+}
+
+class MemoryCollection {
+  constructor(name, database) {
+    this.collectionName = name;
+    this.database = database;
+    this.documents = [];
+    this.indexes = [{ name: "_id_", key: { _id: 1 }, unique: true }];
+  }
+
+  getTextIndex() {
+    return this.indexes.find((index) => index.weights);
+  }
+
+  assertInStableApi(feature) {
+    if (this.database.serverApi?.strict) {
+      throw createApiStrictError(feature);
+    }
+  }
+
+  // Scores like a text index: weighted term hits per field; 0 means no match
+  scoreText(document, { $search }) {
+    this.assertInStableApi("the $text operator");
+    const index = this.getTextIndex();
+    if (!index) {
+      const error = new Error("text index required for $text query");
+      error.name = "MongoServerError";
+      error.code = 27;
+      throw error;
+    }
+
+    const { terms, excluded, phrases } = parseTextSearch($search);
+    let score = 0;
+    let indexedText = "";
+    for (const [field, weight] of Object.entries(index.weights)) {
+      const value = getPathValue(document, field);
+      const text = Array.isArray(value) ? value.join(" ") : value;
+      const tokens = tokenizeTextValue(text);
+      indexedText += ` ${String(text ?? "").toLowerCase()}`;
+      if (tokens.some((token) => excluded.has(token))) {
+        return 0;
+      }
+      const hits = tokens.filter((token) => terms.has(token)).length;
+      if (hits) {
+        score += weight * (1 + hits / tokens.length);
+      }
+    }
+    if (phrases.some((phrase) => !indexedText.includes(phrase))) {
+      return 0;
+    }
+    return score;
+  }
+
+  // Runs a filter and returns the matching documents plus their text scores
+  match(filter = {}, options = {}, documents = this.documents) {
+    const scores = new Map();
+    const context = {
+      collation: options.collation,
+      textScore: (document, search) => {
+        if (!scores.has(document)) {
+          scores.set(document, this.scoreText(document, search));
+        }
+        return scores.get(document);
+      },
+    };
+    return {
+      documents: documents.filter((document) =>
+        matchesFilter(document, filter, context)
+      ),
+      scores,
+    };
+  }
+
+  query(filter, options) {
+    const { documents, scores } = this.match(filter, options);
+    let results = sortDocuments(documents, options.sort, {
+      collation: options.collation,
+      scores,
+    });
+    if (options.skip) {
+      results = results.slice(options.skip);
+    }
+    if (options.limit) {
+      results = results.slice(0, Math.abs(options.limit));
+    }
+    return results.map((document) =>
+      projectDocument(document, options.projection, scores.get(document))
+    );
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(
+      (cursorOptions) => this.query(filter, cursorOptions),
+      options
+    );
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [document] = this.query(filter, { ...options, limit: 1 });
+    return document ?? null;
+  }
+
+  async countDocuments(filter = {}, options = {}) {
+    return this.match(filter, options).documents.length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.documents.length;
+  }
+
+  async distinct(field, filter = {}, options = {}) {
+    this.assertInStableApi("the command distinct");
+    const values = new Map();
+    for (const document of this.match(filter, options).documents) {
+      for (const value of getQueryValues(document, field.split("."))) {
+        for (const item of Array.isArray(value) ? value : [value]) {
+          if (item !== undefined) values.set(toValueKey(item), item);
+        }
+      }
+    }
+    return Array.from(values.values()).map(cloneValue);
+  }
+
+  // Throws the same E11000 error MongoDB raises when a unique index is violated
+  checkUniqueIndex(index, candidate, documents) {
+    const covers = (document) =>
+      !index.partialFilterExpression ||
+      matchesFilter(document, index.partialFilterExpression);
+    if (!covers(candidate)) {
+      return;
+    }
+    const fields = Object.keys(index.key);
+    const conflict = documents.some(
+      (document) =>
+        covers(document) &&
+        fields.every((field) =>
+          valuesEqual(
+            getPathValue(document, field),
+            getPathValue(candidate, field),
+            index.collation
+          )
+        )
+    );
+    if (conflict) {
+      throw createDuplicateKeyError(
+        this.collectionName,
+        index,
+        Object.fromEntries(
+          fields.map((field) => [field, getPathValue(candidate, field)])
+        )
+      );
+    }
+  }
+
+  checkUniqueIndexes(candidate, replacing) {
+    const others = this.documents.filter((document) => document !== replacing);
+    for (const index of this.indexes.filter((item) => item.unique)) {
+      this.checkUniqueIndex(index, candidate, others);
+    }
+  }
+
+  insertDocument(document) {
+    if (document._id === undefined) {
+      document._id = new ObjectId();
+    }
+    const stored = cloneValue(document);
+    this.checkUniqueIndexes(stored);
+    this.documents.push(stored);
+    return document._id;
+  }
+
+  async insertOne(document) {
+    const insertedId = this.insertDocument(document);
+    return { acknowledged: true, insertedId };
+  }
+
+  async insertMany(documents, { ordered = true } = {}) {
+    const insertedIds = {};
+    const writeErrors = [];
+    for (const [index, document] of documents.entries()) {
+      try {
+        insertedIds[index] = this.insertDocument(document);
+      } catch (error) {
+        writeErrors.push({ index, code: error.code, errmsg: error.message });
+        if (ordered) break;
+      }
+    }
+    if (writeErrors.length) {
+      const error = new Error(writeErrors[0].errmsg);
+      error.name = "MongoBulkWriteError";
+      error.code = writeErrors[0].code;
+      error.writeErrors = writeErrors;
+      error.insertedIds = insertedIds;
+      throw error;
+    }
+    return {
+      acknowledged: true,
+      insertedCount: documents.length,
+      insertedIds,
+    };
+  }
+
+  // Applies an update to the given stored documents, or upserts when none matched
+  updateDocuments(targets, filter, update, options = {}) {
+    let modifiedCount = 0;
+    for (const document of targets) {
+      const updated = applyUpdate(cloneValue(document), update);
+      if (toValueKey(updated) === toValueKey(document)) {
+        continue;
+      }
+      this.checkUniqueIndexes(updated, document);
+      this.documents[this.documents.indexOf(document)] = updated;
+      targets[targets.indexOf(document)] = updated;
+      modifiedCount++;
+    }
+
+    if (!targets.length && options.upsert) {
+      const inserted = applyUpdate(getUpsertSeed(filter), update, {
+        isInsert: true,
+      });
+      const upsertedId = this.insertDocument(inserted);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId,
+        upserted: this.documents[this.documents.length - 1],
+      };
+    }
+
+    return {
+      acknowledged: true,
+      matchedCount: targets.length,
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [target] = sortDocuments(
+      this.match(filter, options).documents,
+      options.sort
+    );
+    const { upserted, ...result } = this.updateDocuments(
+      target ? [target] : [],
+      filter,
+      update,
+      options
+    );
+    return result;
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const { upserted, ...result } = this.updateDocuments(
+      this.match(filter, options).documents,
+      filter,
+      update,
+      options
+    );
+    return result;
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const [target] = this.match(filter, options).documents;
+    if (!target) {
+      const upsertedId = options.upsert
+        ? this.insertDocument({
+            ...getUpsertSeed(filter),
+            ...cloneValue(replacement),
+          })
+        : null;
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: upsertedId === null ? 0 : 1,
+        upsertedId,
+      };
+    }
+
+    const replaced = { ...cloneValue(replacement), _id: target._id };
+    this.checkUniqueIndexes(replaced, target);
+    this.documents[this.documents.indexOf(target)] = replaced;
+    return {
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: 1,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [target] = sortDocuments(
+      this.match(filter, options).documents,
+      options.sort
+    );
+    const before = target ? cloneValue(target) : null;
+    const targets = target ? [target] : [];
+    const { upserted } = this.updateDocuments(targets, filter, update, options);
+
+    const document =
+      options.returnDocument === "after" ? (targets[0] ?? upserted) : before;
+    return document ? projectDocument(document, options.projection) : null;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [target] = sortDocuments(
+      this.match(filter, options).documents,
+      options.sort
+    );
+    if (!target) return null;
+    this.documents.splice(this.documents.indexOf(target), 1);
+    return projectDocument(target, options.projection);
+  }
+
+  async deleteOne(filter, options = {}) {
+    const [target] = this.match(filter, options).documents;
+    if (target) {
+      this.documents.splice(this.documents.indexOf(target), 1);
+    }
+    return { acknowledged: true, deletedCount: target ? 1 : 0 };
+  }
+
+  async deleteMany(filter, options = {}) {
+    const targets = new Set(this.match(filter, options).documents);
+    this.documents = this.documents.filter(
+      (document) => !targets.has(document)
+    );
+    return { acknowledged: true, deletedCount: targets.size };
+  }
+
+  async bulkWrite(operations, { ordered = true } = {}) {
+    const result = {
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+    };
+    const errors = [];
+    for (const operation of operations) {
+      const [type] = Object.keys(operation);
+      const { filter, update, document, upsert } = operation[type];
+      try {
+        if (type === "insertOne") {
+          await this.insertOne(document);
+          result.insertedCount++;
+        } else if (type === "updateOne" || type === "updateMany") {
+          const outcome = await this[type](filter, update, { upsert });
+          result.matchedCount += outcome.matchedCount;
+          result.modifiedCount += outcome.modifiedCount;
+          result.upsertedCount += outcome.upsertedCount;
+        } else if (type === "deleteOne" || type === "deleteMany") {
+          result.deletedCount += (await this[type](filter)).deletedCount;
+        } else {
+          throw new Error(`Unsupported bulk operation: ${type}`);
+        }
+      } catch (error) {
+        if (ordered) throw error;
+        errors.push(error);
+      }
+    }
+    if (errors.length) {
+      throw errors[0];
+    }
+    return result;
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() => this.runPipeline(pipeline));
+  }
+
+  runPipeline(pipeline) {
+    let documents = this.documents;
+    let scores = new Map();
+    for (const stage of pipeline) {
+      const [name] = Object.keys(stage);
+      const spec = stage[name];
+      switch (name) {
+        case "$match":
+          ({ documents, scores } = this.match(spec, {}, documents));
+          break;
+        case "$sort":
+          documents = sortDocuments(documents, spec, { scores });
+          break;
+        case "$skip":
+          documents = documents.slice(spec);
+          break;
+        case "$limit":
+          documents = documents.slice(0, spec);
+          break;
+        case "$sample":
+          documents = [...documents]
+            .sort(() => Math.random() - 0.5)
+            .slice(0, spec.size);
+          break;
+        case "$group":
+          documents = groupDocuments(documents, spec);
+          break;
+        case "$count":
+          documents = [{ [spec]: documents.length }];
+          break;
+        case "$unwind": {
+          const { path, preserveNullAndEmptyArrays } =
+            typeof spec === "string" ? { path: spec } : spec;
+          const field = path.slice(1);
+          documents = documents.flatMap((document) => {
+            const value = getPathValue(document, field);
+            if (Array.isArray(value) && value.length) {
+              return value.map((item) => {
+                const copy = cloneValue(document);
+                setPathValue(copy, field, item);
+                return copy;
+              });
+            }
+            if (preserveNullAndEmptyArrays) return [document];
+            return value === undefined || value === null || Array.isArray(value)
+              ? []
+              : [document];
+          });
+          break;
+        }
+        case "$project":
+          documents = documents.map((document) =>
+            applyProjectStage(document, spec, scores.get(document))
+          );
+          break;
+        case "$addFields":
+        case "$set":
+          documents = documents.map((document) => {
+            const result = cloneValue(document);
+            for (const [field, expression] of Object.entries(spec)) {
+              setPathValue(
+                result,
+                field,
+                expression?.$meta
+                  ? scores.get(document) || 0
+                  : evaluateExpression(expression, document)
+              );
+            }
+            return result;
+          });
+          break;
+        case "$lookup": {
+          const foreign = this.database.collection(spec.from);
+          documents = documents.map((document) => ({
+            ...document,
+            [spec.as]: foreign.documents
+              .filter((item) =>
+                matchesEquality(
+                  getPathValue(item, spec.foreignField),
+                  getPathValue(document, spec.localField),
+                  {}
+                )
+              )
+              .map(cloneValue),
+          }));
+          break;
+        }
+        default:
+          throw new Error(`Unsupported aggregation stage: ${name}`);
+      }
+    }
+    return documents.map(cloneValue);
+  }
+
+  async createIndex(key, options = {}) {
+    const name =
+      options.name ||
+      Object.entries(key)
+        .map(([field, direction]) => `${field}_${direction}`)
+        .join("_");
+    const textFields = Object.keys(key).filter(
+      (field) => key[field] === "text"
+    );
+    if (textFields.length) {
+      this.assertInStableApi("a text index");
+    }
+    const index = {
+      name,
+      key,
+      unique: Boolean(options.unique),
+      partialFilterExpression: options.partialFilterExpression,
+      collation: options.collation,
+      weights: textFields.length
+        ? Object.fromEntries(
+            textFields.map((field) => [field, options.weights?.[field] || 1])
+          )
+        : null,
+    };
+    if (index.unique) {
+      // Existing duplicates make MongoDB refuse the index too
+      this.documents.forEach((document, position) =>
+        this.checkUniqueIndex(
+          index,
+          document,
+          this.documents.slice(0, position)
+        )
+      );
+    }
+    this.indexes = this.indexes.filter((item) => item.name !== name);
+    this.indexes.push(index);
+    return name;
+  }
+
+  async dropIndex(name) {
+    const before = this.indexes.length;
+    this.indexes = this.indexes.filter((index) => index.name !== name);
+    if (this.indexes.length === before) {
+      const error = new Error(`index not found with name [${name}]`);
+      error.name = "MongoServerError";
+      error.codeName = "IndexNotFound";
+      throw error;
+    }
+    return { ok: 1 };
+  }
+}
+
+// Takes the MongoClient's serverApi option, e.g. { version: "1", strict: true }
+class MemoryDatabase {
+  constructor({ serverApi = null } = {}) {
+    this.serverApi = serverApi;
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name, this));
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = { MemoryDatabase };
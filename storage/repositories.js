@@ -0,0 +1,277 @@
+const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+const { MemoryDatabase } = require("./memory");
+
+// Repositories - the only way routes reach storage. They expose the collection
+// operations routes use plus domain lookups, whichever backend sits underneath.
+const REPOSITORY_METHODS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "estimatedDocumentCount",
+  "distinct",
+  "aggregate",
+  "insertOne",
+  "insertMany",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "deleteOne",
+  "deleteMany",
+  "bulkWrite",
+  "createIndex",
+  "dropIndex",
+];
+
+class Repository {
+  constructor(collection) {
+    this.collection = collection;
+  }
+}
+
+for (const method of REPOSITORY_METHODS) {
+  Repository.prototype[method] = function (...args) {
+    return this.collection[method](...args);
+  };
+}
+
+// Reads skip soft-deleted movies unless the filter mentions deletedAt itself;
+// withDeleted() gives the unscoped view (trash, restore, purge, id allocation)
+class MovieRepository extends Repository {
+  constructor(collection, aliasCollection, { includeDeleted = false } = {}) {
+    super(collection);
+    this.aliasCollection = aliasCollection;
+    this.includeDeleted = includeDeleted;
+  }
+
+  withDeleted() {
+    return new MovieRepository(this.collection, this.aliasCollection, {
+      includeDeleted: true,
+    });
+  }
+
+  scope(filter = {}) {
+    return this.includeDeleted || "deletedAt" in filter
+      ? filter
+      : { ...filter, deletedAt: null };
+  }
+
+  find(filter, options) {
+    return super.find(this.scope(filter), options);
+  }
+
+  findOne(filter, options) {
+    return super.findOne(this.scope(filter), options);
+  }
+
+  countDocuments(filter, options) {
+    return super.countDocuments(this.scope(filter), options);
+  }
+
+  distinct(field, filter, options) {
+    return super.distinct(field, this.scope(filter), options);
+  }
+
+  estimatedDocumentCount(options) {
+    return this.includeDeleted
+      ? super.estimatedDocumentCount(options)
+      : this.countDocuments({}, options);
+  }
+
+  aggregate(pipeline = [], options) {
+    if (this.includeDeleted) {
+      return super.aggregate(pipeline, options);
+    }
+    // Merged into a leading $match so a $text stage stays first
+    const [first, ...rest] = pipeline;
+    return super.aggregate(
+      first?.$match
+        ? [{ $match: this.scope(first.$match) }, ...rest]
+        : [{ $match: this.scope() }, ...pipeline],
+      options
+    );
+  }
+
+  // Numeric ids hit the unique { id } index; anything else (old ObjectId or
+  // derived ids from before the id migration) goes through the alias table.
+  // Movies the migration has not reached yet are found by their own _id.
+  async findByIdentifier(idParam) {
+    const identifier = String(idParam ?? "").trim();
+    if (!identifier) {
+      return null;
+    }
+
+    const isNumeric = /^\d+$/.test(identifier);
+    if (isNumeric) {
+      const movie = await this.findOne({ id: Number(identifier) });
+      if (movie) {
+        return movie;
+      }
+    }
+
+    const movieId = await this.resolveAlias(identifier);
+    if (movieId) {
+      return this.findOne({ id: movieId });
+    }
+
+    const legacyIds = [identifier];
+    if (isNumeric) legacyIds.push(Number(identifier));
+    if (/^[a-f\d]{24}$/i.test(identifier)) {
+      legacyIds.push(new ObjectId(identifier));
+    }
+    const legacy = await this.findOne({ _id: { $in: legacyIds } });
+    return legacy && typeof legacy.id !== "number" ? legacy : null;
+  }
+
+  // Canonical id recorded for a legacy identifier, or null
+  async resolveAlias(identifier) {
+    const alias = await this.aliasCollection.findOne({ _id: identifier });
+    return alias ? alias.movieId : null;
+  }
+}
+
+class UserRepository extends Repository {
+  // Case-insensitive lookup; stored emails keep whatever casing the client sent
+  async findByEmail(email) {
+    const normalizedEmail = String(email || "").trim();
+    if (!normalizedEmail) {
+      return null;
+    }
+    return this.findOne(
+      { email: normalizedEmail },
+      { collation: { locale: "en", strength: 2 } }
+    );
+  }
+}
+
+class WatchlistRepository extends Repository {
+  // A list's entries in display order
+  findListEntries(listId, filter = {}) {
+    return this.find({ listId, ...filter })
+      .sort({ position: 1, createdAt: -1 })
+      .toArray();
+  }
+}
+
+class CounterRepository extends Repository {
+  // Atomically adds `by` to a sequence and returns the new value
+  async increment(name, by = 1) {
+    const result = await this.findOneAndUpdate(
+      { _id: name },
+      { $inc: { sequence_value: by } },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    // Newer drivers return the document itself rather than { value }
+    const doc = result?.value ?? result;
+    if (doc && typeof doc.sequence_value === "number") {
+      return doc.sequence_value;
+    }
+
+    // If value is missing (older driver versions), fetch directly
+    const counterDoc = await this.findOne({ _id: name });
+    return typeof counterDoc?.sequence_value === "number"
+      ? counterDoc.sequence_value
+      : null;
+  }
+
+  async set(name, value) {
+    await this.updateOne(
+      { _id: name },
+      { $set: { sequence_value: value } },
+      { upsert: true }
+    );
+  }
+}
+
+function createRepositories(db) {
+  return {
+    movies: new MovieRepository(
+      db.collection("movies"),
+      db.collection("movie_id_aliases")
+    ),
+    users: new UserRepository(db.collection("users")),
+    watchlists: new WatchlistRepository(db.collection("watchlists")),
+    counters: new CounterRepository(db.collection("counters")),
+    reviews: new Repository(db.collection("reviews")),
+    watchlistLists: new Repository(db.collection("watchlist_lists")),
+    shareLinks: new Repository(db.collection("share_links")),
+    movieRevisions: new Repository(db.collection("movie_revisions")),
+    rateLimits: new Repository(db.collection("rate_limits")),
+    featuredSlots: new Repository(db.collection("featured_movies")),
+    featuredRotations: new Repository(db.collection("featured_rotations")),
+    exportJobs: new Repository(db.collection("export_jobs")),
+    exportChunks: new Repository(db.collection("export_chunks")),
+    follows: new Repository(db.collection("follows")),
+    activities: new Repository(db.collection("activities")),
+    webhooks: new Repository(db.collection("webhooks")),
+    webhookDeliveries: new Repository(db.collection("webhook_deliveries")),
+  };
+}
+
+// Stable API v1 without strict mode: search needs $text and a text index, which
+// strict mode rejects. The memory driver enforces the same setting, so turning
+// strict mode on fails the search tests just as it fails search on a real cluster.
+const SERVER_API = { version: ServerApiVersion.v1, deprecationErrors: true };
+
+// Storage backends share one shape: connect() resolves to the repositories
+function createMongoStorage(uri) {
+  const client = new MongoClient(uri, { serverApi: SERVER_API });
+  let database = null;
+  let repositories = null;
+
+  return {
+    name: "MongoDB",
+    async connect() {
+      if (!repositories) {
+        await client.connect();
+        database = client.db("MovieMaster");
+        repositories = createRepositories(database);
+      }
+      return repositories;
+    },
+    // "moderate" leaves already-invalid legacy documents editable
+    async setValidator(collectionName, validator) {
+      try {
+        await database.command({
+          collMod: collectionName,
+          validator,
+          validationLevel: "moderate",
+        });
+      } catch (error) {
+        if (error?.codeName !== "NamespaceNotFound") {
+          throw error;
+        }
+        await database.createCollection(collectionName, {
+          validator,
+          validationLevel: "moderate",
+        });
+      }
+    },
+    // Change streams need a replica set; errors surface on the returned stream
+    watch(collectionName, pipeline, options) {
+      return database.collection(collectionName).watch(pipeline, options);
+    },
+  };
+}
+
+function createMemoryStorage() {
+  const repositories = createRepositories(
+    new MemoryDatabase({ serverApi: SERVER_API })
+  );
+  return {
+    name: "in-memory storage",
+    async connect() {
+      return repositories;
+    },
+    // Writes are already checked by validateDocument before they reach storage
+    async setValidator() {},
+  };
+}
+
+module.exports = {
+  createRepositories,
+  createMongoStorage,
+  createMemoryStorage,
+};
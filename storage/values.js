@@ -0,0 +1,87 @@
+const { ObjectId } = require("mongodb");
+
+// BSON value helpers shared by the storage drivers and the API (change detection)
+function isPlainObject(value) {
+  if (!value || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// BSON comparison order: null < numbers < strings < objects < arrays < ObjectId < booleans < dates
+function getBsonTypeRank(value) {
+  if (value === undefined || value === null) return 1;
+  if (typeof value === "number") return 2;
+  if (typeof value === "string") return 3;
+  if (isPlainObject(value)) return 4;
+  if (Array.isArray(value)) return 5;
+  if (value instanceof ObjectId) return 7;
+  if (typeof value === "boolean") return 8;
+  if (value instanceof Date) return 9;
+  return 6;
+}
+
+function compareValues(a, b, collation) {
+  const rankA = getBsonTypeRank(a);
+  const rankB = getBsonTypeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+
+  switch (rankA) {
+    case 1:
+      return 0;
+    case 2:
+      return a - b;
+    case 3:
+      if (collation) {
+        return a.localeCompare(b, collation.locale || "en", {
+          sensitivity:
+            collation.strength === 1
+              ? "base"
+              : collation.strength === 2
+                ? "accent"
+                : "variant",
+        });
+      }
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 4: {
+      const entriesA = Object.entries(a);
+      const entriesB = Object.entries(b);
+      for (let i = 0; i < Math.min(entriesA.length, entriesB.length); i++) {
+        const result =
+          compareValues(entriesA[i][0], entriesB[i][0]) ||
+          compareValues(entriesA[i][1], entriesB[i][1], collation);
+        if (result) return result;
+      }
+      return entriesA.length - entriesB.length;
+    }
+    case 5:
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i], collation);
+        if (result) return result;
+      }
+      return a.length - b.length;
+    case 7:
+      return compareValues(a.toHexString(), b.toHexString());
+    case 8:
+      return Number(a) - Number(b);
+    case 9:
+      return a.getTime() - b.getTime();
+    default:
+      return compareValues(String(a), String(b));
+  }
+}
+
+function valuesEqual(a, b, collation) {
+  return (
+    getBsonTypeRank(a) === getBsonTypeRank(b) &&
+    compareValues(a, b, collation) === 0
+  );
+}
+
+module.exports = {
+  isPlainObject,
+  getBsonTypeRank,
+  compareValues,
+  valuesEqual,
+};
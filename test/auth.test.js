@@ -0,0 +1,201 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+// A throwaway key pair stands in for Google's Firebase signing keys
+const firebaseKeys = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const firebaseKeysPath = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "moviemaster-")),
+  "firebase-keys.json"
+);
+fs.writeFileSync(
+  firebaseKeysPath,
+  JSON.stringify({
+    "test-key": firebaseKeys.publicKey.export({ type: "spki", format: "pem" }),
+  })
+);
+process.env.FIREBASE_PROJECT_ID = "moviemaster-test";
+process.env.FIREBASE_PUBLIC_KEYS_PATH = firebaseKeysPath;
+process.env.AUTH_LEGACY_HEADER = "true";
+const { startServer, createAccessToken, movie } = require("./helpers");
+
+function createFirebaseIdToken(email, claims = { email_verified: true }) {
+  return jwt.sign(
+    { email, user_id: "firebase-uid", ...claims },
+    firebaseKeys.privateKey,
+    {
+      algorithm: "RS256",
+      keyid: "test-key",
+      audience: "moviemaster-test",
+      issuer: "https://securetoken.google.com/moviemaster-test",
+      subject: "firebase-uid",
+      expiresIn: "1h",
+    }
+  );
+}
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("protected routes reject requests without a token", async () => {
+  const res = await api.request("GET", "/users/me");
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, "missing_token");
+  assert.equal(res.body.error.requestId, res.headers.get("x-request-id"));
+});
+
+test("expired and forged tokens are rejected", async () => {
+  const expired = createAccessToken("old@example.com", { expiresIn: -10 });
+  const res = await api.request("GET", "/users/me", { token: expired });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, "token_expired");
+
+  const forged = await api.request("GET", "/users/me", { token: "a.b.c" });
+  assert.equal(forged.status, 401);
+});
+
+test("sign-up requires a token for the email being registered", async () => {
+  const anonymous = await api.request("POST", "/users/create-or-update", {
+    body: { email: "victim@example.com", displayName: "Mallory" },
+  });
+  assert.equal(anonymous.status, 401);
+
+  const other = await api.request("POST", "/users/create-or-update", {
+    token: createAccessToken("mallory@example.com"),
+    body: { email: "victim@example.com", displayName: "Mallory" },
+  });
+  assert.equal(other.status, 403);
+  assert.equal(other.body.error.code, "email_mismatch");
+  const { users } = await api.repositories();
+  assert.equal(await users.findByEmail("victim@example.com"), null);
+});
+
+test("a Firebase ID token in the body registers the user", async () => {
+  const idToken = createFirebaseIdToken("new@example.com");
+  const res = await api.request("POST", "/users/create-or-update", {
+    body: { idToken, email: "New@Example.com", uid: "spoofed" },
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.user.uid, "firebase-uid");
+
+  const mismatch = await api.request("POST", "/users/create-or-update", {
+    body: { idToken, email: "someone@example.com" },
+  });
+  assert.equal(mismatch.status, 403);
+
+  const tokens = await api.request("POST", "/auth/token", {
+    body: { idToken },
+  });
+  assert.equal(tokens.status, 200);
+});
+
+test("unverified Firebase emails cannot sign up or claim the admin role", async () => {
+  const idToken = createFirebaseIdToken("admin@example.com", {
+    email_verified: false,
+  });
+  for (const request of [
+    { body: { idToken, email: "admin@example.com" } },
+    { token: idToken, body: { email: "admin@example.com" } },
+  ]) {
+    const res = await api.request("POST", "/users/create-or-update", request);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.code, "email_not_verified");
+  }
+  const { users } = await api.repositories();
+  assert.equal(await users.findByEmail("admin@example.com"), null);
+});
+
+test("refresh tokens are refused for unregistered users", async () => {
+  const refreshToken = createAccessToken("nobody@example.com", {}, "refresh");
+  const res = await api.request("POST", "/auth/refresh", {
+    body: { refreshToken },
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error.code, "user_not_registered");
+});
+
+test("refresh tokens are exchanged for a new token pair", async () => {
+  await api.signIn("refresh@example.com");
+  const res = await api.request("POST", "/auth/refresh", {
+    body: {
+      refreshToken: createAccessToken("refresh@example.com", {}, "refresh"),
+    },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tokenType, "Bearer");
+  const me = await api.request("GET", "/users/me", {
+    token: res.body.accessToken,
+  });
+  assert.equal(me.body.email, "refresh@example.com");
+
+  // An access token is not accepted where a refresh token is expected
+  const wrongType = await api.request("POST", "/auth/refresh", {
+    body: { refreshToken: res.body.accessToken },
+  });
+  assert.equal(wrongType.status, 401);
+});
+
+test("admin routes need the admin role", async () => {
+  const user = await api.signIn("plain@example.com");
+  const denied = await api.request("GET", "/admin/users", { token: user });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.error.code, "insufficient_role");
+
+  const admin = await api.signIn("admin@example.com");
+  const listed = await api.request("GET", "/admin/users", { token: admin });
+  assert.equal(listed.status, 200);
+});
+
+test("banned users are rejected by protected routes", async () => {
+  const admin = await api.signIn("admin@example.com");
+  const token = await api.signIn("banned@example.com");
+  const ban = await api.request("POST", "/admin/users/banned@example.com/ban", {
+    token: admin,
+  });
+  assert.equal(ban.status, 200);
+
+  const res = await api.request("GET", "/users/me", { token });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error.code, "account_banned");
+});
+
+test("legacy header emails are normalized like bearer emails", async () => {
+  const token = await api.signIn("legacy@example.com");
+  const added = await api.request("POST", "/movies/add", {
+    token,
+    body: movie("Legacy Owned"),
+  });
+
+  const headers = { "x-user-email": "Legacy@Example.COM" };
+  const me = await api.request("GET", "/users/me", { headers });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.email, "legacy@example.com");
+
+  const collection = await api.request("GET", "/movies/my-collection", {
+    headers,
+  });
+  assert.deepEqual(
+    collection.body.map((item) => item.title),
+    ["Legacy Owned"]
+  );
+
+  const updated = await api.request("PUT", `/movies/update/${added.body.id}`, {
+    headers,
+    body: { rating: 8 },
+  });
+  assert.equal(updated.status, 200);
+
+  await api.request("DELETE", `/movies/${added.body.id}`, { headers });
+  const trash = await api.request("GET", "/movies/trash", { headers });
+  assert.deepEqual(
+    trash.body.map((item) => item.title),
+    ["Legacy Owned"]
+  );
+});
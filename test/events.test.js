@@ -0,0 +1,138 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let token;
+
+before(async () => {
+  api = await startServer();
+  token = await api.signIn("listener@example.com");
+});
+after(() => api.close());
+
+// Opens GET /events and collects parsed events until `count` have arrived
+async function collectEvents(path, count, trigger) {
+  const controller = new AbortController();
+  const res = await fetch(api.baseUrl + path, {
+    signal: controller.signal,
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+
+  const events = [];
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  await trigger();
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const fields = Object.fromEntries(
+        block
+          .split("\n")
+          .filter((line) => line && !line.startsWith(":"))
+          .map((line) => [
+            line.slice(0, line.indexOf(":")),
+            line.slice(line.indexOf(":") + 1).trim(),
+          ])
+      );
+      if (fields.event) {
+        events.push({ ...fields, data: JSON.parse(fields.data) });
+      }
+    }
+  }
+  controller.abort();
+  return events;
+}
+
+test("the stream needs a token", async () => {
+  const res = await api.request("GET", "/events");
+  assert.equal(res.status, 401);
+});
+
+test("movie writes are streamed to signed-in clients", async () => {
+  let id;
+  const events = await collectEvents(
+    `/events?access_token=${token}`,
+    2,
+    async () => {
+      const added = await api.request("POST", "/movies/add", {
+        token,
+        body: movie("Live"),
+      });
+      id = added.body.id;
+      await api.request("DELETE", `/movies/${id}`, { token });
+    }
+  );
+  assert.deepEqual(
+    events.map((event) => [event.event, event.data.id]),
+    [
+      ["movie.created", id],
+      ["movie.deleted", id],
+    ]
+  );
+  assert.equal(events[0].data.movie.title, "Live");
+  assert.ok(events[0].id);
+});
+
+test("deleting an account with its movies only announces live ones", async () => {
+  const leaving = await api.signIn("leaving-events@example.com");
+  const live = await api.request("POST", "/movies/add", {
+    token: leaving,
+    body: movie("Still Live"),
+  });
+  const binned = await api.request("POST", "/movies/add", {
+    token: leaving,
+    body: movie("Already Binned"),
+  });
+  await api.request("DELETE", `/movies/${binned.body.id}`, { token: leaving });
+
+  let after;
+  const events = await collectEvents(
+    `/events?access_token=${token}`,
+    2,
+    async () => {
+      await api.request("DELETE", "/users/me?movies=delete", {
+        token: leaving,
+      });
+      after = await api.request("POST", "/movies/add", {
+        token,
+        body: movie("After"),
+      });
+    }
+  );
+  assert.deepEqual(
+    events.map((event) => [event.event, event.data.id]),
+    [
+      ["movie.deleted", live.body.id],
+      ["movie.created", after.body.id],
+    ]
+  );
+});
+
+test("reconnecting with Last-Event-ID replays missed events", async () => {
+  const [first] = await collectEvents(`/events?access_token=${token}`, 1, () =>
+    api.request("POST", "/movies/add", { token, body: movie("Before") })
+  );
+  await api.request("POST", "/movies/add", { token, body: movie("Missed") });
+
+  const controller = new AbortController();
+  const res = await fetch(`${api.baseUrl}/events?access_token=${token}`, {
+    headers: { "last-event-id": first.id },
+    signal: controller.signal,
+  });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let text = "";
+  while (!text.includes("Missed")) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += value;
+  }
+  controller.abort();
+  assert.match(text, /event: movie\.created/);
+  assert.doesNotMatch(text, /"Before"/);
+});
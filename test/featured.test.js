@@ -0,0 +1,83 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let token;
+
+before(async () => {
+  api = await startServer();
+  token = await api.signIn("curator@example.com");
+});
+after(() => api.close());
+
+async function addMovie(title, rating) {
+  const res = await api.request("POST", "/movies/add", {
+    token,
+    body: movie(title, { rating }),
+  });
+  return res.body.id;
+}
+
+async function featuredTitles() {
+  const res = await api.request("GET", "/home/featured");
+  assert.equal(res.status, 200);
+  return res.body.map((item) => item.title);
+}
+
+test("a rotation that started short fills up as movies are added", async () => {
+  assert.deepEqual(await featuredTitles(), []);
+
+  const one = await addMovie("One", 9);
+  await addMovie("Two", 8);
+  assert.deepEqual(await featuredTitles(), ["One", "Two"]);
+
+  // The short rotation is kept for the day; a movie that turns up without being
+  // added (an old import) doesn't make reads pick again
+  const { movies } = await api.repositories();
+  await movies.insertOne({
+    ...movie("Imported", { rating: 1 }),
+    id: 9001,
+    createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+  });
+  // Any catalog write drops cached responses
+  await api.request("PUT", `/movies/update/${one}`, {
+    token,
+    body: { rating: 9 },
+  });
+  assert.deepEqual(await featuredTitles(), ["One", "Two"]);
+
+  for (const [title, rating] of [
+    ["Three", 7],
+    ["Four", 6],
+    ["Five", 5],
+    ["Six", 4],
+  ]) {
+    await addMovie(title, rating);
+  }
+  assert.deepEqual(await featuredTitles(), [
+    "One",
+    "Two",
+    "Three",
+    "Four",
+    "Five",
+  ]);
+
+  const { featuredRotations } = await api.repositories();
+  const [rotation] = await featuredRotations.find({}).toArray();
+  assert.equal(rotation.movieIds.length, 5);
+});
+
+test("deleted picks are replaced at read time", async () => {
+  const { movies } = await api.repositories();
+  const two = await movies.findOne({ title: "Two" });
+  await api.request("DELETE", `/movies/${two.id}`, { token });
+
+  assert.deepEqual(await featuredTitles(), [
+    "One",
+    "Three",
+    "Four",
+    "Five",
+    "Six",
+  ]);
+});
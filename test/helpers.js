@@ -0,0 +1,88 @@
+const { once } = require("events");
+const jwt = require("jsonwebtoken");
+
+// The suite drives the real app over HTTP against the in-memory storage driver.
+// node --test runs every file in its own process, so each file gets a fresh store.
+process.env.STORAGE_DRIVER = "memory";
+process.env.ACCESS_TOKEN_SECRET = "test-secret";
+process.env.ADMIN_EMAILS = "admin@example.com";
+process.env.RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED || "false";
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+delete process.env.VERCEL;
+
+const app = require("../index");
+
+async function startServer() {
+  await app.locals.ready;
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) {
+      init.headers.authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      init.headers["content-type"] =
+        init.headers["content-type"] || "application/json";
+      init.body = typeof body === "string" ? body : JSON.stringify(body);
+    }
+    const res = await fetch(baseUrl + path, init);
+    const text = await res.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      // Non-JSON bodies (CSV, SSE) are returned as text
+    }
+    return { status: res.status, headers: res.headers, body: data };
+  }
+
+  // Registers the user and returns an access token for them
+  async function signIn(email, profile = {}) {
+    const token = createAccessToken(email);
+    const res = await request("POST", "/users/create-or-update", {
+      token,
+      body: { email, displayName: email.split("@")[0], ...profile },
+    });
+    if (res.status >= 300) {
+      throw new Error(`sign-in failed for ${email}: ${res.status}`);
+    }
+    return token;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  // The repositories behind the app, for seeding legacy or hand-built documents
+  function repositories() {
+    return app.locals.storage.connect();
+  }
+
+  return { app, baseUrl, request, signIn, repositories, close };
+}
+
+function createAccessToken(email, options = {}, type = "access") {
+  return jwt.sign({ email, type }, process.env.ACCESS_TOKEN_SECRET, {
+    algorithm: "HS256",
+    issuer: "moviemaster-pro",
+    expiresIn: "1h",
+    ...options,
+  });
+}
+
+function movie(title, fields = {}) {
+  return {
+    title,
+    genre: "Drama",
+    releaseYear: 2000,
+    director: "Jane Doe",
+    rating: 7,
+    ...fields,
+  };
+}
+
+module.exports = { startServer, createAccessToken, movie };
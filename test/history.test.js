@@ -0,0 +1,73 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let owner;
+let other;
+
+before(async () => {
+  api = await startServer();
+  owner = await api.signIn("editor@example.com");
+  other = await api.signIn("reader@example.com");
+});
+after(() => api.close());
+
+async function addMovie(title, fields) {
+  const res = await api.request("POST", "/movies/add", {
+    token: owner,
+    body: movie(title, fields),
+  });
+  return res.body.id;
+}
+
+test("updates are recorded as revisions with before and after", async () => {
+  const id = await addMovie("Versioned", { rating: 5 });
+  await api.request("PUT", `/movies/update/${id}`, {
+    token: owner,
+    body: { rating: 6, director: "Someone Else" },
+  });
+
+  const res = await api.request("GET", `/movies/${id}/history`, {
+    token: owner,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+  const [revision] = res.body.revisions;
+  assert.equal(revision.actor, "editor@example.com");
+  assert.deepEqual(
+    revision.changes.find((change) => change.field === "rating"),
+    { field: "rating", before: 5, after: 6 }
+  );
+
+  const denied = await api.request("GET", `/movies/${id}/history`, {
+    token: other,
+  });
+  assert.equal(denied.status, 403);
+});
+
+test("reverting undoes a revision and everything after it", async () => {
+  const id = await addMovie("Reverted", { rating: 1 });
+  for (const rating of [2, 3]) {
+    await api.request("PUT", `/movies/update/${id}`, {
+      token: owner,
+      body: { rating },
+    });
+  }
+  const history = await api.request("GET", `/movies/${id}/history`, {
+    token: owner,
+  });
+  const oldest = history.body.revisions.at(-1);
+
+  const res = await api.request("POST", `/movies/${id}/revert/${oldest._id}`, {
+    token: owner,
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.fields, { rating: 1 });
+  assert.equal((await api.request("GET", `/movies/${id}`)).body.rating, 1);
+
+  const after = await api.request("GET", `/movies/${id}/history`, {
+    token: owner,
+  });
+  assert.equal(after.body.revisions[0].action, "revert");
+});
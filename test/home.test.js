@@ -0,0 +1,98 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let admin;
+let user;
+const ids = {};
+
+before(async () => {
+  api = await startServer();
+  admin = await api.signIn("admin@example.com");
+  user = await api.signIn("viewer@example.com");
+  for (const [title, fields] of [
+    ["Heat", { genre: "Crime", director: "Michael Mann", rating: 8.3 }],
+    ["Collateral", { genre: "Crime", director: "Michael Mann", rating: 7.5 }],
+    ["Thief", { genre: "Crime", director: "Michael Mann", rating: 7.4 }],
+    ["Up", { genre: "Animation", director: "Pete Docter", rating: 8.2 }],
+    ["Cars", { genre: "Animation", director: "John Lasseter", rating: 7.1 }],
+    ["Alien", { genre: "Horror", director: "Ridley Scott", rating: 8.5 }],
+  ]) {
+    const res = await api.request("POST", "/movies/add", {
+      token: admin,
+      body: movie(title, fields),
+    });
+    ids[title] = res.body.id;
+  }
+});
+after(() => api.close());
+
+test("the daily rotation picks five movies when nothing is curated", async () => {
+  const res = await api.request("GET", "/home/featured");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.length, 5);
+  assert.ok(res.body.every((item) => item.featured.curated === false));
+});
+
+test("curated slots replace the rotation", async () => {
+  const denied = await api.request("POST", "/admin/featured", {
+    token: user,
+    body: { movieId: ids.Up },
+  });
+  assert.equal(denied.status, 403);
+
+  const slot = await api.request("POST", "/admin/featured", {
+    token: admin,
+    body: { movieId: ids.Up, tagline: "Adventure is out there" },
+  });
+  assert.equal(slot.status, 201);
+
+  const res = await api.request("GET", "/home/featured");
+  assert.deepEqual(
+    res.body.map((item) => [item.title, item.featured.tagline]),
+    [["Up", "Adventure is out there"]]
+  );
+
+  await api.request("DELETE", `/admin/featured/${slot.body._id}`, {
+    token: admin,
+  });
+});
+
+test("recommendations follow the watchlist and explain themselves", async () => {
+  await api.request("POST", `/watchlist/${ids.Heat}`, { token: user });
+
+  const res = await api.request("GET", "/recommendations?limit=3", {
+    token: user,
+  });
+  assert.equal(res.status, 200);
+  const titles = res.body.recommendations.map((item) => item.title);
+  assert.deepEqual(titles.slice(0, 2).sort(), ["Collateral", "Thief"]);
+  assert.ok(!titles.includes("Heat"));
+  assert.ok(
+    res.body.recommendations[0].recommendation.reasons.some(
+      (reason) => reason.type === "director"
+    )
+  );
+});
+
+test("similar movies share a genre, director or cast member", async () => {
+  const res = await api.request("GET", `/movies/${ids.Up}/similar`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.similar.map((item) => item.title),
+    ["Cars"]
+  );
+});
+
+test("stats aggregate the catalog", async () => {
+  const genres = await api.request("GET", "/stats/genres");
+  const crime = genres.body.genres.find((item) => item.genre === "Crime");
+  assert.equal(crime.count, 3);
+
+  const directors = await api.request("GET", "/stats/directors?limit=1");
+  assert.equal(directors.body.directors[0].director, "Michael Mann");
+
+  const mine = await api.request("GET", "/users/me/stats", { token: user });
+  assert.equal(mine.headers.get("cache-control"), "private, max-age=60");
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let token;
+
+before(async () => {
+  api = await startServer();
+  token = await api.signIn("importer@example.com");
+});
+after(() => api.close());
+
+test("CSV imports validate rows and skip duplicates", async () => {
+  const csv = [
+    "title,genre,releaseYear,rating",
+    "Alien,Horror,1979,8.5",
+    "Aliens,Action,1986,8.4",
+    "alien,Horror,1979,7",
+    "Broken,Nope,1990,20",
+  ].join("\n");
+
+  const dryRun = await api.request("POST", "/movies/import?dryRun=true", {
+    token,
+    body: csv,
+    headers: { "content-type": "text/csv" },
+  });
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.imported, 2);
+  assert.deepEqual(dryRun.body.insertedIds, []);
+
+  const res = await api.request("POST", "/movies/import", {
+    token,
+    body: csv,
+    headers: { "content-type": "text/csv" },
+  });
+  assert.equal(res.body.total, 4);
+  assert.equal(res.body.imported, 2);
+  assert.equal(res.body.insertedIds.length, 2);
+  assert.deepEqual(
+    res.body.duplicates.map((item) => item.row),
+    [3]
+  );
+  assert.deepEqual(
+    res.body.errors.map((item) => item.row),
+    [4]
+  );
+});
+
+test("JSON imports reuse the movie schema", async () => {
+  const res = await api.request("POST", "/movies/import", {
+    token,
+    body: [movie("From JSON"), { title: "" }],
+  });
+  assert.equal(res.body.imported, 1);
+  assert.equal(res.body.errors.length, 1);
+});
+
+test("exports return the caller's collection as CSV or JSON", async () => {
+  const csv = await api.request("GET", "/movies/export?format=csv&sort=title", {
+    token,
+  });
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  const lines = csv.body.trim().split("\n");
+  assert.equal(lines.length, 4);
+  assert.match(lines[0], /^id,title,/);
+  assert.match(lines[1], /^\d+,Alien,Horror,1979,/);
+
+  const json = await api.request("GET", "/movies/export?format=json", {
+    token,
+  });
+  assert.equal(json.body.length, 3);
+});
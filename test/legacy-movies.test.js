@@ -0,0 +1,92 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { startServer } = require("./helpers");
+
+let api;
+let token;
+let legacyId;
+
+// Movies from before the id migration have an ObjectId _id and no numeric id
+before(async () => {
+  api = await startServer();
+  token = await api.signIn("legacy@example.com");
+  const { movies } = await api.repositories();
+  const _id = new ObjectId();
+  await movies.insertOne({
+    _id,
+    title: "Unmigrated",
+    genre: "Drama",
+    rating: 6,
+    addedBy: "legacy@example.com",
+    createdAt: new Date(),
+    deletedAt: null,
+  });
+  legacyId = String(_id);
+});
+after(() => api.close());
+
+test("unmigrated movies are found by their ObjectId", async () => {
+  const res = await api.request("GET", `/movies/${legacyId}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.id, legacyId);
+  assert.equal(res.body.title, "Unmigrated");
+});
+
+test("unmigrated movies can be edited by their owner", async () => {
+  const res = await api.request("PUT", `/movies/update/${legacyId}`, {
+    token,
+    body: { rating: 7 },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(
+    (await api.request("GET", `/movies/${legacyId}`)).body.rating,
+    7
+  );
+});
+
+test("reviews and watchlists reject unmigrated movies", async () => {
+  const review = await api.request("POST", `/movies/${legacyId}/reviews`, {
+    token,
+    body: { rating: 5 },
+  });
+  assert.equal(review.status, 409);
+  assert.equal(
+    (await api.request("GET", `/movies/${legacyId}/reviews`)).status,
+    409
+  );
+
+  const watchlist = await api.request("POST", `/watchlist/${legacyId}`, {
+    token,
+  });
+  assert.equal(watchlist.status, 409);
+  const entries = await api.request("GET", "/watchlist", { token });
+  assert.deepEqual(entries.body, []);
+});
+
+test("edits to unmigrated movies keep no history", async () => {
+  const { movieRevisions } = await api.repositories();
+  assert.equal(await movieRevisions.countDocuments({}), 0);
+
+  const history = await api.request("GET", `/movies/${legacyId}/history`, {
+    token,
+  });
+  assert.equal(history.status, 409);
+  const revert = await api.request(
+    "POST",
+    `/movies/${legacyId}/revert/${new ObjectId()}`,
+    { token }
+  );
+  assert.equal(revert.status, 409);
+});
+
+test("unmigrated movies can be moved to the trash", async () => {
+  const res = await api.request("DELETE", `/movies/${legacyId}`, { token });
+  assert.equal(res.status, 200);
+  assert.equal((await api.request("GET", `/movies/${legacyId}`)).status, 404);
+});
+
+test("an ObjectId that is not a movie is still a 404", async () => {
+  const res = await api.request("GET", `/movies/${new ObjectId()}`);
+  assert.equal(res.status, 404);
+});
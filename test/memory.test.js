@@ -0,0 +1,170 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { MemoryDatabase } = require("../storage/memory");
+
+function collection(name = "items") {
+  return new MemoryDatabase().collection(name);
+}
+
+test("insertOne assigns an ObjectId and find returns copies", async () => {
+  const items = collection();
+  const { insertedId } = await items.insertOne({ title: "Heat", tags: ["a"] });
+  assert.ok(insertedId instanceof ObjectId);
+
+  const [found] = await items.find({ title: "Heat" }).toArray();
+  found.tags.push("b");
+  const again = await items.findOne({ _id: insertedId });
+  assert.deepEqual(again.tags, ["a"]);
+});
+
+test("find supports operators, sort, skip, limit and projection", async () => {
+  const items = collection();
+  await items.insertMany(
+    [5, 3, 9, 1, 7].map((rating) => ({ rating, genre: rating > 4 ? "A" : "B" }))
+  );
+
+  const docs = await items
+    .find({ rating: { $gte: 3 }, genre: { $in: ["A", "B"] } })
+    .sort({ rating: -1 })
+    .skip(1)
+    .limit(2)
+    .project({ _id: 0, rating: 1 })
+    .toArray();
+  assert.deepEqual(docs, [{ rating: 7 }, { rating: 5 }]);
+  assert.equal(await items.countDocuments({ genre: "B" }), 2);
+});
+
+test("unique indexes reject duplicates with code 11000", async () => {
+  const items = collection();
+  await items.createIndex({ email: 1 }, { unique: true });
+  await items.insertOne({ email: "a@example.com" });
+  await assert.rejects(items.insertOne({ email: "a@example.com" }), {
+    code: 11000,
+  });
+});
+
+test("partial unique indexes only cover matching documents", async () => {
+  const items = collection();
+  await items.createIndex(
+    { key: 1 },
+    { unique: true, partialFilterExpression: { redelivery: false } }
+  );
+  await items.insertOne({ key: "x", redelivery: false });
+  await items.insertOne({ key: "x", redelivery: true });
+  await items.insertOne({ key: "x", redelivery: true });
+  await assert.rejects(items.insertOne({ key: "x", redelivery: false }), {
+    code: 11000,
+  });
+});
+
+test("upserts apply $setOnInsert only when inserting", async () => {
+  const items = collection();
+  const update = {
+    $set: { seenAt: 2 },
+    $setOnInsert: { createdAt: 1 },
+    $inc: { count: 1 },
+  };
+  await items.updateOne({ key: "k" }, update, { upsert: true });
+  await items.updateOne(
+    { key: "k" },
+    { ...update, $setOnInsert: { createdAt: 99 } },
+    { upsert: true }
+  );
+  const doc = await items.findOne({ key: "k" }, { projection: { _id: 0 } });
+  assert.deepEqual(doc, { key: "k", seenAt: 2, createdAt: 1, count: 2 });
+});
+
+test("$push with $each and $slice keeps the newest entries", async () => {
+  const items = collection();
+  await items.insertOne({ _id: 1, log: [] });
+  for (const value of [1, 2, 3, 4]) {
+    await items.updateOne(
+      { _id: 1 },
+      { $push: { log: { $each: [value], $slice: -2 } } }
+    );
+  }
+  assert.deepEqual((await items.findOne({ _id: 1 })).log, [3, 4]);
+});
+
+test("findOneAndUpdate honours sort and returnDocument", async () => {
+  const items = collection();
+  await items.insertMany([
+    { status: "pending", at: 2 },
+    { status: "pending", at: 1 },
+  ]);
+  const claimed = await items.findOneAndUpdate(
+    { status: "pending" },
+    { $set: { status: "sending" } },
+    { sort: { at: 1 }, returnDocument: "after" }
+  );
+  assert.equal(claimed.at, 1);
+  assert.equal(claimed.status, "sending");
+});
+
+test("text search scores weighted fields and skips stop words", async () => {
+  const items = collection();
+  await items.createIndex(
+    { title: "text", plot: "text" },
+    { weights: { title: 10, plot: 1 } }
+  );
+  await items.insertMany([
+    { name: "plot", title: "Heist", plot: "A matrix of lies" },
+    { name: "title", title: "The Matrix", plot: "Hackers" },
+    { name: "none", title: "Heat", plot: "Cops" },
+  ]);
+
+  const docs = await items
+    .find(
+      { $text: { $search: "the matrix" } },
+      { projection: { score: { $meta: "textScore" } } }
+    )
+    .sort({ score: { $meta: "textScore" } })
+    .toArray();
+  assert.deepEqual(
+    docs.map((doc) => doc.name),
+    ["title", "plot"]
+  );
+});
+
+test("strict Stable API mode rejects what a strict MongoDB client would", async () => {
+  const strict = new MemoryDatabase({
+    serverApi: { version: "1", strict: true },
+  }).collection("items");
+  await strict.insertOne({ title: "Heat" });
+
+  const rejected = { name: "MongoServerError", codeName: "APIStrictError" };
+  await assert.rejects(strict.createIndex({ title: "text" }), rejected);
+  await assert.rejects(
+    strict.find({ $text: { $search: "heat" } }).toArray(),
+    rejected
+  );
+  await assert.rejects(strict.distinct("title"), rejected);
+  assert.equal(
+    (await strict.aggregate([{ $group: { _id: "$title" } }]).toArray()).length,
+    1
+  );
+});
+
+test("aggregate groups, sorts and limits", async () => {
+  const items = collection();
+  await items.insertMany([
+    { genre: "Drama", rating: 8 },
+    { genre: "Drama", rating: 6 },
+    { genre: "Action", rating: 5 },
+  ]);
+  const groups = await items
+    .aggregate([
+      {
+        $group: {
+          _id: "$genre",
+          count: { $sum: 1 },
+          average: { $avg: "$rating" },
+        },
+      },
+      { $sort: { count: -1 } },
+      { $limit: 1 },
+    ])
+    .toArray();
+  assert.deepEqual(groups, [{ _id: "Drama", count: 2, average: 7 }]);
+});
@@ -0,0 +1,98 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { MemoryDatabase } = require("../storage/memory");
+const { migrate } = require("../migrate-movie-ids");
+
+// One canonical movie, one with an ObjectId _id and one with a string id
+async function seed() {
+  const database = new MemoryDatabase();
+  const objectId = new ObjectId();
+  await database.collection("movies").insertMany([
+    { _id: 1, id: 1, title: "Canonical", createdAt: new Date(1) },
+    { _id: objectId, title: "Object", createdAt: new Date(2) },
+    { _id: "b", id: "b-1", title: "String", createdAt: new Date(3) },
+  ]);
+  await database
+    .collection("counters")
+    .insertOne({ _id: "movieId", sequence_value: 1 });
+  return { database, objectKey: String(objectId) };
+}
+
+async function findOne(database, name, filter = {}) {
+  return database.collection(name).findOne(filter);
+}
+
+test("legacy movies get sequential ids and aliases", async () => {
+  const { database, objectKey } = await seed();
+  const report = await migrate(database);
+  assert.deepEqual(
+    report.migrated.map((item) => [item.title, item.id]),
+    [
+      ["Object", 2],
+      ["String", 3],
+    ]
+  );
+  assert.equal((await findOne(database, "movies", { _id: 2 })).id, 2);
+  assert.equal(
+    await findOne(database, "movies", { title: "Object", _id: { $ne: 2 } }),
+    null
+  );
+  assert.equal(
+    (await findOne(database, "movie_id_aliases", { _id: objectKey })).movieId,
+    2
+  );
+});
+
+test("references in other collections follow the new ids", async () => {
+  const { database, objectKey } = await seed();
+  await database.collection("movie_revisions").insertOne({ movieId: "b-1" });
+  await database.collection("featured_movies").insertOne({ movieId: "b-1" });
+  await database
+    .collection("featured_rotations")
+    .insertOne({ _id: "2026-01-01", movieIds: [1, "b-1"] });
+  await database.collection("activities").insertOne({
+    actor: "a@example.com",
+    type: "movie.added",
+    movieId: objectKey,
+    movie: { id: objectKey, _id: objectKey, title: "Object" },
+  });
+  await database.collection("webhook_deliveries").insertMany([
+    {
+      eventType: "movie.updated",
+      payload: {
+        data: { id: objectKey, movie: { id: objectKey, _id: objectKey } },
+      },
+    },
+    { eventType: "movie.deleted", payload: { data: { id: "b-1" } } },
+  ]);
+
+  await migrate(database);
+
+  assert.equal((await findOne(database, "movie_revisions")).movieId, 3);
+  assert.equal((await findOne(database, "featured_movies")).movieId, 3);
+  assert.deepEqual(
+    (await findOne(database, "featured_rotations")).movieIds,
+    [1, 3]
+  );
+  const activity = await findOne(database, "activities");
+  assert.equal(activity.movieId, 2);
+  assert.equal(activity.movie.id, 2);
+  const [updated, deleted] = await database
+    .collection("webhook_deliveries")
+    .find()
+    .toArray();
+  assert.equal(updated.payload.data.id, 2);
+  assert.equal(updated.payload.data.movie._id, 2);
+  assert.equal(deleted.payload.data.id, 3);
+});
+
+test("a dry run changes nothing", async () => {
+  const { database } = await seed();
+  const report = await migrate(database, { dryRun: true });
+  assert.equal(report.migrated.length, 2);
+  assert.equal(
+    await database.collection("movies").countDocuments({ id: 2 }),
+    0
+  );
+});
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryDatabase } = require("../storage/memory");
+const { migrate } = require("../migrate-watchlists");
+
+// Two users with pre-list entries; one of them already has a default list
+async function seed() {
+  const database = new MemoryDatabase();
+  const { insertedId: listId } = await database
+    .collection("watchlist_lists")
+    .insertOne({ userEmail: "b@example.com", isDefault: true, name: "Mine" });
+  await database.collection("watchlists").insertMany([
+    { userEmail: "a@example.com", movieId: 1, createdAt: new Date(1) },
+    { userEmail: "a@example.com", movieId: 2, createdAt: new Date(2) },
+    { userEmail: "b@example.com", movieId: 3, createdAt: new Date(3) },
+    { userEmail: "b@example.com", movieId: 4, listId, position: 0 },
+  ]);
+  return { database, listId };
+}
+
+test("legacy entries move into each user's default list, newest first", async () => {
+  const { database, listId } = await seed();
+  assert.deepEqual(await migrate(database, { dryRun: true }), {
+    users: 2,
+    entries: 3,
+  });
+  assert.equal(
+    await database.collection("watchlist_lists").countDocuments(),
+    1
+  );
+
+  await migrate(database);
+  const lists = database.collection("watchlist_lists");
+  const created = await lists.findOne({ userEmail: "a@example.com" });
+  assert.equal(created.name, "My Watchlist");
+  const entries = database.collection("watchlists");
+  assert.deepEqual(
+    (
+      await entries
+        .find({ listId: created._id })
+        .sort({ position: 1 })
+        .toArray()
+    ).map((entry) => entry.movieId),
+    [2, 1]
+  );
+  assert.deepEqual(
+    (await entries.find({ listId }).sort({ position: 1 }).toArray()).map(
+      (entry) => entry.movieId
+    ),
+    [3, 4]
+  );
+  assert.deepEqual(await migrate(database), { users: 0, entries: 0 });
+});
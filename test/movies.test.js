@@ -0,0 +1,173 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let owner;
+let other;
+
+before(async () => {
+  api = await startServer();
+  owner = await api.signIn("owner@example.com");
+  other = await api.signIn("other@example.com");
+});
+after(() => api.close());
+
+async function addMovie(title, fields) {
+  const res = await api.request("POST", "/movies/add", {
+    token: owner,
+    body: movie(title, fields),
+  });
+  assert.equal(res.status, 201);
+  return res.body.id;
+}
+
+test("invalid movies are rejected with every field error", async () => {
+  const res = await api.request("POST", "/movies/add", {
+    token: owner,
+    body: { rating: 11, genre: "Nope" },
+  });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.error.code, "validation_failed");
+  assert.deepEqual(res.body.error.details.map((item) => item.field).sort(), [
+    "genre",
+    "rating",
+    "title",
+  ]);
+});
+
+test("movies get sequential numeric ids and an ETag", async () => {
+  const id = await addMovie("Numbered");
+  const res = await api.request("GET", `/movies/${id}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.id, id);
+  assert.equal(res.headers.get("etag"), '"1"');
+
+  const missing = await api.request("GET", "/movies/999999");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, "not_found");
+});
+
+test("GET /movies paginates, filters and sorts", async () => {
+  await addMovie("Filter A", { genre: "Horror", rating: 3, releaseYear: 1980 });
+  await addMovie("Filter B", { genre: "Horror", rating: 9, releaseYear: 1990 });
+  await addMovie("Filter C", { genre: "Horror", rating: 6, releaseYear: 2010 });
+
+  const res = await api.request(
+    "GET",
+    "/movies?genre=Horror&yearTo=2000&sort=-rating&limit=1"
+  );
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 2);
+  assert.equal(res.headers.get("x-total-count"), "2");
+  assert.deepEqual(
+    res.body.movies.map((item) => item.title),
+    ["Filter B"]
+  );
+
+  const next = await api.request(
+    "GET",
+    `/movies?genre=Horror&yearTo=2000&sort=-rating&limit=1&cursor=${encodeURIComponent(res.body.next)}`
+  );
+  assert.deepEqual(
+    next.body.movies.map((item) => item.title),
+    ["Filter A"]
+  );
+  assert.equal(next.body.next, null);
+});
+
+test("GET /movies without paging params returns every match", async () => {
+  const { movies } = await api.repositories();
+  await movies.insertMany(
+    Array.from({ length: 120 }, (_, index) => ({
+      _id: 5000 + index,
+      id: 5000 + index,
+      ...movie(`Western ${index}`, { genre: "Western" }),
+      addedBy: "owner@example.com",
+      createdAt: new Date(),
+    }))
+  );
+
+  const res = await api.request("GET", "/movies?genre=Western");
+  assert.equal(res.status, 200);
+  assert.ok(Array.isArray(res.body));
+  assert.equal(res.body.length, 120);
+  assert.equal(res.headers.get("x-total-count"), "120");
+  assert.equal(res.headers.get("x-next-cursor"), null);
+});
+
+test("only the owner can update, and If-Match guards lost updates", async () => {
+  const id = await addMovie("Guarded");
+
+  const forbidden = await api.request("PUT", `/movies/update/${id}`, {
+    token: other,
+    body: { rating: 1 },
+  });
+  assert.equal(forbidden.status, 403);
+
+  const updated = await api.request("PUT", `/movies/update/${id}`, {
+    token: owner,
+    body: { rating: 8 },
+    headers: { "if-match": '"1"' },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.headers.get("etag"), '"2"');
+
+  const stale = await api.request("PUT", `/movies/update/${id}`, {
+    token: owner,
+    body: { rating: 9 },
+    headers: { "if-match": '"1"' },
+  });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.error.code, "precondition_failed");
+});
+
+test("deleted movies go to the trash and can be restored", async () => {
+  const id = await addMovie("Trashed");
+  const removed = await api.request("DELETE", `/movies/${id}`, {
+    token: owner,
+  });
+  assert.equal(removed.status, 200);
+  assert.equal((await api.request("GET", `/movies/${id}`)).status, 404);
+
+  const trash = await api.request("GET", "/movies/trash", { token: owner });
+  assert.ok(trash.body.some((item) => item.id === id && item.purgeAt));
+
+  const restored = await api.request("POST", `/movies/${id}/restore`, {
+    token: owner,
+  });
+  assert.equal(restored.status, 200);
+  assert.equal((await api.request("GET", `/movies/${id}`)).status, 200);
+});
+
+test("catalog responses are cached until a write", async () => {
+  const first = await api.request("GET", "/movies?limit=5&sort=title");
+  const second = await api.request("GET", "/movies?limit=5&sort=title");
+  assert.equal(second.headers.get("x-cache"), "HIT");
+
+  // fetch marks conditional requests no-cache unless Cache-Control is given
+  const notModified = await api.request("GET", "/movies?limit=5&sort=title", {
+    headers: {
+      "if-none-match": first.headers.get("etag"),
+      "cache-control": "max-age=0",
+    },
+  });
+  assert.equal(notModified.status, 304);
+
+  await addMovie("Cache Buster");
+  const after = await api.request("GET", "/movies?limit=5&sort=title");
+  assert.equal(after.headers.get("x-cache"), "MISS");
+});
+
+test("unknown routes and malformed JSON use the error envelope", async () => {
+  const res = await api.request("POST", "/movies/add", {
+    token: owner,
+    body: "{not json",
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, "bad_request");
+
+  const unknown = await api.request("GET", "/no-such-route");
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error.code, "not_found");
+});
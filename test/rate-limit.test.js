@@ -0,0 +1,37 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.RATE_LIMIT_ENABLED = "true";
+process.env.RATE_LIMIT_MOVIE_WRITE = "1/60/2";
+const { startServer, movie } = require("./helpers");
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test("write routes are limited per user with a Retry-After", async () => {
+  const token = await api.signIn("busy@example.com");
+  const statuses = [];
+  let limited;
+  for (let i = 0; i < 3; i += 1) {
+    limited = await api.request("POST", "/movies/add", {
+      token,
+      body: movie(`Burst ${i}`),
+    });
+    statuses.push(limited.status);
+  }
+  assert.deepEqual(statuses, [201, 201, 429]);
+  assert.equal(limited.body.error.code, "rate_limited");
+  assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+  assert.equal(limited.headers.get("ratelimit-limit"), "2");
+
+  // Another user has a bucket of their own
+  const other = await api.signIn("calm@example.com");
+  const res = await api.request("POST", "/movies/add", {
+    token: other,
+    body: movie("Calm"),
+  });
+  assert.equal(res.status, 201);
+});
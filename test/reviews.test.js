@@ -0,0 +1,69 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let movieId;
+let alice;
+let bob;
+
+before(async () => {
+  api = await startServer();
+  alice = await api.signIn("alice@example.com");
+  bob = await api.signIn("bob@example.com");
+  const res = await api.request("POST", "/movies/add", {
+    token: alice,
+    body: movie("Reviewed"),
+  });
+  movieId = res.body.id;
+});
+after(() => api.close());
+
+test("reviews update the community rating", async () => {
+  const first = await api.request("POST", `/movies/${movieId}/reviews`, {
+    token: alice,
+    body: { rating: 8, comment: "Great" },
+  });
+  assert.equal(first.status, 201);
+  await api.request("POST", `/movies/${movieId}/reviews`, {
+    token: bob,
+    body: { rating: 6 },
+  });
+
+  const res = await api.request("GET", `/movies/${movieId}`);
+  assert.equal(res.body.communityRating, 7);
+  assert.equal(res.body.reviewCount, 2);
+
+  const list = await api.request("GET", `/movies/${movieId}/reviews`);
+  assert.equal(list.body.total, 2);
+});
+
+test("a second review by the same user conflicts", async () => {
+  const res = await api.request("POST", `/movies/${movieId}/reviews`, {
+    token: alice,
+    body: { rating: 1 },
+  });
+  assert.equal(res.status, 409);
+});
+
+test("only the author can edit or delete a review", async () => {
+  const list = await api.request("GET", `/movies/${movieId}/reviews`);
+  const review = list.body.reviews.find((item) => item.rating === 6);
+
+  const denied = await api.request(
+    "PUT",
+    `/movies/${movieId}/reviews/${review._id}`,
+    { token: alice, body: { rating: 1 } }
+  );
+  assert.equal(denied.status, 403);
+
+  const removed = await api.request(
+    "DELETE",
+    `/movies/${movieId}/reviews/${review._id}`,
+    { token: bob }
+  );
+  assert.equal(removed.status, 200);
+  const res = await api.request("GET", `/movies/${movieId}`);
+  assert.equal(res.body.communityRating, 8);
+  assert.equal(res.body.reviewCount, 1);
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startServer();
+  const token = await api.signIn("search@example.com");
+  for (const [title, fields] of [
+    ["The Matrix", { plotSummary: "A hacker learns the truth" }],
+    ["Heat", { director: "Michael Mann", plotSummary: "A matrix of crime" }],
+    ["Amélie", { genre: "Comedy" }],
+    ["Heart", { genre: "Drama" }],
+  ]) {
+    await api.request("POST", "/movies/add", {
+      token,
+      body: movie(title, fields),
+    });
+  }
+});
+after(() => api.close());
+
+test("search ranks title matches first and highlights terms", async () => {
+  const res = await api.request("GET", "/movies/search?q=matrix");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.fuzzy, false);
+  assert.deepEqual(
+    res.body.results.map((item) => item.title),
+    ["The Matrix", "Heat"]
+  );
+  assert.match(
+    res.body.results[0].highlights[0].snippet,
+    /<mark>Matrix<\/mark>/
+  );
+});
+
+test("search requires a query", async () => {
+  const res = await api.request("GET", "/movies/search");
+  assert.equal(res.status, 422);
+});
+
+test("misspelled titles fall back to fuzzy matches", async () => {
+  const res = await api.request("GET", "/movies/search?q=heet");
+  assert.equal(res.body.fuzzy, true);
+  assert.equal(res.body.results[0].title, "Heat");
+});
+
+test("a misspelled word of a longer title is found", async () => {
+  const res = await api.request("GET", "/movies/search?q=matrx");
+  assert.equal(res.body.fuzzy, true);
+  assert.equal(res.body.results[0].title, "The Matrix");
+  assert.equal(res.body.results[0].matchType, "fuzzy");
+});
+
+test("sparse text results are topped up with fuzzy matches", async () => {
+  const res = await api.request("GET", "/movies/search?q=heat");
+  assert.equal(res.body.fuzzy, true);
+  assert.deepEqual(
+    res.body.results.map((item) => [item.title, item.matchType]),
+    [
+      ["Heat", "text"],
+      ["Heart", "fuzzy"],
+    ]
+  );
+  assert.equal(res.body.total, 2);
+
+  const filtered = await api.request(
+    "GET",
+    "/movies/search?q=matrx&genre=Comedy"
+  );
+  assert.deepEqual(filtered.body.results, []);
+});
+
+test("suggest matches title prefixes without accents", async () => {
+  const res = await api.request("GET", "/movies/suggest?q=ame");
+  assert.deepEqual(
+    res.body.map((item) => item.title),
+    ["Amélie"]
+  );
+});
@@ -0,0 +1,191 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+const users = {};
+
+before(async () => {
+  api = await startServer();
+  for (const name of ["fan", "critic", "quiet"]) {
+    const token = await api.signIn(`${name}@example.com`);
+    const me = await api.request("GET", "/users/me", { token });
+    users[name] = { token, id: me.body.id };
+  }
+});
+after(() => api.close());
+
+async function follow(follower, followee) {
+  return api.request("POST", `/users/${users[followee].id}/follow`, {
+    token: users[follower].token,
+  });
+}
+
+test("following is idempotent and cannot target yourself", async () => {
+  assert.equal((await follow("fan", "critic")).status, 201);
+  assert.equal((await follow("fan", "critic")).status, 200);
+  assert.equal((await follow("fan", "fan")).status, 400);
+
+  const following = await api.request("GET", "/users/me/following", {
+    token: users.fan.token,
+  });
+  assert.deepEqual(
+    following.body.users.map((user) => user.id),
+    [users.critic.id]
+  );
+  const followers = await api.request("GET", "/users/me/followers", {
+    token: users.critic.token,
+  });
+  assert.equal(followers.body.total, 1);
+});
+
+test("the feed shows published activity from followed users", async () => {
+  const added = await api.request("POST", "/movies/add", {
+    token: users.critic.token,
+    body: movie("Critic's Pick"),
+  });
+  await api.request("POST", "/movies/add", {
+    token: users.quiet.token,
+    body: movie("Not Followed"),
+  });
+  await api.request("PUT", `/movies/update/${added.body.id}`, {
+    token: users.critic.token,
+    body: { rating: 9 },
+  });
+
+  const res = await api.request("GET", "/feed", { token: users.fan.token });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.activities.map((item) => [item.type, item.movie.title]),
+    [
+      ["movie.updated", "Critic's Pick"],
+      ["movie.added", "Critic's Pick"],
+    ]
+  );
+  assert.deepEqual(res.body.activities[0].fields, ["rating"]);
+  assert.equal(res.body.activities[0].actors[0].id, users.critic.id);
+});
+
+test("unpublishing an activity type hides it from followers", async () => {
+  await api.request("PATCH", "/users/me", {
+    token: users.critic.token,
+    body: { publishedActivities: ["movie.added"] },
+  });
+  const res = await api.request("GET", "/feed", { token: users.fan.token });
+  assert.deepEqual(
+    res.body.activities.map((item) => item.type),
+    ["movie.added"]
+  );
+});
+
+test("unfollowing empties the feed", async () => {
+  const res = await api.request("DELETE", `/users/${users.critic.id}/follow`, {
+    token: users.fan.token,
+  });
+  assert.equal(res.status, 200);
+  const feed = await api.request("GET", "/feed", { token: users.fan.token });
+  assert.deepEqual(feed.body.activities, []);
+});
+
+test("grouped activity shows once across feed pages", async () => {
+  const reader = await api.signIn("reader@example.com");
+  const watchers = {};
+  for (const name of ["early", "late"]) {
+    const token = await api.signIn(`${name}@example.com`);
+    await api.request("PATCH", "/users/me", {
+      token,
+      body: { publishedActivities: ["movie.added", "movie.watchlisted"] },
+    });
+    const me = await api.request("GET", "/users/me", { token });
+    await api.request("POST", `/users/${me.body.id}/follow`, { token: reader });
+    const [list] = (await api.request("GET", "/watchlists", { token })).body;
+    await api.request("PATCH", `/watchlists/${list._id}`, {
+      token,
+      body: { visibility: "public" },
+    });
+    watchers[name] = { token, listId: list._id };
+  }
+  const shared = await api.request("POST", "/movies/add", {
+    token: reader,
+    body: movie("Everyone's Watching"),
+  });
+
+  await api.request("POST", `/watchlist/${shared.body.id}`, {
+    token: watchers.early.token,
+  });
+  await api.request("POST", "/movies/add", {
+    token: watchers.late.token,
+    body: movie("Late Addition"),
+  });
+  await api.request("POST", `/watchlist/${shared.body.id}`, {
+    token: watchers.late.token,
+  });
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const res = await api.request(
+      "GET",
+      `/feed?limit=1${cursor ? `&cursor=${cursor}` : ""}`,
+      { token: reader }
+    );
+    seen.push(
+      ...res.body.activities.map((item) => [
+        item.type,
+        item.movie.title,
+        item.actors.length,
+      ])
+    );
+    cursor = res.body.next;
+  } while (cursor);
+  assert.deepEqual(seen, [
+    ["movie.watchlisted", "Everyone's Watching", 2],
+    ["movie.added", "Late Addition", 1],
+  ]);
+
+  // A private default watchlist hides its owner's watchlist activity
+  await api.request("PATCH", `/watchlists/${watchers.late.listId}`, {
+    token: watchers.late.token,
+    body: { visibility: "private" },
+  });
+  const feed = await api.request("GET", "/feed", { token: reader });
+  const watchlisted = feed.body.activities.find(
+    (item) => item.type === "movie.watchlisted"
+  );
+  assert.equal(watchlisted.actors.length, 1);
+  assert.equal(feed.body.activities[0].type, "movie.added");
+});
+
+test("watchlist entries added while private stay hidden once it goes public", async () => {
+  const reader = await api.signIn("private-reader@example.com");
+  const token = await api.signIn("private-watcher@example.com");
+  await api.request("PATCH", "/users/me", {
+    token,
+    body: { publishedActivities: ["movie.watchlisted"] },
+  });
+  const me = await api.request("GET", "/users/me", { token });
+  await api.request("POST", `/users/${me.body.id}/follow`, { token: reader });
+
+  const secret = await api.request("POST", "/movies/add", {
+    token: reader,
+    body: movie("Guilty Pleasure"),
+  });
+  await api.request("POST", `/watchlist/${secret.body.id}`, { token });
+
+  const [list] = (await api.request("GET", "/watchlists", { token })).body;
+  await api.request("PATCH", `/watchlists/${list._id}`, {
+    token,
+    body: { visibility: "public" },
+  });
+  const open = await api.request("POST", "/movies/add", {
+    token: reader,
+    body: movie("Proudly Watching"),
+  });
+  await api.request("POST", `/watchlist/${open.body.id}`, { token });
+
+  const feed = await api.request("GET", "/feed", { token: reader });
+  assert.deepEqual(
+    feed.body.activities.map((item) => [item.type, item.movie.title]),
+    [["movie.watchlisted", "Proudly Watching"]]
+  );
+});
@@ -0,0 +1,137 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: delay } = require("node:timers/promises");
+const { startServer, movie } = require("./helpers");
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+async function waitForExport(token, jobId) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const res = await api.request("GET", `/users/me/export/${jobId}`, {
+      token,
+    });
+    if (!["queued", "running"].includes(res.body.status)) {
+      return res.body;
+    }
+    await delay(20);
+  }
+  throw new Error("export did not finish");
+}
+
+test("profiles can be edited and are public without the email", async () => {
+  const token = await api.signIn("profile@example.com");
+  const updated = await api.request("PATCH", "/users/me", {
+    token,
+    body: { bio: "Film nerd", favouriteGenres: ["Drama"], role: "admin" },
+  });
+  assert.equal(updated.status, 422);
+
+  const ok = await api.request("PATCH", "/users/me", {
+    token,
+    body: { bio: "Film nerd", favouriteGenres: ["Drama"] },
+  });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.bio, "Film nerd");
+
+  const profile = await api.request("GET", `/users/${ok.body.id}/profile`);
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.bio, "Film nerd");
+  assert.equal(profile.body.email, undefined);
+  assert.ok(!JSON.stringify(profile.body).includes("profile@example.com"));
+});
+
+test("deleting an account anonymizes its movies by default", async () => {
+  const token = await api.signIn("leaving@example.com");
+  const added = await api.request("POST", "/movies/add", {
+    token,
+    body: movie("Left Behind"),
+  });
+  const res = await api.request("DELETE", "/users/me", { token });
+  assert.equal(res.status, 200);
+
+  const kept = await api.request("GET", `/movies/${added.body.id}`);
+  assert.equal(kept.status, 200);
+  assert.notEqual(kept.body.addedBy, "leaving@example.com");
+  assert.equal((await api.request("GET", "/users/me", { token })).status, 404);
+});
+
+test("deleting an account anonymizes movies in the trash too", async () => {
+  const token = await api.signIn("trashed@example.com");
+  const added = await api.request("POST", "/movies/add", {
+    token,
+    body: movie("Binned Before Leaving"),
+  });
+  await api.request("DELETE", `/movies/${added.body.id}`, { token });
+  assert.equal(
+    (await api.request("DELETE", "/users/me", { token })).status,
+    200
+  );
+
+  const { movies } = await api.repositories();
+  const trashed = await movies.withDeleted().findOne({ id: added.body.id });
+  assert.ok(trashed.deletedAt);
+  assert.equal(trashed.addedBy, undefined);
+});
+
+test("data exports run in the background and download as JSON", async () => {
+  const token = await api.signIn("exporter@example.com");
+  await api.request("POST", "/movies/add", {
+    token,
+    body: movie("Mine"),
+  });
+
+  const started = await api.request("POST", "/users/me/export", { token });
+  assert.equal(started.status, 202);
+  assert.equal(
+    started.headers.get("location"),
+    `/users/me/export/${started.body.id}`
+  );
+
+  const job = await waitForExport(token, started.body.id);
+  assert.equal(job.status, "completed");
+  assert.ok(job.size > 0);
+
+  const download = await api.request("GET", job.downloadUrl, { token });
+  assert.equal(download.status, 200);
+  assert.equal(download.body.profile.email, "exporter@example.com");
+  assert.deepEqual(
+    download.body.movies.map((item) => item.title),
+    ["Mine"]
+  );
+
+  // The archive lives in chunk documents, not on the job
+  const { exportJobs, exportChunks } = await api.repositories();
+  const stored = await exportJobs.findOne({});
+  assert.equal(stored.archive, undefined);
+  const chunks = await exportChunks.find({ jobId: stored._id }).toArray();
+  assert.equal(chunks.length, stored.chunkCount);
+  assert.equal(
+    chunks.reduce((size, chunk) => size + chunk.data.length, 0),
+    job.size
+  );
+
+  await exportChunks.deleteMany({ jobId: stored._id });
+  const expired = await api.request("GET", job.downloadUrl, { token });
+  assert.equal(expired.status, 404);
+});
+
+test("ZIP exports hold one file per section", async () => {
+  const token = await api.signIn("zipper@example.com");
+  const started = await api.request("POST", "/users/me/export?format=zip", {
+    token,
+  });
+  const job = await waitForExport(token, started.body.id);
+  const res = await fetch(api.baseUrl + job.downloadUrl, {
+    headers: { authorization: `Bearer ${token}` },
+  });
+  assert.equal(res.headers.get("content-type"), "application/zip");
+  const archive = Buffer.from(await res.arrayBuffer());
+  assert.equal(archive.readUInt32LE(0), 0x04034b50);
+  assert.ok(archive.includes("export.json"));
+  assert.ok(archive.includes("watchlists.json"));
+});
@@ -0,0 +1,209 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let owner;
+let friend;
+const movieIds = [];
+
+before(async () => {
+  api = await startServer();
+  owner = await api.signIn("lists@example.com");
+  friend = await api.signIn("friend@example.com");
+  for (const title of ["First", "Second", "Third"]) {
+    const res = await api.request("POST", "/movies/add", {
+      token: owner,
+      body: movie(title),
+    });
+    movieIds.push(res.body.id);
+  }
+});
+after(() => api.close());
+
+async function createList(name, token = owner) {
+  const res = await api.request("POST", "/watchlists", {
+    token,
+    body: { name },
+  });
+  assert.equal(res.status, 201);
+  return res.body._id;
+}
+
+test("the default watchlist routes keep working and ignore repeats", async () => {
+  const added = await api.request("POST", `/watchlist/${movieIds[0]}`, {
+    token: owner,
+  });
+  assert.equal(added.status, 201);
+  const again = await api.request("POST", `/watchlist/${movieIds[0]}`, {
+    token: owner,
+  });
+  assert.equal(again.status, 200);
+
+  const list = await api.request("GET", "/watchlist", { token: owner });
+  assert.deepEqual(
+    list.body.map((item) => item.id),
+    [movieIds[0]]
+  );
+});
+
+test("named lists keep manual order and watched status", async () => {
+  const listId = await createList("Weekend");
+  for (const movieId of movieIds) {
+    await api.request("POST", `/watchlists/${listId}/entries/${movieId}`, {
+      token: owner,
+      body: { note: "maybe" },
+    });
+  }
+  await api.request("PATCH", `/watchlists/${listId}/entries/${movieIds[1]}`, {
+    token: owner,
+    body: { watched: true, personalRating: 9 },
+  });
+  const reordered = await api.request("PUT", `/watchlists/${listId}/order`, {
+    token: owner,
+    body: { movieIds: [...movieIds].reverse() },
+  });
+  assert.equal(reordered.status, 200);
+
+  const res = await api.request("GET", `/watchlists/${listId}`, {
+    token: owner,
+  });
+  assert.deepEqual(
+    res.body.entries.map((entry) => entry.id),
+    [...movieIds].reverse()
+  );
+
+  const watched = await api.request(
+    "GET",
+    `/watchlists/${listId}?watched=true`,
+    { token: owner }
+  );
+  assert.deepEqual(
+    watched.body.entries.map((entry) => [entry.id, entry.watchedAt !== null]),
+    [[movieIds[1], true]]
+  );
+});
+
+test("other users cannot see private lists", async () => {
+  const listId = await createList("Secret");
+  const res = await api.request("GET", `/watchlists/${listId}`, {
+    token: friend,
+  });
+  assert.equal(res.status, 404);
+  const shared = await api.request("GET", `/shared/watchlists/${listId}`);
+  assert.equal(shared.status, 404);
+});
+
+test("collaborators can add entries to a list", async () => {
+  const listId = await createList("Together");
+  const invited = await api.request(
+    "POST",
+    `/watchlists/${listId}/collaborators`,
+    { token: owner, body: { email: "friend@example.com" } }
+  );
+  assert.equal(invited.status, 201);
+
+  const added = await api.request(
+    "POST",
+    `/watchlists/${listId}/entries/${movieIds[2]}`,
+    { token: friend }
+  );
+  assert.equal(added.status, 201);
+  const res = await api.request("GET", `/watchlists/${listId}`, {
+    token: owner,
+  });
+  assert.equal(res.body.entries.length, 1);
+});
+
+test("inviting an unregistered email looks the same and works after sign-up", async () => {
+  const listId = await createList("Invites");
+  const invite = (email) =>
+    api.request("POST", `/watchlists/${listId}/collaborators`, {
+      token: owner,
+      body: { email },
+    });
+  const registered = await invite("friend@example.com");
+  const unregistered = await invite("Newcomer@Example.com");
+  assert.equal(unregistered.status, registered.status);
+  assert.deepEqual(
+    Object.keys(unregistered.body),
+    Object.keys(registered.body)
+  );
+  assert.equal(unregistered.body.collaborator, "newcomer@example.com");
+  assert.equal((await invite("not an email")).status, 422);
+
+  const newcomer = await api.signIn("newcomer@example.com");
+  const added = await api.request(
+    "POST",
+    `/watchlists/${listId}/entries/${movieIds[0]}`,
+    { token: newcomer }
+  );
+  assert.equal(added.status, 201);
+});
+
+test("share links resolve until they are revoked", async () => {
+  const listId = await createList("Shared");
+  await api.request("POST", `/watchlists/${listId}/entries/${movieIds[0]}`, {
+    token: owner,
+    body: { note: "private note", personalRating: 3 },
+  });
+  const link = await api.request("POST", `/watchlists/${listId}/share`, {
+    token: owner,
+  });
+  assert.equal(link.status, 201);
+
+  const shared = await api.request("GET", link.body.url);
+  assert.equal(shared.status, 200);
+  assert.equal(shared.body.name, "Shared");
+  assert.equal(shared.body.entries[0].title, "First");
+  assert.equal(shared.body.entries[0].note, undefined);
+  assert.equal(shared.body.entries[0].personalRating, undefined);
+
+  const revoked = await api.request("DELETE", `/share-links/${link.body._id}`, {
+    token: owner,
+  });
+  assert.equal(revoked.status, 200);
+  assert.equal((await api.request("GET", link.body.url)).status, 404);
+});
+
+test("shared pages never include email addresses", async () => {
+  const listId = await createList("Group");
+  await api.request("POST", `/watchlists/${listId}/collaborators`, {
+    token: owner,
+    body: { email: "friend@example.com" },
+  });
+  await api.request("POST", `/watchlists/${listId}/entries/${movieIds[1]}`, {
+    token: friend,
+  });
+  await api.request("PATCH", `/watchlists/${listId}`, {
+    token: owner,
+    body: { visibility: "public" },
+  });
+  const collectionLink = await api.request(
+    "POST",
+    "/movies/my-collection/share",
+    { token: owner }
+  );
+
+  for (const path of [
+    `/shared/watchlists/${listId}`,
+    collectionLink.body.url,
+  ]) {
+    const res = await api.request("GET", path);
+    assert.equal(res.status, 200);
+    const body = JSON.stringify(res.body);
+    assert.doesNotMatch(body, /@example\.com/);
+    assert.doesNotMatch(body, /addedBy/);
+  }
+});
+
+test("public lists are readable without a token", async () => {
+  const listId = await createList("Open");
+  await api.request("PATCH", `/watchlists/${listId}`, {
+    token: owner,
+    body: { visibility: "public" },
+  });
+  const res = await api.request("GET", `/shared/watchlists/${listId}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.owner.email, undefined);
+});
@@ -0,0 +1,167 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const crypto = require("node:crypto");
+const { once } = require("node:events");
+const { setTimeout: delay } = require("node:timers/promises");
+const { startServer, movie } = require("./helpers");
+
+let api;
+let token;
+let receiver;
+let receiverUrl;
+const received = [];
+
+before(async () => {
+  api = await startServer();
+  token = await api.signIn("hooks@example.com");
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = req.url === "/fail" ? 500 : 204;
+      res.end();
+    });
+  });
+  receiver.listen(0, "127.0.0.1");
+  await once(receiver, "listening");
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+after(async () => {
+  receiver.close();
+  await api.close();
+});
+
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const result = await check();
+    if (result) return result;
+    await delay(20);
+  }
+  throw new Error("timed out");
+}
+
+test("webhook URLs and events are validated", async () => {
+  const res = await api.request("POST", "/webhooks", {
+    token,
+    body: { url: "ftp://example.com", events: ["nope"] },
+  });
+  assert.equal(res.status, 422);
+});
+
+test("events are delivered with a verifiable signature", async () => {
+  const created = await api.request("POST", "/webhooks", {
+    token,
+    body: { url: `${receiverUrl}/ok`, events: ["movie.created"] },
+  });
+  assert.equal(created.status, 201);
+  const { secret, _id: webhookId } = created.body;
+
+  await api.request("POST", "/movies/add", { token, body: movie("Hooked") });
+  const delivery = await waitFor(() =>
+    received.find(
+      (item) => item.headers["x-moviemaster-event"] === "movie.created"
+    )
+  );
+
+  const payload = JSON.parse(delivery.body);
+  assert.equal(payload.data.movie.title, "Hooked");
+  const [t, v1] = delivery.headers["x-moviemaster-signature"]
+    .split(",")
+    .map((part) => part.split("=")[1]);
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${t}.${delivery.body}`)
+    .digest("hex");
+  assert.equal(v1, expected);
+
+  const log = await waitFor(async () => {
+    const res = await api.request(
+      "GET",
+      `/webhooks/${webhookId}/deliveries?status=succeeded`,
+      { token }
+    );
+    return res.body.total ? res.body : null;
+  });
+  assert.equal(log.deliveries[0].attempts[0].responseStatus, 204);
+
+  const redelivered = await api.request(
+    "POST",
+    `/webhooks/${webhookId}/deliveries/${log.deliveries[0]._id}/redeliver`,
+    { token }
+  );
+  assert.equal(redelivered.status, 202);
+  assert.equal(redelivered.body.eventKey, payload.id);
+  await waitFor(() =>
+    received.some(
+      (item) =>
+        item.headers["x-moviemaster-delivery"] === String(redelivered.body._id)
+    )
+  );
+});
+
+test("an event can be redelivered more than once", async () => {
+  const created = await api.request("POST", "/webhooks", {
+    token,
+    body: { url: `${receiverUrl}/ok`, events: ["movie.updated"] },
+  });
+  const webhookId = created.body._id;
+  const ping = await api.request("POST", `/webhooks/${webhookId}/ping`, {
+    token,
+  });
+  for (let i = 0; i < 2; i += 1) {
+    const res = await api.request(
+      "POST",
+      `/webhooks/${webhookId}/deliveries/${ping.body._id}/redeliver`,
+      { token }
+    );
+    assert.equal(res.status, 202);
+    assert.equal(res.body.redelivery, true);
+  }
+
+  const log = await api.request("GET", `/webhooks/${webhookId}/deliveries`, {
+    token,
+  });
+  assert.equal(log.body.total, 3);
+  assert.equal(
+    new Set(log.body.deliveries.map((item) => item.eventKey)).size,
+    1
+  );
+});
+
+test("failed deliveries are scheduled for a retry", async () => {
+  const created = await api.request("POST", "/webhooks", {
+    token,
+    body: { url: `${receiverUrl}/fail`, events: ["movie.created"] },
+  });
+  const ping = await api.request("POST", `/webhooks/${created.body._id}/ping`, {
+    token,
+  });
+  assert.equal(ping.status, 202);
+
+  const delivery = await waitFor(async () => {
+    const res = await api.request(
+      "GET",
+      `/webhooks/${created.body._id}/deliveries`,
+      { token }
+    );
+    const [item] = res.body.deliveries;
+    return item?.attemptCount ? item : null;
+  });
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.attempts[0].responseStatus, 500);
+  assert.ok(new Date(delivery.nextAttemptAt) > new Date());
+});
+
+test("other users cannot see a webhook", async () => {
+  const created = await api.request("POST", "/webhooks", {
+    token,
+    body: { url: `${receiverUrl}/ok`, events: ["movie.deleted"] },
+  });
+  const stranger = await api.signIn("stranger@example.com");
+  const res = await api.request("GET", `/webhooks/${created.body._id}`, {
+    token: stranger,
+  });
+  assert.equal(res.status, 404);
+});